@@ -0,0 +1,399 @@
+// agenda.js - Agenda semanal com blocos de horário (cards da aba ativa)
+
+import { getState } from './state.js';
+import { updateExistingCard, openEditCardModal } from './cards.js';
+import { openCardModal } from './modals.js';
+import {
+    formatDateForInput,
+    getToday,
+    getWeekday,
+    escapeHtml,
+    formatTime,
+    formatDuration,
+    parseTime,
+    minutesToTime,
+    sortByDate,
+    getPriorityColor,
+    getStatusColor,
+    escapeAttribute
+} from './utils.js';
+
+// Altura de uma hora na grade, em pixels (precisa bater com o CSS)
+const HOUR_HEIGHT = 48;
+
+// Arrastar ajusta o horário em passos de 15 minutos
+const SNAP_MINUTES = 15;
+
+// Duração usada para desenhar cards sem duração
+const DEFAULT_BLOCK_MINUTES = 30;
+
+// Hora exibida no topo ao abrir a agenda
+const INITIAL_SCROLL_HOUR = 7;
+
+// Primeiro dia (domingo) da semana exibida (null = semana atual)
+let visibleWeekStart = null;
+
+/**
+ * Renderiza a agenda da semana exibida
+ * @param {HTMLElement} container - Container da visualização
+ * @param {Object} state - Estado da aplicação
+ */
+export function renderAgenda(container, state) {
+    if (!visibleWeekStart) {
+        visibleWeekStart = getWeekStart(new Date());
+    }
+
+    const days = Array.from({ length: 7 }, (_, index) =>
+        new Date(visibleWeekStart.getFullYear(), visibleWeekStart.getMonth(), visibleWeekStart.getDate() + index)
+    );
+    const dates = days.map(formatDateForInput);
+    const tabCards = sortByDate(state.cards.filter(card => card.tab === state.activeTab && dates.includes(card.date)));
+
+    // Mantém a rolagem ao redesenhar (ex: depois de arrastar um bloco)
+    const previousScroll = container.querySelector('.agenda-body')?.scrollTop;
+
+    container.innerHTML = `
+        <div class="agenda" style="--agenda-hour-height: ${HOUR_HEIGHT}px">
+            <div class="agenda-toolbar">
+                <button type="button" class="icon-button" data-agenda-nav="-7" aria-label="Semana anterior">
+                    <svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M13 4l-6 6 6 6"/>
+                    </svg>
+                </button>
+                <h3 class="agenda-title" aria-live="polite">${getWeekLabel(days)}</h3>
+                <button type="button" class="icon-button" data-agenda-nav="7" aria-label="Próxima semana">
+                    <svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M7 4l6 6-6 6"/>
+                    </svg>
+                </button>
+                <button type="button" class="btn-secondary agenda-today" data-agenda-nav="0">Hoje</button>
+            </div>
+            <div class="agenda-scroll">
+                <div class="agenda-header">
+                    <div class="agenda-gutter"></div>
+                    ${days.map(day => renderDayHeader(day, tabCards)).join('')}
+                </div>
+                <div class="agenda-body">
+                    <div class="agenda-gutter">
+                        ${Array.from({ length: 24 }, (_, hour) => `<span class="agenda-hour-label">${minutesToTime(hour * 60)}</span>`).join('')}
+                    </div>
+                    ${dates.map(date => renderDayColumn(date, tabCards)).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+
+    const body = container.querySelector('.agenda-body');
+    body.scrollTop = previousScroll ?? INITIAL_SCROLL_HOUR * HOUR_HEIGHT;
+
+    bindAgendaEvents(container.querySelector('.agenda'), container);
+}
+
+/**
+ * Gera o cabeçalho de um dia, com os cards sem horário ou de dia inteiro
+ * @param {Date} day - Dia
+ * @param {Array} cards - Cards da semana
+ * @returns {string} HTML do cabeçalho
+ */
+function renderDayHeader(day, cards) {
+    const date = formatDateForInput(day);
+    const untimedCards = cards.filter(card => card.date === date && !isTimed(card));
+
+    return `
+        <div class="agenda-day-header ${date === getToday() ? 'today' : ''}" data-date="${date}">
+            <span class="agenda-weekday">${getWeekday(day, true)}</span>
+            <span class="agenda-day-number">${day.getDate()}</span>
+            <div class="agenda-all-day" data-date="${date}">
+                ${untimedCards.map(card => `
+                    <button type="button" class="agenda-chip ${getColorClasses(card)}" draggable="true" data-card-id="${escapeAttribute(card.id)}" title="${escapeAttribute(card.title)}">
+                        ${escapeHtml(card.title)}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Gera a coluna de horários de um dia, com os cards como blocos
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {Array} cards - Cards da semana
+ * @returns {string} HTML da coluna
+ */
+function renderDayColumn(date, cards) {
+    const timedCards = cards.filter(card => card.date === date && isTimed(card));
+    const isToday = date === getToday();
+
+    return `
+        <div class="agenda-day-column ${isToday ? 'today' : ''}" data-date="${date}" aria-label="${date}">
+            ${layoutBlocks(timedCards).map(renderBlock).join('')}
+            ${isToday ? renderNowLine() : ''}
+        </div>
+    `;
+}
+
+/**
+ * Gera o HTML de um bloco de horário
+ * @param {{card: Object, start: number, end: number, lane: number, lanes: number}} block - Bloco posicionado
+ * @returns {string} HTML do bloco
+ */
+function renderBlock({ card, start, end, lane, lanes }) {
+    const top = (start / 60) * HOUR_HEIGHT;
+    const height = Math.max(((end - start) / 60) * HOUR_HEIGHT, HOUR_HEIGHT / 4);
+    const width = 100 / lanes;
+    const duration = formatDuration(card.duration);
+
+    return `
+        <button
+            type="button"
+            class="agenda-block ${getColorClasses(card)}"
+            draggable="true"
+            data-card-id="${escapeAttribute(card.id)}"
+            style="top: ${top}px; height: ${height}px; left: ${lane * width}%; width: ${width}%"
+            title="${escapeAttribute(card.title)}"
+        >
+            <span class="agenda-block-time">${formatTime(card.time)}${duration ? ` · ${duration}` : ''}</span>
+            <span class="agenda-block-title">${escapeHtml(card.title)}</span>
+        </button>
+    `;
+}
+
+/**
+ * Linha do horário atual
+ * @returns {string} HTML da linha
+ */
+function renderNowLine() {
+    const now = new Date();
+    const top = ((now.getHours() * 60 + now.getMinutes()) / 60) * HOUR_HEIGHT;
+    return `<div class="agenda-now-line" style="top: ${top}px" aria-hidden="true"></div>`;
+}
+
+/**
+ * Distribui blocos sobrepostos em faixas lado a lado
+ * @param {Array} cards - Cards com horário de um dia
+ * @returns {Array<{card: Object, start: number, end: number, lane: number, lanes: number}>} Blocos posicionados
+ */
+function layoutBlocks(cards) {
+    const blocks = cards
+        .map(card => {
+            const start = parseTime(card.time);
+            const end = Math.min(start + (card.duration || DEFAULT_BLOCK_MINUTES), 24 * 60);
+            return { card, start, end, lane: 0, lanes: 1 };
+        })
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // Grupos de blocos que se sobrepõem dividem a largura da coluna
+    let group = [];
+    let groupEnd = -1;
+
+    const closeGroup = () => {
+        const lanes = group.reduce((max, block) => Math.max(max, block.lane + 1), 1);
+        group.forEach(block => { block.lanes = lanes; });
+        group = [];
+    };
+
+    blocks.forEach(block => {
+        if (block.start >= groupEnd) {
+            closeGroup();
+            groupEnd = -1;
+        }
+
+        const laneEnds = [];
+        group.forEach(other => {
+            laneEnds[other.lane] = Math.max(laneEnds[other.lane] ?? -1, other.end);
+        });
+
+        const freeLane = laneEnds.findIndex(end => end <= block.start);
+        block.lane = freeLane === -1 ? laneEnds.length : freeLane;
+
+        group.push(block);
+        groupEnd = Math.max(groupEnd, block.end);
+    });
+    closeGroup();
+
+    return blocks;
+}
+
+/**
+ * Vincula os eventos da agenda (navegação, clique e arrastar)
+ * @param {HTMLElement} agenda - Elemento da agenda
+ * @param {HTMLElement} container - Container da visualização (para redesenhar)
+ */
+function bindAgendaEvents(agenda, container) {
+    // Distância entre o ponteiro e o topo do bloco arrastado
+    let grabOffset = 0;
+
+    agenda.addEventListener('click', (e) => {
+        const navButton = e.target.closest('[data-agenda-nav]');
+        if (navButton) {
+            changeWeek(Number(navButton.dataset.agendaNav));
+            renderAgenda(container, getState());
+            return;
+        }
+
+        const cardElement = e.target.closest('[data-card-id]');
+        if (cardElement) {
+            const card = getState().cards.find(c => c.id === cardElement.dataset.cardId);
+            if (card) openEditCardModal(card);
+            return;
+        }
+
+        // Clique em um horário vazio cria um card naquela hora
+        const column = e.target.closest('.agenda-day-column');
+        if (column) {
+            const minutes = snapMinutes(getPointerMinutes(column, e.clientY), 60);
+            openCardModal(null, getState().activeTab, { date: column.dataset.date, time: minutesToTime(minutes) });
+            return;
+        }
+
+        const allDay = e.target.closest('.agenda-all-day');
+        if (allDay) {
+            openCardModal(null, getState().activeTab, { date: allDay.dataset.date });
+        }
+    });
+
+    agenda.addEventListener('dragstart', (e) => {
+        const cardElement = e.target.closest('[data-card-id]');
+        if (!cardElement) return;
+
+        grabOffset = cardElement.classList.contains('agenda-block')
+            ? e.clientY - cardElement.getBoundingClientRect().top
+            : 0;
+
+        e.dataTransfer.setData('text/plain', cardElement.dataset.cardId);
+        e.dataTransfer.effectAllowed = 'move';
+        cardElement.classList.add('dragging');
+    });
+
+    agenda.addEventListener('dragend', (e) => {
+        e.target.closest('[data-card-id]')?.classList.remove('dragging');
+        agenda.querySelectorAll('.drop-target').forEach(target => target.classList.remove('drop-target'));
+    });
+
+    agenda.addEventListener('dragover', (e) => {
+        const target = e.target.closest('.agenda-day-column, .agenda-all-day');
+        if (!target) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        agenda.querySelectorAll('.drop-target').forEach(other => {
+            if (other !== target) other.classList.remove('drop-target');
+        });
+        target.classList.add('drop-target');
+    });
+
+    agenda.addEventListener('drop', (e) => {
+        const target = e.target.closest('.agenda-day-column, .agenda-all-day');
+        if (!target) return;
+
+        e.preventDefault();
+        target.classList.remove('drop-target');
+
+        const cardId = e.dataTransfer.getData('text/plain');
+
+        if (target.classList.contains('agenda-all-day')) {
+            // Soltar no topo do dia remove o horário
+            moveCard(cardId, target.dataset.date, '');
+            return;
+        }
+
+        const minutes = snapMinutes(getPointerMinutes(target, e.clientY - grabOffset), SNAP_MINUTES);
+        moveCard(cardId, target.dataset.date, minutesToTime(minutes));
+    });
+}
+
+/**
+ * Move um card para outro dia e/ou horário
+ * @param {string} cardId - ID do card
+ * @param {string} date - Nova data (YYYY-MM-DD)
+ * @param {string} time - Novo horário (HH:MM) ou '' para sem horário
+ * @returns {Promise<boolean>} True se o card foi atualizado
+ */
+export async function moveCard(cardId, date, time) {
+    const card = getState().cards.find(c => c.id === cardId);
+    if (!card) return false;
+
+    if (card.date === date && (card.time || '') === time && !(time && card.allDay)) {
+        return false;
+    }
+
+    // Um card de dia inteiro arrastado para um horário passa a ter horário
+    return updateExistingCard(cardId, { date, time, allDay: false });
+}
+
+/**
+ * Converte a posição vertical do ponteiro em minutos do dia
+ * @param {HTMLElement} column - Coluna do dia
+ * @param {number} clientY - Posição vertical
+ * @returns {number} Minutos desde a meia-noite
+ */
+function getPointerMinutes(column, clientY) {
+    const offset = clientY - column.getBoundingClientRect().top;
+    return (offset / HOUR_HEIGHT) * 60;
+}
+
+/**
+ * Arredonda minutos para o passo indicado, dentro do dia
+ * @param {number} minutes - Minutos
+ * @param {number} step - Passo em minutos
+ * @returns {number} Minutos arredondados (00:00 a 23:45)
+ */
+function snapMinutes(minutes, step) {
+    const snapped = step === 60 ? Math.floor(minutes / step) * step : Math.round(minutes / step) * step;
+    return Math.min(Math.max(snapped, 0), 24 * 60 - SNAP_MINUTES);
+}
+
+/**
+ * Verifica se o card é desenhado na grade de horários
+ * @param {Object} card - Card
+ * @returns {boolean} True se tem horário e não é de dia inteiro
+ */
+function isTimed(card) {
+    return !card.allDay && parseTime(card.time) !== null;
+}
+
+/**
+ * Classes de cor do card (prioridade na borda, status no fundo)
+ * @param {Object} card - Card
+ * @returns {string} Classes CSS
+ */
+function getColorClasses(card) {
+    return `priority-${getPriorityColor(card.priority)} status-${getStatusColor(card.status)}`;
+}
+
+/**
+ * Avança ou volta a semana exibida
+ * @param {number} deltaDays - Dias a avançar (0 volta para a semana atual)
+ */
+function changeWeek(deltaDays) {
+    visibleWeekStart = deltaDays === 0
+        ? getWeekStart(new Date())
+        : new Date(visibleWeekStart.getFullYear(), visibleWeekStart.getMonth(), visibleWeekStart.getDate() + deltaDays);
+}
+
+/**
+ * Retorna o domingo da semana de uma data
+ * @param {Date} date - Data
+ * @returns {Date} Início da semana
+ */
+function getWeekStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
+
+/**
+ * Rótulo da semana (ex: '12 – 18 de outubro de 2026')
+ * @param {Date[]} days - Dias da semana
+ * @returns {string} Rótulo
+ */
+function getWeekLabel(days) {
+    const first = days[0];
+    const last = days[days.length - 1];
+    const lastLabel = last.toLocaleDateString('pt-BR', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    if (first.getMonth() === last.getMonth()) {
+        return `${first.getDate()} – ${lastLabel}`;
+    }
+
+    return `${first.toLocaleDateString('pt-BR', { day: 'numeric', month: 'short' })} – ${lastLabel}`;
+}
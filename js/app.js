@@ -1,10 +1,20 @@
 // app.js - Ponto de entrada da aplicação (VERSÃO REFATORADA)
 // Responsabilidade única: bootstrap e inicialização
 
-import { loadInitialState, subscribe } from './state.js';
-import { renderCards } from './cards.js';
-import { initModals, updateModalsFromState } from './modals.js';
+import { loadInitialState, subscribe, updateCards } from './state.js';
+import { markOverdueCards, settleCompletedRecurrences, getAllCards, subscribeToWriteErrors } from './storage.js';
+import { initCards, renderCards, updateSelectionFromState, updateSelectedCardFromState } from './cards.js';
+import { initModals, updateModalsFromState, showToast } from './modals.js';
 import { initNavigation, updateNavigationFromState, updateCurrentDate } from './navigation.js';
+import { initReminders } from './reminders.js';
+import { initViews, updateViewsFromState } from './views.js';
+import { initSearch, updateSearchFromState } from './search.js';
+import { initFilterPanel, updateFilterPanelFromState } from './filter-panel.js';
+import { initTrash, updateTrashFromState, purgeExpiredTrash } from './trash.js';
+import { initArchive, updateArchiveFromState, archiveOldCompletedCards } from './archive.js';
+import { initBulkActions, updateBulkActionsFromState } from './bulk-actions.js';
+import { initCardReorder } from './card-reorder.js';
+import { initRouter, updateRouteFromState } from './router.js';
 
 /**
  * Inicializa a aplicação quando o DOM está pronto
@@ -14,12 +24,33 @@ async function initApp() {
         // Atualiza data atual
         updateCurrentDate();
 
-        // Carrega estado inicial (cards do LocalStorage)
+        // Carrega estado inicial (cards do IndexedDB/LocalStorage)
         await loadInitialState();
 
+        // Apaga da lixeira os cards que passaram do prazo e arquiva os
+        // concluídos há mais tempo que o configurado
+        const purged = purgeExpiredTrash();
+        const archived = archiveOldCompletedCards();
+
+        // O estado foi carregado antes da limpeza
+        if (purged > 0 || archived > 0) {
+            updateCards(getAllCards());
+        }
+
         // Inicializa módulos de interface
         initNavigation();
         initModals();
+        initViews();
+        initSearch();
+        initFilterPanel();
+        initTrash();
+        initArchive();
+        initBulkActions();
+        initCardReorder();
+        initCards();
+
+        // Marca cards vencidos antes da primeira renderização
+        runOverdueCheck();
 
         // Renderiza cards iniciais
         renderCards();
@@ -27,9 +58,25 @@ async function initApp() {
         // Configura listener único para mudanças de estado
         setupStateListener();
 
+        // Avisa quando uma alteração não pôde ser gravada
+        setupWriteErrorHandler();
+
+        // Aplica a rota da URL (aba, card, busca...) e acompanha Voltar/Avançar
+        initRouter();
+
+        // Verifica vencimentos ao voltar para a aba
+        setupOverdueScheduler();
+
         // Configura Service Worker
         setupServiceWorker();
 
+        // Agenda lembretes e trata as ações das notificações
+        await initReminders(() => {
+            runOverdueCheck();
+            updateCards(getAllCards());
+            renderCards();
+        });
+
         console.log('Aplicação inicializada com sucesso!');
 
     } catch (error) {
@@ -43,9 +90,34 @@ async function initApp() {
  */
 function setupStateListener() {
     // Atualiza interface quando o estado muda
-    subscribe((state) => {
+    subscribe((state, oldState) => {
         // Atualiza modais
-        updateModalsFromState();
+        updateModalsFromState(state, oldState);
+
+        // Atualiza calendário e seletores de visualização
+        updateViewsFromState(state, oldState);
+
+        // Atualiza barra de busca e refiltra os cards
+        updateSearchFromState(state, oldState);
+
+        // Atualiza painel de filtros e filtros salvos
+        updateFilterPanelFromState(state, oldState);
+
+        // Atualiza lixeira (contador e lista)
+        updateTrashFromState(state, oldState);
+
+        // Atualiza arquivo (contador e lista)
+        updateArchiveFromState(state, oldState);
+
+        // Atualiza modo de seleção (caixas dos cards e barra de ações)
+        updateSelectionFromState(state, oldState);
+        updateBulkActionsFromState(state, oldState);
+
+        // Rola a grade até o card selecionado
+        updateSelectedCardFromState(state, oldState);
+
+        // Sincroniza a rota da URL (aba, visualização, modal, busca e filtros)
+        updateRouteFromState(state, oldState);
         
         // Atualiza navegação
         updateNavigationFromState();
@@ -63,7 +135,7 @@ function setupServiceWorker() {
     if ('serviceWorker' in navigator && 
         (window.location.protocol === 'https:' || window.location.hostname === 'localhost')) {
         
-        window.addEventListener('load', () => {
+        const registerServiceWorker = () => {
             const swPath = './service-worker.js';
             
             navigator.serviceWorker.register(swPath)
@@ -79,7 +151,14 @@ function setupServiceWorker() {
                 .catch(error => {
                     console.log('Falha ao registrar Service Worker:', error);
                 });
-        });
+        };
+
+        // A inicialização é assíncrona: o evento load pode já ter acontecido
+        if (document.readyState === 'complete') {
+            registerServiceWorker();
+        } else {
+            window.addEventListener('load', registerServiceWorker);
+        }
     }
 }
 
@@ -90,19 +169,13 @@ function updateCardCounters(state) {
     const todayCountElement = document.getElementById('todayCount');
     const pendingCountElement = document.getElementById('pendingCount');
 
+    // Usa as estatísticas do storage (incluem ocorrências recorrentes de hoje)
     if (todayCountElement) {
-        const todayCards = state.cards.filter(card => {
-            if (!card.date) return false;
-            const cardDate = new Date(card.date).toDateString();
-            const today = new Date().toDateString();
-            return cardDate === today;
-        }).length;
-        todayCountElement.textContent = todayCards;
+        todayCountElement.textContent = state.stats.today;
     }
 
     if (pendingCountElement) {
-        const pendingCards = state.cards.filter(card => card.status === 'pendente').length;
-        pendingCountElement.textContent = pendingCards;
+        pendingCountElement.textContent = state.stats.pending;
     }
 }
 
@@ -124,6 +197,50 @@ function showErrorState() {
     }
 }
 
+/**
+ * Falha de gravação: o storage já voltou ao que está no disco; a interface
+ * acompanha e o usuário é avisado
+ */
+function setupWriteErrorHandler() {
+    subscribeToWriteErrors(() => {
+        updateCards(getAllCards());
+        renderCards();
+        showToast('Não foi possível salvar a última alteração', 'error');
+    });
+}
+
+/**
+ * Move cards pendentes com data passada para 'vencido' e atualiza a interface
+ */
+function runOverdueCheck() {
+    // Recorrentes concluídos pela notificação ainda não geraram a próxima ocorrência
+    const nextCards = settleCompletedRecurrences();
+    const overdueCards = markOverdueCards();
+
+    if (overdueCards.length > 0) {
+        console.log(`${overdueCards.length} cards passaram de pendente para vencido:`, overdueCards.map(card => card.title));
+    }
+
+    if (overdueCards.length === 0 && nextCards.length === 0) return;
+
+    // Atualiza estado, contadores e cards
+    updateCards(getAllCards());
+    renderCards();
+}
+
+/**
+ * Configura verificação de vencimentos quando a aba volta a ficar visível
+ */
+function setupOverdueScheduler() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            runOverdueCheck();
+        }
+    });
+
+    window.addEventListener('focus', runOverdueCheck);
+}
+
 /**
  * Configura atualização automática da data
  */
@@ -136,9 +253,14 @@ function setupDateUpdate() {
     const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 0);
     const timeToMidnight = midnight.getTime() - now.getTime();
 
-    setTimeout(() => {
+    const onMidnight = () => {
         updateCurrentDate();
-        setInterval(updateCurrentDate, 86400000); // Atualiza a cada 24h
+        runOverdueCheck();
+    };
+
+    setTimeout(() => {
+        onMidnight();
+        setInterval(onMidnight, 86400000); // Atualiza a cada 24h
     }, timeToMidnight);
 }
 
@@ -0,0 +1,213 @@
+// archive.js - Arquivo: cards concluídos fora das abas, busca por texto e filtro por mês
+
+import { setModalVisibility, updateCards, runCommand } from './state.js';
+import {
+    getAllCards,
+    getArchivedCards,
+    unarchiveCard,
+    archiveCompletedCards,
+    getPreference,
+    setPreference
+} from './storage.js';
+import { renderCards, archiveExistingCards } from './cards.js';
+import { showToast } from './modals.js';
+import { escapeHtml, formatDate, normalizeString, capitalize, getTabLabel, escapeAttribute } from './utils.js';
+
+// Arquivamento automático dos concluídos (em dias; 0 = nunca)
+const AUTO_ARCHIVE_OPTIONS = [0, 1, 3, 7, 14, 30];
+const DEFAULT_AUTO_ARCHIVE_DAYS = 7;
+
+/**
+ * Inicializa o arquivo (botão da sidebar e modal)
+ */
+export function initArchive() {
+    const archiveList = document.getElementById('archiveList');
+    const searchInput = document.getElementById('archiveSearch');
+    const monthSelect = document.getElementById('archiveMonth');
+    const autoArchiveSelect = document.getElementById('archiveAfter');
+
+    document.getElementById('archiveButton')?.addEventListener('click', () => setModalVisibility('archiveModal', true));
+
+    archiveList?.addEventListener('click', (e) => {
+        const restoreButton = e.target.closest('[data-unarchive]');
+        if (restoreButton) {
+            restoreCard(restoreButton.dataset.unarchive);
+        }
+    });
+
+    searchInput?.addEventListener('input', renderArchive);
+    monthSelect?.addEventListener('change', renderArchive);
+
+    document.getElementById('archiveCompletedButton')?.addEventListener('click', () => {
+        const completedIds = getAllCards()
+            .filter(card => card.status === 'concluido')
+            .map(card => card.id);
+
+        if (completedIds.length === 0) {
+            showToast('Nenhum card concluído para arquivar', 'info');
+            return;
+        }
+
+        archiveExistingCards(completedIds);
+    });
+
+    if (autoArchiveSelect) {
+        autoArchiveSelect.innerHTML = AUTO_ARCHIVE_OPTIONS
+            .map(days => `<option value="${days}">${days === 0 ? 'Nunca' : `${days} ${days === 1 ? 'dia' : 'dias'}`}</option>`)
+            .join('');
+        autoArchiveSelect.value = String(getAutoArchiveDays());
+
+        autoArchiveSelect.addEventListener('change', () => {
+            setPreference('autoArchiveDays', Number(autoArchiveSelect.value));
+
+            if (archiveOldCompletedCards() > 0) {
+                updateCards(getAllCards());
+                renderCards();
+            }
+        });
+    }
+
+    renderArchive();
+}
+
+/**
+ * Atualiza o arquivo quando os cards mudam ou o modal é aberto
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateArchiveFromState(state, oldState = null) {
+    if (oldState &&
+        state.cards === oldState.cards &&
+        state.modals.archiveModal === oldState.modals.archiveModal) {
+        return;
+    }
+
+    renderArchive();
+}
+
+/**
+ * Arquiva os cards concluídos há mais dias que o configurado
+ * @returns {number} Quantidade de cards arquivados
+ */
+export function archiveOldCompletedCards() {
+    return archiveCompletedCards(getAutoArchiveDays());
+}
+
+/**
+ * Retorna após quantos dias um card concluído é arquivado
+ * @returns {number} Dias (0 = nunca)
+ */
+function getAutoArchiveDays() {
+    const days = getPreference('autoArchiveDays', DEFAULT_AUTO_ARCHIVE_DAYS);
+    return AUTO_ARCHIVE_OPTIONS.includes(days) ? days : DEFAULT_AUTO_ARCHIVE_DAYS;
+}
+
+/**
+ * Mês de referência de um card arquivado: o da conclusão (ou do arquivamento)
+ * @param {Object} card - Card arquivado
+ * @returns {string} Mês no formato YYYY-MM
+ */
+function getArchiveMonth(card) {
+    const date = new Date(card.completedAt || card.archivedAt);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Nome do mês para o filtro (ex: "Outubro de 2026")
+ * @param {string} month - Mês no formato YYYY-MM
+ * @returns {string} Nome do mês
+ */
+function formatMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return capitalize(new Date(year, monthIndex - 1, 1)
+        .toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' }));
+}
+
+/**
+ * Preenche o filtro de meses com os meses que têm cards (mantém a escolha atual)
+ * @param {Array} archivedCards - Cards arquivados
+ */
+function renderMonthOptions(archivedCards) {
+    const monthSelect = document.getElementById('archiveMonth');
+    if (!monthSelect) return;
+
+    const months = [...new Set(archivedCards.map(getArchiveMonth))].sort().reverse();
+    const selected = months.includes(monthSelect.value) ? monthSelect.value : '';
+
+    monthSelect.innerHTML = '<option value="">Todos os meses</option>' +
+        months.map(month => `<option value="${month}">${formatMonth(month)}</option>`).join('');
+    monthSelect.value = selected;
+}
+
+/**
+ * Desenha a lista do arquivo (aplicando busca e mês) e o contador da sidebar
+ */
+function renderArchive() {
+    const archivedCards = getArchivedCards();
+    const archiveCount = document.getElementById('archiveCount');
+    const archiveList = document.getElementById('archiveList');
+    const archiveEmpty = document.getElementById('archiveEmpty');
+    const summary = document.getElementById('archiveSummary');
+
+    if (archiveCount) {
+        archiveCount.textContent = archivedCards.length;
+        archiveCount.hidden = archivedCards.length === 0;
+    }
+
+    renderMonthOptions(archivedCards);
+
+    const query = normalizeString(document.getElementById('archiveSearch')?.value || '').trim();
+    const month = document.getElementById('archiveMonth')?.value || '';
+
+    const visibleCards = archivedCards.filter(card => {
+        if (month && getArchiveMonth(card) !== month) return false;
+        if (!query) return true;
+
+        return normalizeString(`${card.title} ${card.notes || ''} ${card.category || ''}`).includes(query);
+    });
+
+    if (archiveEmpty) {
+        archiveEmpty.hidden = visibleCards.length > 0;
+        archiveEmpty.textContent = archivedCards.length === 0
+            ? 'Nenhum card arquivado'
+            : 'Nenhum card arquivado corresponde à busca';
+    }
+
+    if (summary) {
+        summary.textContent = archivedCards.length === 0 ? '' :
+            `${visibleCards.length} de ${archivedCards.length} ${archivedCards.length === 1 ? 'card arquivado' : 'cards arquivados'}`;
+    }
+
+    if (!archiveList) return;
+
+    archiveList.innerHTML = visibleCards.map(card => `
+        <li class="archive-item">
+            <div class="archive-item-info">
+                <span class="archive-item-title">${escapeHtml(card.title)}</span>
+                <span class="archive-item-meta">
+                    ${getTabLabel(card.tab)}
+                    ${card.completedAt ? ` · Concluído em ${formatDate(new Date(card.completedAt))}` : ''}
+                    · Arquivado em ${formatDate(new Date(card.archivedAt))}
+                </span>
+            </div>
+            <div class="archive-item-actions">
+                <button type="button" class="btn-secondary btn-sm" data-unarchive="${escapeAttribute(card.id)}" aria-label="Restaurar: ${escapeAttribute(card.title)}">
+                    Restaurar
+                </button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Devolve um card arquivado para a sua aba
+ * @param {string} cardId - ID do card
+ */
+function restoreCard(cardId) {
+    const restoredCard = runCommand('Desarquivar card', () => unarchiveCard(cardId));
+    if (!restoredCard) return;
+
+    updateCards(getAllCards());
+    renderCards();
+    showToast(`"${restoredCard.title}" restaurado em ${getTabLabel(restoredCard.tab)}`, 'success');
+}
@@ -0,0 +1,195 @@
+// bulk-actions.js - Modo de seleção e barra de ações em lote (status, datas, duplicar, arquivar, excluir)
+
+import { getState, updateCards, runCommand, setSelectionMode, setSelectedCards } from './state.js';
+import {
+    getAllCards,
+    updateCardsInBulk,
+    moveCardsToTab,
+    shiftCardDates,
+    duplicateCards,
+    deleteCards
+} from './storage.js';
+import { renderCards, selectAllInTab, archiveExistingCards } from './cards.js';
+import { showToast, undoChange } from './modals.js';
+import { getAvailableStatus, getAvailablePriorities, getAvailableCategories, getAvailableTabs } from './utils.js';
+
+// Seletores da barra: campo alterado → select e opções
+const FIELD_SELECTS = [
+    { field: 'status', selectId: 'bulkStatus', label: 'Status', options: getAvailableStatus },
+    { field: 'priority', selectId: 'bulkPriority', label: 'Prioridade', options: getAvailablePriorities },
+    { field: 'category', selectId: 'bulkCategory', label: 'Categoria', options: getAvailableCategories },
+    { field: 'tab', selectId: 'bulkTab', label: 'Mover para', options: getAvailableTabs }
+];
+
+/**
+ * Inicializa o botão de seleção e a barra de ações em lote
+ */
+export function initBulkActions() {
+    const bar = document.getElementById('bulkBar');
+    if (!bar) return;
+
+    document.getElementById('selectButton')?.addEventListener('click', () => {
+        setSelectionMode(!getState().isSelectionMode);
+    });
+
+    FIELD_SELECTS.forEach(({ field, selectId, label, options }) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        select.innerHTML = `<option value="">${label}</option>` +
+            options().map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+
+        // O select volta ao rótulo: cada escolha é uma ação
+        select.addEventListener('change', () => {
+            const value = select.value;
+            select.value = '';
+            if (!value) return;
+
+            if (field === 'tab') {
+                moveSelectedCards(value);
+            } else {
+                runBulkAction('Alterar cards', ids => updateCardsInBulk(ids, { [field]: value }), 'atualizado');
+            }
+        });
+    });
+
+    const dateInput = document.getElementById('bulkDate');
+    dateInput?.addEventListener('change', () => {
+        const date = dateInput.value;
+        dateInput.value = '';
+        if (!date) return;
+
+        runBulkAction('Definir data', ids => updateCardsInBulk(ids, { date }), 'atualizado');
+    });
+
+    bar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-bulk]');
+        if (!button) return;
+
+        handleBulkButton(button.dataset.bulk);
+    });
+
+    // Esc sai do modo de seleção (se nenhum modal estiver aberto)
+    document.addEventListener('keydown', (e) => {
+        const state = getState();
+        if (e.key !== 'Escape' || !state.isSelectionMode) return;
+        if (Object.values(state.modals).some(Boolean)) return;
+
+        setSelectionMode(false);
+    });
+
+    updateBulkActionsFromState(getState());
+}
+
+/**
+ * Mostra a barra no modo de seleção e atualiza a contagem de cards marcados
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateBulkActionsFromState(state, oldState = null) {
+    if (oldState &&
+        state.isSelectionMode === oldState.isSelectionMode &&
+        state.selectedCardIds === oldState.selectedCardIds) {
+        return;
+    }
+
+    const bar = document.getElementById('bulkBar');
+    const selectButton = document.getElementById('selectButton');
+    const count = state.selectedCardIds.length;
+
+    if (selectButton) {
+        selectButton.classList.toggle('active', state.isSelectionMode);
+        selectButton.setAttribute('aria-pressed', String(state.isSelectionMode));
+    }
+
+    document.body.classList.toggle('selection-mode', state.isSelectionMode);
+
+    if (!bar) return;
+
+    bar.hidden = !state.isSelectionMode;
+
+    const countElement = document.getElementById('bulkCount');
+    if (countElement) {
+        countElement.textContent = count === 1 ? '1 selecionado' : `${count} selecionados`;
+    }
+
+    bar.querySelectorAll('[data-requires-selection]').forEach(control => {
+        control.disabled = count === 0;
+    });
+}
+
+/**
+ * Executa a ação de um botão da barra
+ * @param {string} action - Valor de `data-bulk`
+ */
+function handleBulkButton(action) {
+    switch (action) {
+        case 'select-all':
+            selectAllInTab();
+            break;
+        case 'next-day':
+            runBulkAction('Adiar cards', ids => shiftCardDates(ids, 1), 'adiado');
+            break;
+        case 'next-week':
+            runBulkAction('Adiar cards', ids => shiftCardDates(ids, 7), 'adiado');
+            break;
+        case 'duplicate':
+            runBulkAction('Duplicar cards', duplicateCards, 'duplicado');
+            break;
+        case 'archive':
+            if (getState().selectedCardIds.length > 0) {
+                archiveExistingCards(getState().selectedCardIds);
+            }
+            break;
+        case 'delete':
+            runBulkAction('Excluir cards', deleteCards, 'movido', ' para a lixeira');
+            break;
+        case 'cancel':
+            setSelectionMode(false);
+            break;
+    }
+}
+
+/**
+ * Move os cards marcados para outra aba (no fim da ordem) e limpa a seleção
+ * @param {string} tabName - Aba de destino
+ */
+function moveSelectedCards(tabName) {
+    const label = getAvailableTabs().find(tab => tab.value === tabName)?.label || tabName;
+
+    if (runBulkAction('Mover cards', ids => moveCardsToTab(ids, tabName), 'movido', ` para ${label}`) > 0) {
+        setSelectedCards([]);
+    }
+}
+
+/**
+ * Aplica uma operação do storage aos cards marcados: um comando no histórico,
+ * uma gravação e uma atualização do estado
+ * @param {string} label - Descrição do comando (desfazer)
+ * @param {Function} operation - Recebe os IDs e retorna os cards alterados (ou a quantidade)
+ * @param {string} verb - Particípio usado no aviso ('atualizado', 'movido'...)
+ * @param {string} suffix - Complemento do aviso (ex: ' para a lixeira')
+ * @returns {number} Quantidade de cards alterados
+ */
+function runBulkAction(label, operation, verb, suffix = '') {
+    const cardIds = getState().selectedCardIds;
+    if (cardIds.length === 0) return 0;
+
+    const result = runCommand(label, () => operation(cardIds));
+    const count = Array.isArray(result) ? result.length : result;
+
+    if (!count) {
+        showToast('Nenhum card foi alterado', 'info');
+        return 0;
+    }
+
+    updateCards(getAllCards());
+    renderCards();
+    showToast(
+        count === 1 ? `1 card ${verb}${suffix}` : `${count} cards ${verb}s${suffix}`,
+        'success',
+        { label: 'Desfazer', onClick: undoChange }
+    );
+
+    return count;
+}
@@ -0,0 +1,274 @@
+// calendar.js - Visualização mensal em calendário (cards de todas as abas)
+
+import { getState } from './state.js';
+import { updateExistingCard, openEditCardModal } from './cards.js';
+import { openCardModal } from './modals.js';
+import {
+    parseDate,
+    formatDateForInput,
+    getToday,
+    getWeekday,
+    capitalize,
+    escapeHtml,
+    formatTime,
+    sortByDate,
+    getPriorityColor,
+    getStatusColor,
+    getTabLabel,
+    escapeAttribute
+} from './utils.js';
+
+// Cards exibidos por dia antes do botão "+N"
+const MAX_CARDS_PER_DAY = 3;
+
+// Primeiro dia do mês exibido (null = mês atual)
+let visibleMonth = null;
+
+// Dias com todos os cards visíveis (após clicar em "+N")
+const expandedDays = new Set();
+
+/**
+ * Renderiza o calendário do mês exibido
+ * @param {HTMLElement} container - Container da visualização
+ * @param {Object} state - Estado da aplicação
+ */
+export function renderCalendar(container, state) {
+    if (!visibleMonth) {
+        const today = new Date();
+        visibleMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    }
+
+    const days = getMonthDays(visibleMonth);
+    const cardsByDate = groupCardsByDate(state.cards);
+    const monthLabel = capitalize(visibleMonth.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' }));
+
+    container.innerHTML = `
+        <div class="calendar">
+            <div class="calendar-header">
+                <button type="button" class="icon-button" data-calendar-nav="-1" aria-label="Mês anterior">
+                    <svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M13 4l-6 6 6 6"/>
+                    </svg>
+                </button>
+                <h3 class="calendar-title" aria-live="polite">${monthLabel}</h3>
+                <button type="button" class="icon-button" data-calendar-nav="1" aria-label="Próximo mês">
+                    <svg width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M7 4l6 6-6 6"/>
+                    </svg>
+                </button>
+                <button type="button" class="btn-secondary calendar-today" data-calendar-nav="0">Hoje</button>
+            </div>
+            <div class="calendar-weekdays">
+                ${days.slice(0, 7).map(day => `<span>${getWeekday(day, true)}</span>`).join('')}
+            </div>
+            <div class="calendar-grid">
+                ${days.map(day => renderDay(day, cardsByDate.get(formatDateForInput(day)) || [])).join('')}
+            </div>
+        </div>
+    `;
+
+    bindCalendarEvents(container.querySelector('.calendar'), container);
+}
+
+/**
+ * Gera o HTML de um dia do calendário
+ * @param {Date} day - Dia
+ * @param {Array} cards - Cards do dia (já ordenados)
+ * @returns {string} HTML do dia
+ */
+function renderDay(day, cards) {
+    const date = formatDateForInput(day);
+    const isOtherMonth = day.getMonth() !== visibleMonth.getMonth();
+    const isExpanded = expandedDays.has(date);
+    const visibleCards = isExpanded ? cards : cards.slice(0, MAX_CARDS_PER_DAY);
+    const hiddenCount = cards.length - visibleCards.length;
+
+    const classes = ['calendar-day'];
+    if (isOtherMonth) classes.push('other-month');
+    if (date === getToday()) classes.push('today');
+
+    const label = day.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long' });
+
+    return `
+        <div class="${classes.join(' ')}" data-date="${date}" tabindex="0" aria-label="${label}, ${cards.length} cards. Enter para criar um card">
+            <span class="calendar-day-number">${day.getDate()}</span>
+            <div class="calendar-day-cards">
+                ${visibleCards.map(renderChip).join('')}
+                ${hiddenCount > 0 ? `<button type="button" class="calendar-more" data-expand="${date}">+${hiddenCount}</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Gera o HTML de um card no calendário (cor pela prioridade e pelo status)
+ * @param {Object} card - Card
+ * @returns {string} HTML do card
+ */
+function renderChip(card) {
+    const time = card.allDay ? '' : formatTime(card.time);
+    const classes = [
+        'calendar-chip',
+        `priority-${getPriorityColor(card.priority)}`,
+        `status-${getStatusColor(card.status)}`
+    ];
+
+    return `
+        <button type="button" class="${classes.join(' ')}" draggable="true" data-card-id="${escapeAttribute(card.id)}" title="${escapeAttribute(card.title)} · ${getTabLabel(card.tab)}">
+            ${time ? `<span class="calendar-chip-time">${time}</span>` : ''}
+            <span class="calendar-chip-title">${escapeHtml(card.title)}</span>
+        </button>
+    `;
+}
+
+/**
+ * Vincula os eventos do calendário (navegação, clique e arrastar)
+ * @param {HTMLElement} calendar - Elemento do calendário
+ * @param {HTMLElement} container - Container da visualização (para redesenhar)
+ */
+function bindCalendarEvents(calendar, container) {
+    calendar.addEventListener('click', (e) => {
+        const navButton = e.target.closest('[data-calendar-nav]');
+        if (navButton) {
+            changeMonth(Number(navButton.dataset.calendarNav));
+            renderCalendar(container, getState());
+            return;
+        }
+
+        const moreButton = e.target.closest('[data-expand]');
+        if (moreButton) {
+            expandedDays.add(moreButton.dataset.expand);
+            renderCalendar(container, getState());
+            return;
+        }
+
+        const chip = e.target.closest('.calendar-chip');
+        if (chip) {
+            const card = getState().cards.find(c => c.id === chip.dataset.cardId);
+            if (card) openEditCardModal(card);
+            return;
+        }
+
+        const day = e.target.closest('.calendar-day');
+        if (day) {
+            openCardModalForDate(day.dataset.date);
+        }
+    });
+
+    calendar.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('.calendar-day')) {
+            e.preventDefault();
+            openCardModalForDate(e.target.dataset.date);
+        }
+    });
+
+    // Arrastar um card para outro dia muda a data
+    calendar.addEventListener('dragstart', (e) => {
+        const chip = e.target.closest('.calendar-chip');
+        if (!chip) return;
+
+        e.dataTransfer.setData('text/plain', chip.dataset.cardId);
+        e.dataTransfer.effectAllowed = 'move';
+        chip.classList.add('dragging');
+    });
+
+    calendar.addEventListener('dragend', (e) => {
+        e.target.closest('.calendar-chip')?.classList.remove('dragging');
+        calendar.querySelectorAll('.drop-target').forEach(day => day.classList.remove('drop-target'));
+    });
+
+    calendar.addEventListener('dragover', (e) => {
+        const day = e.target.closest('.calendar-day');
+        if (!day) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        calendar.querySelectorAll('.drop-target').forEach(other => {
+            if (other !== day) other.classList.remove('drop-target');
+        });
+        day.classList.add('drop-target');
+    });
+
+    calendar.addEventListener('drop', (e) => {
+        const day = e.target.closest('.calendar-day');
+        if (!day) return;
+
+        e.preventDefault();
+        day.classList.remove('drop-target');
+
+        const cardId = e.dataTransfer.getData('text/plain');
+        rescheduleCard(cardId, day.dataset.date);
+    });
+}
+
+/**
+ * Move um card para outra data
+ * @param {string} cardId - ID do card
+ * @param {string} date - Nova data (YYYY-MM-DD)
+ * @returns {Promise<boolean>} True se o card foi atualizado
+ */
+export async function rescheduleCard(cardId, date) {
+    const card = getState().cards.find(c => c.id === cardId);
+    if (!card || card.date === date) return false;
+
+    return updateExistingCard(cardId, { date });
+}
+
+/**
+ * Abre o modal de criação com a data do dia clicado
+ * @param {string} date - Data (YYYY-MM-DD)
+ */
+function openCardModalForDate(date) {
+    const { activeTab } = getState();
+    openCardModal(null, activeTab, { date });
+}
+
+/**
+ * Avança ou volta o mês exibido
+ * @param {number} delta - Meses a avançar (0 volta para o mês atual)
+ */
+function changeMonth(delta) {
+    if (delta === 0) {
+        const today = new Date();
+        visibleMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    } else {
+        visibleMonth = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + delta, 1);
+    }
+
+    expandedDays.clear();
+}
+
+/**
+ * Lista os dias exibidos no mês: semanas completas, de domingo a sábado
+ * @param {Date} month - Primeiro dia do mês
+ * @returns {Date[]} Dias do calendário
+ */
+function getMonthDays(month) {
+    const firstDay = new Date(month.getFullYear(), month.getMonth(), 1);
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    const weeks = Math.ceil((firstDay.getDay() + daysInMonth) / 7);
+
+    return Array.from({ length: weeks * 7 }, (_, index) =>
+        new Date(month.getFullYear(), month.getMonth(), index - firstDay.getDay() + 1)
+    );
+}
+
+/**
+ * Agrupa os cards com data por dia, em ordem de horário
+ * @param {Array} cards - Cards de todas as abas
+ * @returns {Map<string, Array>} Cards por data (YYYY-MM-DD)
+ */
+function groupCardsByDate(cards) {
+    const cardsByDate = new Map();
+
+    sortByDate(cards.filter(card => card.date && !isNaN(parseDate(card.date).getTime())))
+        .forEach(card => {
+            if (!cardsByDate.has(card.date)) {
+                cardsByDate.set(card.date, []);
+            }
+            cardsByDate.get(card.date).push(card);
+        });
+
+    return cardsByDate;
+}
@@ -0,0 +1,445 @@
+// card-reorder.js - Reordenação dos cards da grade por toque (segurar e arrastar) e pelo teclado
+// O arrastar nativo (draggable) continua em cards.js para o mouse; no toque os eventos
+// de drag não disparam, então o card é levantado após um toque longo e segue o dedo
+
+import { getState } from './state.js';
+import { renderCards, reorderExistingCards, moveCardToTab, getContainerCardIds } from './cards.js';
+
+// Tempo segurando o card antes de levantá-lo (ms)
+const LONG_PRESS_DELAY = 350;
+
+// Movimento tolerado antes do toque longo; passou disso, é rolagem (px)
+const MOVE_TOLERANCE = 8;
+
+// Faixa junto às bordas da área de conteúdo que rola a página (px)
+const SCROLL_EDGE = 60;
+const MAX_SCROLL_SPEED = 16;
+
+const NAV_TAB_SELECTOR = '.bottom-navigation [data-tab], .sidebar [data-tab]';
+
+// Arraste por toque em andamento (ou aguardando o toque longo)
+let touchDrag = null;
+
+// Card pego pelo teclado
+let keyboardDrag = null;
+
+/**
+ * Inicializa a reordenação por toque e por teclado (eventos delegados no documento,
+ * então valem para os cards de qualquer renderização)
+ */
+export function initCardReorder() {
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('pointermove', handlePointerMove, { passive: false });
+    document.addEventListener('pointerup', handlePointerUp);
+    document.addEventListener('pointercancel', () => endTouchDrag(false));
+
+    // Com o card levantado o dedo arrasta o card, não a página
+    document.addEventListener('touchmove', (e) => {
+        if (touchDrag?.lifted) e.preventDefault();
+    }, { passive: false });
+
+    // O toque longo também abre o menu de contexto: segurar parado mostra o menu,
+    // mas depois de mover o card o menu não aparece
+    document.addEventListener('contextmenu', (e) => {
+        if (!touchDrag) return;
+
+        if (touchDrag.moved) {
+            e.preventDefault();
+            e.stopPropagation();
+        } else {
+            endTouchDrag(false);
+        }
+    }, true);
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('focusout', (e) => {
+        if (keyboardDrag && !keyboardDrag.isMoving && e.target === keyboardDrag.card) {
+            cancelKeyboardDrag();
+        }
+    });
+}
+
+// ===== TOQUE =====
+
+/**
+ * Início do toque: agenda o toque longo que levanta o card
+ * @param {PointerEvent} e - Evento de ponteiro
+ */
+function handlePointerDown(e) {
+    if (e.pointerType === 'mouse' || !e.isPrimary || touchDrag) return;
+
+    const card = e.target.closest('.cards-container .card[draggable="true"]');
+    if (!card || e.target.closest('button, a, input, .card-checklist')) return;
+
+    touchDrag = {
+        pointerId: e.pointerId,
+        card,
+        startX: e.clientX,
+        startY: e.clientY,
+        x: e.clientX,
+        y: e.clientY,
+        lifted: false,
+        moved: false,
+        placeholder: null,
+        tabTarget: null,
+        scrollFrame: null,
+        timer: setTimeout(liftCard, LONG_PRESS_DELAY)
+    };
+}
+
+/**
+ * Move o card levantado (ou cancela o toque longo se o dedo começou a rolar)
+ * @param {PointerEvent} e - Evento de ponteiro
+ */
+function handlePointerMove(e) {
+    if (!touchDrag || e.pointerId !== touchDrag.pointerId) return;
+
+    touchDrag.x = e.clientX;
+    touchDrag.y = e.clientY;
+
+    if (!touchDrag.lifted) {
+        const distance = Math.hypot(e.clientX - touchDrag.startX, e.clientY - touchDrag.startY);
+        if (distance > MOVE_TOLERANCE) endTouchDrag(false);
+        return;
+    }
+
+    e.preventDefault();
+    touchDrag.moved = true;
+    positionLiftedCard();
+    updateDropPosition();
+}
+
+/**
+ * Fim do toque: solta o card levantado
+ * @param {PointerEvent} e - Evento de ponteiro
+ */
+function handlePointerUp(e) {
+    if (!touchDrag || e.pointerId !== touchDrag.pointerId) return;
+
+    const wasLifted = touchDrag.lifted;
+    endTouchDrag(true);
+
+    // O clique que segue o toque não deve abrir o card
+    if (wasLifted) {
+        document.addEventListener('click', (clickEvent) => {
+            clickEvent.preventDefault();
+            clickEvent.stopPropagation();
+        }, { capture: true, once: true });
+    }
+}
+
+/**
+ * Levanta o card após o toque longo: um espaço reservado ocupa o seu lugar
+ * e o card passa a seguir o dedo
+ */
+function liftCard() {
+    const { card } = touchDrag;
+    const rect = card.getBoundingClientRect();
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'card-placeholder';
+    placeholder.style.height = `${rect.height}px`;
+    card.before(placeholder);
+
+    touchDrag.lifted = true;
+    touchDrag.placeholder = placeholder;
+    touchDrag.offsetX = touchDrag.startX - rect.left;
+    touchDrag.offsetY = touchDrag.startY - rect.top;
+
+    card.style.width = `${rect.width}px`;
+    card.classList.add('dragging', 'lifted');
+    document.body.classList.add('touch-reordering');
+    positionLiftedCard();
+
+    navigator.vibrate?.(15);
+    touchDrag.scrollFrame = requestAnimationFrame(autoScroll);
+}
+
+/**
+ * Posiciona o card levantado sob o dedo
+ */
+function positionLiftedCard() {
+    const { card, x, y, offsetX, offsetY } = touchDrag;
+    card.style.left = `${x - offsetX}px`;
+    card.style.top = `${y - offsetY}px`;
+}
+
+/**
+ * Move o espaço reservado para junto do card sob o dedo e destaca a aba
+ * da navegação sob o dedo (soltar nela move o card de aba)
+ */
+function updateDropPosition() {
+    const { card, placeholder, x, y } = touchDrag;
+    const target = document.elementFromPoint(x, y);
+
+    const tabItem = target?.closest(NAV_TAB_SELECTOR);
+    const cardData = getState().cards.find(c => c.id === card.dataset.cardId);
+    const tabTarget = tabItem && cardData && cardData.tab !== tabItem.dataset.tab ? tabItem : null;
+
+    if (tabTarget !== touchDrag.tabTarget) {
+        touchDrag.tabTarget?.classList.remove('drop-target');
+        tabTarget?.classList.add('drop-target');
+        touchDrag.tabTarget = tabTarget;
+    }
+
+    // Com ordenação ou grupos o card só pode mudar de aba
+    if (!card.classList.contains('reorderable')) return;
+
+    const overCard = target?.closest('.card');
+    if (!overCard || overCard === card || overCard.parentElement !== placeholder.parentElement) return;
+
+    // Passa para o outro lado do card sob o dedo (funciona em lista e em grade)
+    const siblings = [...placeholder.parentElement.children];
+    if (siblings.indexOf(placeholder) < siblings.indexOf(overCard)) {
+        overCard.after(placeholder);
+    } else {
+        overCard.before(placeholder);
+    }
+}
+
+/**
+ * Rola a área de conteúdo enquanto o dedo está perto da borda de cima ou de baixo
+ */
+function autoScroll() {
+    if (!touchDrag?.lifted) return;
+
+    const scroller = touchDrag.card.closest('.main-content') || document.scrollingElement;
+    const rect = scroller.getBoundingClientRect();
+    const top = Math.max(rect.top, 0);
+    const bottom = Math.min(rect.bottom, window.innerHeight);
+    let speed = 0;
+
+    if (touchDrag.y < top + SCROLL_EDGE) {
+        speed = -Math.ceil(MAX_SCROLL_SPEED * (1 - Math.max(touchDrag.y - top, 0) / SCROLL_EDGE));
+    } else if (touchDrag.y > bottom - SCROLL_EDGE) {
+        speed = Math.ceil(MAX_SCROLL_SPEED * (1 - Math.max(bottom - touchDrag.y, 0) / SCROLL_EDGE));
+    }
+
+    if (speed !== 0) {
+        scroller.scrollTop += speed;
+        updateDropPosition();
+    }
+
+    touchDrag.scrollFrame = requestAnimationFrame(autoScroll);
+}
+
+/**
+ * Encerra o arraste por toque
+ * @param {boolean} commit - Aplicar a nova posição (false devolve o card ao lugar)
+ */
+function endTouchDrag(commit) {
+    if (!touchDrag) return;
+
+    const { card, placeholder, tabTarget, lifted } = touchDrag;
+    clearTimeout(touchDrag.timer);
+    cancelAnimationFrame(touchDrag.scrollFrame);
+    touchDrag = null;
+
+    if (!lifted) return;
+
+    card.classList.remove('dragging', 'lifted');
+    card.style.left = '';
+    card.style.top = '';
+    card.style.width = '';
+    tabTarget?.classList.remove('drop-target');
+    document.body.classList.remove('touch-reordering');
+
+    // O card não saiu do lugar no DOM; só o espaço reservado se moveu
+    const container = placeholder.parentElement;
+    const originalIds = getContainerCardIds(container);
+
+    if (commit && card.isConnected && placeholder.isConnected) {
+        placeholder.replaceWith(card);
+    } else {
+        placeholder.remove();
+    }
+
+    if (!commit || !card.isConnected) return;
+
+    if (tabTarget) {
+        moveCardToTab(card.dataset.cardId, tabTarget.dataset.tab);
+        return;
+    }
+
+    const cardIds = getContainerCardIds(container);
+    if (cardIds.join() !== originalIds.join()) {
+        reorderExistingCards(cardIds);
+    }
+}
+
+// ===== TECLADO =====
+
+/**
+ * Espaço pega o card em foco; com o card pego, as setas movem,
+ * Enter (ou Espaço) solta e Esc cancela
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handleKeyDown(e) {
+    if (keyboardDrag) {
+        handleGrabbedKey(e);
+        return;
+    }
+
+    if (e.key !== ' ' || e.repeat || !e.target.matches?.('.cards-container .card')) return;
+    if (getState().isSelectionMode) return;
+
+    e.preventDefault();
+
+    if (!e.target.classList.contains('reorderable')) {
+        announce('Os cards só podem ser reordenados na ordem manual, sem grupos');
+        return;
+    }
+
+    const card = e.target;
+    const container = card.parentElement;
+
+    keyboardDrag = { card, container, originalIds: getContainerCardIds(container), isMoving: false };
+    card.classList.add('grabbed');
+
+    const { index, total } = getPosition(card);
+    announce(`${getCardTitle(card)} pego, posição ${index} de ${total}. ` +
+        'Use as setas para mover, Enter para soltar e Esc para cancelar');
+}
+
+/**
+ * Teclas com um card pego
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handleGrabbedKey(e) {
+    switch (e.key) {
+        case 'ArrowUp':
+        case 'ArrowLeft':
+            e.preventDefault();
+            moveGrabbedCard(-1);
+            break;
+        case 'ArrowDown':
+        case 'ArrowRight':
+            e.preventDefault();
+            moveGrabbedCard(1);
+            break;
+        case 'Enter':
+        case ' ':
+            e.preventDefault();
+            dropKeyboardCard();
+            break;
+        case 'Escape':
+            e.preventDefault();
+            cancelKeyboardDrag();
+            break;
+    }
+}
+
+/**
+ * Troca o card pego de lugar com o vizinho
+ * @param {number} direction - -1 (para trás) ou 1 (para frente)
+ */
+function moveGrabbedCard(direction) {
+    const { card } = keyboardDrag;
+    const sibling = direction < 0
+        ? findSiblingCard(card, 'previousElementSibling')
+        : findSiblingCard(card, 'nextElementSibling');
+
+    if (sibling) {
+        // Mover o elemento tira o foco dele; o focusout não deve cancelar
+        keyboardDrag.isMoving = true;
+        if (direction < 0) {
+            sibling.before(card);
+        } else {
+            sibling.after(card);
+        }
+        card.focus();
+        keyboardDrag.isMoving = false;
+    }
+
+    const { index, total } = getPosition(card);
+    announce(`Posição ${index} de ${total}`);
+}
+
+/**
+ * Solta o card pego e salva a nova ordem
+ */
+function dropKeyboardCard() {
+    const { card, container, originalIds } = keyboardDrag;
+    const cardId = card.dataset.cardId;
+    const title = getCardTitle(card);
+    const { index, total } = getPosition(card);
+    const cardIds = getContainerCardIds(container);
+
+    keyboardDrag = null;
+    card.classList.remove('grabbed');
+
+    if (cardIds.join() !== originalIds.join()) {
+        // Mantém o foco no card depois da nova renderização
+        reorderExistingCards(cardIds);
+        document.getElementById(`card-${cardId}`)?.focus();
+    }
+
+    announce(`${title} solto na posição ${index} de ${total}`);
+}
+
+/**
+ * Cancela o card pego e o devolve à posição original
+ */
+function cancelKeyboardDrag() {
+    const { card } = keyboardDrag;
+
+    keyboardDrag = null;
+    card.classList.remove('grabbed');
+
+    // A renderização devolve os cards à ordem salva (o foco fica no card)
+    renderCards();
+
+    const { index } = getPosition(card);
+    announce(`Reordenação cancelada. ${getCardTitle(card)} voltou para a posição ${index}`);
+}
+
+// ===== AUXILIARES =====
+
+/**
+ * Vizinho de um card que também é card (ignora indicadores e espaços reservados)
+ * @param {HTMLElement} card - Elemento do card
+ * @param {string} direction - 'previousElementSibling' ou 'nextElementSibling'
+ * @returns {HTMLElement|null} Card vizinho
+ */
+function findSiblingCard(card, direction) {
+    let sibling = card[direction];
+    while (sibling && !sibling.classList.contains('card')) {
+        sibling = sibling[direction];
+    }
+    return sibling;
+}
+
+/**
+ * Posição de um card no seu container (a partir de 1)
+ * @param {HTMLElement} card - Elemento do card
+ * @returns {{index: number, total: number}} Posição e total de cards
+ */
+function getPosition(card) {
+    const cardIds = getContainerCardIds(card.parentElement);
+    return { index: cardIds.indexOf(card.dataset.cardId) + 1, total: cardIds.length };
+}
+
+/**
+ * Título de um card para os avisos
+ * @param {HTMLElement} card - Elemento do card
+ * @returns {string} Título entre aspas
+ */
+function getCardTitle(card) {
+    const cardData = getState().cards.find(c => c.id === card.dataset.cardId);
+    return `"${cardData?.title || 'Card'}"`;
+}
+
+/**
+ * Anuncia uma mensagem para leitores de tela
+ * @param {string} message - Mensagem
+ */
+function announce(message) {
+    const announcer = document.getElementById('reorderAnnouncer');
+    if (!announcer) return;
+
+    // Limpar antes garante que a mesma mensagem seja lida de novo
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
@@ -8,34 +8,109 @@ import {
     daysUntil,
     capitalize,
     getStatusColor,
-    getPriorityColor
+    getPriorityColor,
+    getChecklistProgress,
+    formatTime,
+    formatDuration,
+    highlightMatches,
+    getAvailableTabs,
+    getTabLabel,
+    escapeAttribute
 } from './utils.js';
+import { parseSearchQuery, hasSearchCriteria, getHighlightTerms } from './search-query.js';
+import { countActiveFilters } from './filters.js';
+import { sortCards, groupCards } from './sorting.js';
 import {
     saveCard,
     updateCard,
     deleteCard,
+    archiveCards,
+    moveCardsToTab,
     reorderCards as reorderCardsInStorage,
-    getCardsByTab
+    importCards,
+    getCardsByTab,
+    getAllCards
 } from './storage.js';
+import { describeRecurrence } from './recurrence.js';
+import { describeReminder } from './reminders.js';
 import {
     getState,
     updateCards,
     setSelectedCard,
     setModalVisibility,
-    getCardsForActiveTab,
-    filterCardsBySearch
+    setViewOptions,
+    setSelectedCards,
+    filterCardsBySearch,
+    runCommand,
+    undoCommand,
+    redoCommand
 } from './state.js';
+import { showToast, undoChange } from './modals.js';
+
+// Containers que recebem os eventos delegados dos cards
+const CARD_CONTAINER_IDS = ['rotinaCards', 'economiaCards', 'lembretesCards', 'linksContainer'];
+
+// Último card clicado no modo de seleção (início do intervalo com Shift)
+let selectionAnchorId = null;
+
+// Elementos já desenhados por ID do card, com a assinatura dos dados usados no
+// desenho: se a assinatura não muda, o elemento é reaproveitado
+const renderedCards = new Map();
+
+// Grades sem grupos com mais cards que isso desenham só as linhas visíveis
+const VIRTUALIZE_THRESHOLD = 100;
+
+// Linhas desenhadas além da área visível, acima e abaixo
+const VIRTUAL_BUFFER_ROWS = 4;
+
+// Altura de uma linha (card + espaçamento) até a primeira medição, em px
+const DEFAULT_ROW_HEIGHT = 200;
+
+// Grades virtualizadas por ID do container: cards na ordem exibida,
+// janela desenhada (`start`/`end`) e altura medida das linhas
+const virtualLists = new Map();
+let virtualFrame = null;
 
 /**
- * Renderiza todos os cards da aba ativa
- * @param {Array} cards - Cards para renderizar (opcional, busca do state se não fornecido)
+ * Inicializa os containers de cards: os eventos dos cards (ações, clique, menu de
+ * contexto, checklist e arrastar) são delegados aos containers, então valem para
+ * qualquer card desenhado depois
+ */
+export function initCards() {
+    CARD_CONTAINER_IDS.forEach(containerId => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.addEventListener('click', handleContainerClick);
+        container.addEventListener('change', handleContainerChange);
+        container.addEventListener('contextmenu', handleContainerContextMenu);
+        container.addEventListener('dragstart', handleDragStart);
+        container.addEventListener('dragend', handleDragEnd);
+        container.addEventListener('dragover', handleDragOver);
+        container.addEventListener('dragenter', handleDragEnter);
+        container.addEventListener('dragleave', handleDragLeave);
+        container.addEventListener('drop', handleDrop);
+    });
+
+    // A janela das grades virtualizadas acompanha a rolagem e o tamanho da tela
+    document.querySelector('.main-content')?.addEventListener('scroll', scheduleVirtualWindows, { passive: true });
+    window.addEventListener('scroll', scheduleVirtualWindows, { passive: true });
+    window.addEventListener('resize', scheduleVirtualWindows);
+}
+
+/**
+ * Renderiza todos os cards da aba ativa. Os elementos são reaproveitados pelo ID:
+ * só os cards que mudaram são recriados e só os fora de lugar são movidos
+ * @param {Array} cards - Cards para renderizar (opcional: cards da aba ativa que correspondem à busca)
  */
 export function renderCards(cards = null) {
     const state = getState();
-    const cardsToRender = cards || getCardsForActiveTab();
+    const cardsToRender = cards || filterCardsBySearch(state.searchQuery, false);
 
-    // Limpa containers
-    clearAllCardContainers();
+    // Mover um elemento no DOM tira o foco dele; um card recriado (ex: concluído
+    // pelo teclado) passa o foco para o novo elemento
+    const focusedElement = document.activeElement;
+    const focusedCardId = focusedElement?.matches?.('.card, .link-item') ? focusedElement.dataset.cardId : null;
 
     // Renderiza cards para cada container
     renderTabCards('rotina', cardsToRender);
@@ -43,59 +118,378 @@ export function renderCards(cards = null) {
     renderTabCards('lembretes', cardsToRender);
     renderTabCards('links', cardsToRender);
 
+    // Esquece os cards que saíram da grade
+    renderedCards.forEach((entry, cardId) => {
+        if (!entry.element.isConnected) {
+            renderedCards.delete(cardId);
+        }
+    });
+
+    if (focusedElement?.isConnected && document.activeElement !== focusedElement) {
+        focusedElement.focus();
+    } else if (focusedCardId && !focusedElement.isConnected) {
+        renderedCards.get(focusedCardId)?.element.focus();
+    }
+
     // Atualiza contadores
     updateBadgeCounts();
 
     // Atualiza empty states
     updateEmptyStates();
+}
 
-    // Adiciona eventos de drag and drop
-    initDragAndDrop();
+/**
+ * Renderiza cards para uma aba específica
+ * @param {string} tabName - Nome da aba
+ * @param {Array} allCards - Todos os cards
+ */
+function renderTabCards(tabName, allCards) {
+    const containerId = `${tabName}Cards`;
+    const container = document.getElementById(containerId);
+
+    if (!container) return;
+
+    // Filtra e ordena os cards da aba conforme as opções da grade
+    const { sortBy, groupBy, collapsed } = getState().viewOptions[tabName];
+    const tabCards = sortCards(allCards.filter(card => card.tab === tabName), sortBy);
+
+    // Arrastar para reordenar só faz sentido na ordem manual, sem grupos
+    // (arrastar para outra aba, na navegação, funciona em qualquer ordem)
+    const isManualOrder = sortBy === 'manual' && groupBy === 'none';
+
+    if (groupBy === 'none' && tabName !== 'links' && tabCards.length > VIRTUALIZE_THRESHOLD) {
+        virtualLists.set(containerId, {
+            tabName,
+            cards: tabCards,
+            reorderable: isManualOrder,
+            start: 0,
+            end: 0,
+            rowHeight: virtualLists.get(containerId)?.rowHeight || DEFAULT_ROW_HEIGHT
+        });
+        renderVirtualWindow(container, true);
+        return;
+    }
+
+    virtualLists.delete(containerId);
+
+    if (groupBy === 'none') {
+        patchChildren(container, getCardElements(tabName, tabCards, isManualOrder));
+        return;
+    }
+
+    const groupElements = groupCards(tabCards, groupBy).map(group => {
+        const groupElement = getGroupElement(container, tabName, group, collapsed.includes(group.key));
+        patchChildren(groupElement.querySelector('.card-group-cards'), getCardElements(tabName, group.cards, false));
+        return groupElement;
+    });
+
+    patchChildren(container, groupElements);
 }
 
 /**
- * Limpa todos os containers de cards
+ * Retorna os elementos dos cards (ou links) de uma lista, reaproveitando os
+ * elementos dos cards que não mudaram desde a última renderização
+ * @param {string} tabName - Nome da aba
+ * @param {Array} cards - Cards ordenados
+ * @param {boolean} reorderable - Se os cards podem ser arrastados para reordenar
+ * @returns {HTMLElement[]} Elementos na ordem dos cards
  */
-function clearAllCardContainers() {
-    const containers = [
-        'rotinaCards',
-        'economiaCards',
-        'lembretesCards',
-        'linksContainer'
-    ];
+function getCardElements(tabName, cards, reorderable) {
+    const state = getState();
+    const isLink = tabName === 'links';
+
+    // No modo de seleção nada é arrastado
+    const draggable = !state.isSelectionMode;
+
+    // Tudo o que muda o desenho de um card além dos seus dados (a data de hoje
+    // muda 'Hoje', 'Amanhã' e vencidos)
+    const context = [state.searchQuery, state.isSelectionMode, draggable && reorderable, new Date().toDateString()];
+
+    return cards.map(card => {
+        const isSelected = state.selectedCardIds.includes(card.id);
+        // Posição e data de alteração não aparecem no card: reordenar só move os elementos
+        const signature = JSON.stringify([
+            { ...card, order: undefined, updatedAt: undefined },
+            isLink,
+            isSelected,
+            ...context
+        ]);
+        const rendered = renderedCards.get(card.id);
+
+        if (rendered?.signature === signature) {
+            return rendered.element;
+        }
 
-    containers.forEach(containerId => {
-        const container = document.getElementById(containerId);
-        if (container) {
-            container.innerHTML = '';
+        const element = isLink ? createLinkElement(card) : createCardElement(card);
+
+        if (!isLink) {
+            element.draggable = draggable;
+            element.classList.toggle('reorderable', draggable && reorderable);
+            if (draggable && reorderable) {
+                // Instruções de reordenação pelo teclado (ver card-reorder.js)
+                element.setAttribute('aria-describedby', 'reorderHelp');
+            }
         }
+
+        renderedCards.set(card.id, { element, signature });
+        return element;
     });
 }
 
 /**
- * Renderiza cards para uma aba específica
- * @param {string} tabName - Nome da aba
- * @param {Array} allCards - Todos os cards
+ * Desenha apenas as linhas de uma grade virtualizada que estão na área visível
+ * (mais uma margem); espaçadores no início e no fim mantêm a altura total
+ * @param {HTMLElement} container - Container da aba
+ * @param {boolean} force - Redesenhar mesmo que a janela não tenha mudado
  */
-function renderTabCards(tabName, allCards) {
-    const containerId = `${tabName}Cards`;
-    const container = document.getElementById(containerId);
+function renderVirtualWindow(container, force = false) {
+    const list = virtualLists.get(container.id);
+    if (!list) return;
 
-    if (!container) return;
+    // Durante um arraste os elementos estão fora da ordem salva: a janela espera
+    if (!force && container.querySelector('.dragging, .grabbed, .card-placeholder')) return;
 
-    // Filtra cards da aba
-    const tabCards = allCards.filter(card => card.tab === tabName);
+    const columns = getGridColumnCount(container);
+    const gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+    measureRowHeight(container, list, columns, gap);
 
-    if (tabName === 'links') {
-        // Renderiza links como itens especiais
-        renderLinkItems(tabCards, container);
-    } else {
-        // Renderiza cards normais
-        tabCards.forEach(card => {
-            const cardElement = createCardElement(card);
-            container.appendChild(cardElement);
+    const totalRows = Math.ceil(list.cards.length / columns);
+    const { top, bottom } = getVisibleRange(container);
+    const firstRow = Math.min(Math.max(Math.floor(top / list.rowHeight) - VIRTUAL_BUFFER_ROWS, 0), totalRows);
+    const lastRow = Math.min(Math.max(Math.ceil(bottom / list.rowHeight) + VIRTUAL_BUFFER_ROWS, firstRow + 1), totalRows);
+    const start = firstRow * columns;
+    const end = Math.min(lastRow * columns, list.cards.length);
+
+    if (!force && start === list.start && end === list.end) return;
+
+    list.start = start;
+    list.end = end;
+
+    const elements = getCardElements(list.tabName, list.cards.slice(start, end), list.reorderable);
+
+    // Cada espaçador ocupa uma linha inteira da grade (o espaçamento entre linhas conta)
+    if (firstRow > 0) {
+        elements.unshift(getVirtualSpacer(container, 'top', firstRow * list.rowHeight - gap));
+    }
+    if (lastRow < totalRows) {
+        elements.push(getVirtualSpacer(container, 'bottom', (totalRows - lastRow) * list.rowHeight - gap));
+    }
+
+    patchChildren(container, elements);
+}
+
+/**
+ * Agenda a atualização das grades virtualizadas para o próximo quadro
+ */
+function scheduleVirtualWindows() {
+    if (virtualFrame || virtualLists.size === 0) return;
+
+    virtualFrame = requestAnimationFrame(() => {
+        virtualFrame = null;
+        virtualLists.forEach((list, containerId) => {
+            const container = document.getElementById(containerId);
+            if (container) renderVirtualWindow(container);
         });
+    });
+}
+
+/**
+ * Atualiza a altura média das linhas a partir dos cards desenhados
+ * @param {HTMLElement} container - Container da aba
+ * @param {Object} list - Grade virtualizada
+ * @param {number} columns - Colunas da grade
+ * @param {number} gap - Espaçamento entre linhas (px)
+ */
+function measureRowHeight(container, list, columns, gap) {
+    const cardElements = [...container.children].filter(child => child.classList.contains('card'));
+    if (cardElements.length === 0) return;
+
+    const first = cardElements[0].getBoundingClientRect();
+    const last = cardElements[cardElements.length - 1].getBoundingClientRect();
+    const rows = Math.ceil(cardElements.length / columns);
+
+    // Grade oculta (outra aba ou visualização) não tem medidas
+    if (last.bottom > first.top) {
+        list.rowHeight = (last.bottom - first.top + gap) / rows;
+    }
+}
+
+/**
+ * Número de colunas da grade (muda com a largura da tela)
+ * @param {HTMLElement} container - Container da aba
+ * @returns {number} Colunas
+ */
+function getGridColumnCount(container) {
+    const columns = getComputedStyle(container).gridTemplateColumns.split(' ').filter(Boolean);
+    return Math.max(columns.length, 1);
+}
+
+/**
+ * Trecho do container que aparece na tela, em px a partir do topo do container
+ * @param {HTMLElement} container - Container da aba
+ * @returns {{top: number, bottom: number}} Início e fim do trecho visível
+ */
+function getVisibleRange(container) {
+    const containerTop = container.getBoundingClientRect().top;
+    const scrollerRect = getScrollContainer(container).getBoundingClientRect();
+    const viewTop = Math.max(scrollerRect.top, 0);
+    const viewBottom = Math.min(scrollerRect.bottom, window.innerHeight) || window.innerHeight;
+
+    return { top: viewTop - containerTop, bottom: viewBottom - containerTop };
+}
+
+/**
+ * Elemento que rola a grade: a área de conteúdo ou, se ela não rolar, a página
+ * @param {HTMLElement} container - Container da aba
+ * @returns {HTMLElement} Elemento com rolagem
+ */
+function getScrollContainer(container) {
+    const mainContent = container.closest('.main-content');
+    return mainContent && mainContent.scrollHeight > mainContent.clientHeight
+        ? mainContent
+        : document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Espaçador de uma grade virtualizada (reaproveitado entre as renderizações)
+ * @param {HTMLElement} container - Container da aba
+ * @param {string} edge - 'top' ou 'bottom'
+ * @param {number} height - Altura em px
+ * @returns {HTMLElement} Espaçador
+ */
+function getVirtualSpacer(container, edge, height) {
+    let spacer = [...container.children].find(child => child.dataset.virtualSpacer === edge);
+
+    if (!spacer) {
+        spacer = document.createElement('div');
+        spacer.className = 'virtual-spacer';
+        spacer.dataset.virtualSpacer = edge;
+        spacer.setAttribute('aria-hidden', 'true');
     }
+
+    spacer.style.height = `${Math.max(height, 0)}px`;
+    return spacer;
+}
+
+/**
+ * IDs dos cards de um container na ordem exibida, incluindo os que a janela
+ * de uma grade virtualizada deixou fora do DOM
+ * @param {HTMLElement} container - Container de cards
+ * @returns {string[]} IDs dos cards
+ */
+export function getContainerCardIds(container) {
+    if (!container) return [];
+
+    const domIds = [...container.children]
+        .filter(child => child.classList.contains('card'))
+        .map(child => child.dataset.cardId);
+
+    const list = virtualLists.get(container.id);
+    if (!list) return domIds;
+
+    const ids = list.cards.map(card => card.id);
+    return [...ids.slice(0, list.start), ...domIds, ...ids.slice(list.end)];
+}
+
+/**
+ * Rola a grade até um card. Numa grade virtualizada o card pode não estar no
+ * DOM: rola até a linha estimada e desenha a janela em volta dele
+ * @param {string} cardId - ID do card
+ */
+function scrollToCard(cardId) {
+    let cardElement = document.getElementById(`card-${cardId}`);
+
+    if (!cardElement) {
+        for (const [containerId, list] of virtualLists) {
+            const index = list.cards.findIndex(card => card.id === cardId);
+            if (index === -1) continue;
+
+            const container = document.getElementById(containerId);
+            const scroller = getScrollContainer(container);
+            const row = Math.floor(index / getGridColumnCount(container));
+
+            scroller.scrollTop += row * list.rowHeight - getVisibleRange(container).top;
+            renderVirtualWindow(container, true);
+            cardElement = document.getElementById(`card-${cardId}`);
+            break;
+        }
+    }
+
+    cardElement?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Ajusta os filhos de um container para a lista de elementos: move apenas os
+ * que estão fora de lugar e remove os que sobraram
+ * @param {HTMLElement} container - Container
+ * @param {HTMLElement[]} elements - Filhos na ordem desejada
+ */
+function patchChildren(container, elements) {
+    const keep = new Set(elements);
+
+    [...container.children].forEach(child => {
+        if (!keep.has(child)) child.remove();
+    });
+
+    elements.forEach((element, index) => {
+        const current = container.children[index];
+        if (current !== element) {
+            container.insertBefore(element, current || null);
+        }
+    });
+}
+
+/**
+ * Retorna a seção de um grupo, reaproveitando a já desenhada (atualiza título,
+ * contador e estado recolhido) ou criando uma nova
+ * @param {HTMLElement} container - Container da aba
+ * @param {string} tabName - Nome da aba
+ * @param {{key: string, label: string, cards: Array}} group - Grupo (ver sorting.js)
+ * @param {boolean} isCollapsed - Se o grupo está recolhido
+ * @returns {HTMLElement} Elemento do grupo
+ */
+function getGroupElement(container, tabName, group, isCollapsed) {
+    const groupElement = [...container.children].find(child => child.dataset.group === group.key);
+    if (!groupElement) {
+        return createGroupElement(tabName, group, isCollapsed);
+    }
+
+    groupElement.classList.toggle('collapsed', isCollapsed);
+    groupElement.querySelector('.card-group-toggle').setAttribute('aria-expanded', String(!isCollapsed));
+    groupElement.querySelector('.card-group-title').textContent = group.label;
+    groupElement.querySelector('.card-group-count').textContent = group.cards.length;
+    groupElement.querySelector('.card-group-cards').hidden = isCollapsed;
+
+    return groupElement;
+}
+
+/**
+ * Cria a seção de um grupo com cabeçalho recolhível e contador
+ * @param {string} tabName - Nome da aba
+ * @param {{key: string, label: string, cards: Array}} group - Grupo (ver sorting.js)
+ * @param {boolean} isCollapsed - Se o grupo está recolhido
+ * @returns {HTMLElement} Elemento do grupo
+ */
+function createGroupElement(tabName, group, isCollapsed) {
+    const groupElement = document.createElement('section');
+    const listId = `${tabName}-group-${group.key.replace(/[^a-z0-9-]/gi, '-')}`;
+
+    groupElement.className = `card-group${isCollapsed ? ' collapsed' : ''}`;
+    groupElement.dataset.group = group.key;
+    groupElement.innerHTML = `
+        <h3 class="card-group-header">
+            <button type="button" class="card-group-toggle" aria-expanded="${!isCollapsed}" aria-controls="${listId}">
+                <svg class="card-group-chevron" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M4 6l4 4 4-4"/>
+                </svg>
+                <span class="card-group-title">${escapeHtml(group.label)}</span>
+                <span class="card-group-count">${group.cards.length}</span>
+            </button>
+        </h3>
+        <div class="card-group-cards" id="${listId}" ${isCollapsed ? 'hidden' : ''}></div>
+    `;
+
+    return groupElement;
 }
 
 /**
@@ -104,11 +498,19 @@ function renderTabCards(tabName, allCards) {
  * @returns {HTMLElement} Elemento do card
  */
 function createCardElement(card) {
+    const state = getState();
+    const searchTerms = getHighlightTerms(state.searchQuery);
+    const isSelected = state.selectedCardIds.includes(card.id);
     const cardElement = document.createElement('div');
     cardElement.className = 'card';
     cardElement.id = `card-${card.id}`;
     cardElement.dataset.cardId = card.id;
-    cardElement.draggable = true;
+    cardElement.tabIndex = 0;
+
+    if (state.isSelectionMode) {
+        cardElement.classList.add('selectable');
+        cardElement.classList.toggle('selected', isSelected);
+    }
 
     // Adiciona classes condicionais
     if (isToday(card.date)) {
@@ -123,13 +525,23 @@ function createCardElement(card) {
     cardElement.innerHTML = `
         <div class="card-status ${card.status}"></div>
         <div class="card-header">
-            <h3 class="card-title">${escapeHtml(card.title)}</h3>
+            ${state.isSelectionMode ? `
+                <input type="checkbox" class="card-select" ${isSelected ? 'checked' : ''} />
+            ` : ''}
+            <h3 class="card-title">${highlightMatches(card.title, searchTerms)}</h3>
             <div class="card-actions">
                 <button class="card-action-btn edit" data-action="edit" aria-label="Editar">
                     <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 5l4 4m-6-6L4 14l-4 4 4-4 9-9z"/>
                     </svg>
                 </button>
+                ${card.status === 'concluido' ? `
+                    <button class="card-action-btn archive" data-action="archive" aria-label="Arquivar">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M2 4h14v3H2zM3 7v8h12V7M7 10h4"/>
+                        </svg>
+                    </button>
+                ` : ''}
                 <button class="card-action-btn delete" data-action="delete" aria-label="Excluir">
                     <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M3 6h14M5 6V4a2 2 0 012-2h6a2 2 0 012 2v2m-3 0v10M9 6v10"/>
@@ -147,12 +559,28 @@ function createCardElement(card) {
                         <span>${getDateInfo(card)}</span>
                     </div>
                 ` : ''}
+                ${card.recurrence ? `
+                    <div class="meta-item recurrence">
+                        <svg width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M1 4v4h4M13 10V6H9M2.5 9a5 5 0 008.5 1.5L13 8M1 6l2-2.5A5 5 0 0111.5 5"/>
+                        </svg>
+                        <span>${describeRecurrence(card.recurrence)}</span>
+                    </div>
+                ` : ''}
+                ${card.date && card.reminders?.length ? `
+                    <div class="meta-item reminder">
+                        <svg width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M7 1a4 4 0 00-4 4v3l-1.5 2.5h11L11 8V5a4 4 0 00-4-4zM5.5 12.5a1.5 1.5 0 003 0"/>
+                        </svg>
+                        <span>${card.reminders.length === 1 ? describeReminder(card.reminders[0]) : `${card.reminders.length} lembretes`}</span>
+                    </div>
+                ` : ''}
                 ${card.category ? `
                     <div class="meta-item">
                         <svg width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M7 4h10M7 10h10M7 16h10M3 4h.01M3 10h.01M3 16h.01"/>
                         </svg>
-                        <span>${capitalize(card.category)}</span>
+                        <span>${highlightMatches(capitalize(card.category), searchTerms)}</span>
                     </div>
                 ` : ''}
             </div>
@@ -172,6 +600,8 @@ function createCardElement(card) {
                     ${capitalize(card.status)}
                 </span>
             ` : ''}
+            ${card.notes ? `<p class="card-notes">${highlightMatches(card.notes, searchTerms)}</p>` : ''}
+            ${renderChecklist(card)}
             ${card.link ? `
                 <div class="card-link" data-action="open-link">
                     <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
@@ -186,22 +616,44 @@ function createCardElement(card) {
         </div>
     `;
 
-    // Adiciona eventos
-    addCardEventListeners(cardElement, card);
+    // Título vem do usuário: atribuído pelo DOM, fora do HTML
+    cardElement.querySelector('.card-select')?.setAttribute('aria-label', `Selecionar ${card.title}`);
 
     return cardElement;
 }
 
 /**
- * Renderiza itens de link especiais
- * @param {Array} linkCards - Cards do tipo link
- * @param {HTMLElement} container - Container para renderizar
+ * Gera o HTML da checklist do card (progresso e itens marcáveis)
+ * @param {Object} card - Dados do card
+ * @returns {string} HTML da checklist ou string vazia
  */
-function renderLinkItems(linkCards, container) {
-    linkCards.forEach(card => {
-        const linkElement = createLinkElement(card);
-        container.appendChild(linkElement);
-    });
+function renderChecklist(card) {
+    const checklist = Array.isArray(card.checklist) ? card.checklist : [];
+    if (checklist.length === 0) return '';
+
+    const { done, total } = getChecklistProgress(checklist);
+    const percent = Math.round((done / total) * 100);
+
+    return `
+        <div class="card-checklist">
+            <div class="checklist-progress">
+                <span class="checklist-progress-text">${done}/${total}</span>
+                <div class="checklist-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${done}">
+                    <div class="checklist-progress-fill" style="width: ${percent}%"></div>
+                </div>
+            </div>
+            <ul class="checklist-items">
+                ${checklist.map(item => `
+                    <li class="checklist-item ${item.done ? 'done' : ''}">
+                        <label>
+                            <input type="checkbox" data-action="toggle-check" data-item-id="${escapeAttribute(item.id)}" ${item.done ? 'checked' : ''} />
+                            <span>${escapeHtml(item.text)}</span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
 }
 
 /**
@@ -214,9 +666,11 @@ function createLinkElement(card) {
     linkElement.className = 'link-item';
     linkElement.id = `link-${card.id}`;
     linkElement.dataset.cardId = card.id;
+    linkElement.tabIndex = 0;
 
     const domain = card.link ? getDomainFromUrl(card.link) : 'App';
     const title = card.title || 'Link rápido';
+    const searchTerms = getHighlightTerms(getState().searchQuery);
 
     linkElement.innerHTML = `
         <div class="link-item-icon">
@@ -224,94 +678,219 @@ function createLinkElement(card) {
                 <path d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"/>
             </svg>
         </div>
-        <h4 class="link-item-title">${escapeHtml(title)}</h4>
-        <div class="link-item-url">${escapeHtml(domain)}</div>
+        <h4 class="link-item-title">${highlightMatches(title, searchTerms)}</h4>
+        <div class="link-item-url">${highlightMatches(domain, searchTerms)}</div>
     `;
 
-    // Adiciona eventos
-    if (card.link) {
-        linkElement.addEventListener('click', () => {
-            setSelectedCard(card.id);
-            showLinkModal(card);
-        });
+    return linkElement;
+}
 
-        // Menu de contexto para editar/excluir
-        linkElement.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            showContextMenu(e, card);
-        });
+/**
+ * Cliques nos containers: cabeçalhos de grupo, botões de ação e o próprio card
+ * @param {MouseEvent} e - Evento de clique
+ */
+function handleContainerClick(e) {
+    // Recolhe/expande um grupo
+    const groupToggle = e.target.closest('.card-group-toggle');
+    if (groupToggle) {
+        toggleGroup(e.currentTarget.id.replace('Cards', ''), groupToggle.closest('.card-group').dataset.group);
+        return;
     }
 
-    linkElement.addEventListener('click', (e) => {
-        if (!e.target.closest('.link-item')) return;
+    const element = e.target.closest('[data-card-id]');
+    const card = element && getCardFromElement(element);
+    if (!card) return;
+
+    // Links rápidos: abre o link (ou a edição, se não tiver link)
+    if (element.classList.contains('link-item')) {
         setSelectedCard(card.id);
-        // Se não tem link, abre para edição
-        if (!card.link) {
+        if (card.link) {
+            showLinkModal(card);
+        } else {
             openEditCardModal(card);
         }
+        return;
+    }
+
+    switch (e.target.closest('[data-action]')?.dataset.action) {
+        case 'edit':
+            setSelectedCard(card.id);
+            openEditCardModal(card);
+            return;
+        case 'delete':
+            setSelectedCard(card.id);
+            showDeleteModal(card);
+            return;
+        case 'archive':
+            // Arquivar card (apenas concluídos)
+            archiveExistingCards([card.id]);
+            return;
+        case 'open-link':
+            setSelectedCard(card.id);
+            showLinkModal(card);
+            return;
+    }
+
+    if (e.target.closest('.card-actions')) return;
+
+    // A checklist marca o item (ver handleContainerChange), mesmo no modo de seleção
+    if (e.target.closest('.card-checklist')) return;
+
+    // No modo de seleção o clique (ou a caixa) marca o card
+    if (getState().isSelectionMode) {
+        toggleCardSelection(card.id, e.shiftKey);
+        return;
+    }
+
+    setSelectedCard(card.id);
+    // Se tem link, mostra modal de confirmação
+    if (card.link) {
+        showLinkModal(card);
+    } else {
+        // Se não tem link, abre para edição
+        openEditCardModal(card);
+    }
+}
+
+/**
+ * Marca/desmarca itens da checklist dos cards
+ * @param {Event} e - Evento de mudança
+ */
+function handleContainerChange(e) {
+    const checkbox = e.target.closest('[data-action="toggle-check"]');
+    if (!checkbox) return;
+
+    toggleChecklistItem(checkbox.closest('[data-card-id]').dataset.cardId, checkbox.dataset.itemId);
+}
+
+/**
+ * Menu de contexto dos cards (e dos links rápidos com link)
+ * @param {MouseEvent} e - Evento de menu de contexto
+ */
+function handleContainerContextMenu(e) {
+    const element = e.target.closest('.card, .link-item');
+    const card = element && getCardFromElement(element);
+    if (!card || (element.classList.contains('link-item') && !card.link)) return;
+
+    e.preventDefault();
+    showContextMenu(e, card);
+}
+
+/**
+ * Recolhe ou expande um grupo da grade
+ * @param {string} tabName - Nome da aba
+ * @param {string} groupKey - Chave do grupo
+ */
+function toggleGroup(tabName, groupKey) {
+    const { collapsed } = getState().viewOptions[tabName];
+
+    setViewOptions(tabName, {
+        collapsed: collapsed.includes(groupKey)
+            ? collapsed.filter(key => key !== groupKey)
+            : [...collapsed, groupKey]
     });
+}
 
-    return linkElement;
+/**
+ * Dados do card de um elemento da grade
+ * @param {HTMLElement} element - Elemento com `data-card-id`
+ * @returns {Object|undefined} Card
+ */
+function getCardFromElement(element) {
+    return getState().cards.find(card => card.id === element.dataset.cardId);
 }
 
 /**
- * Adiciona event listeners a um elemento de card
- * @param {HTMLElement} cardElement - Elemento do card
- * @param {Object} card - Dados do card
+ * Marca ou desmarca um card no modo de seleção. Com Shift, marca todos os
+ * cards entre o último clicado e este (na ordem exibida na grade)
+ * @param {string} cardId - ID do card
+ * @param {boolean} extendRange - Marcar o intervalo (Shift)
  */
-function addCardEventListeners(cardElement, card) {
-    // Editar card
-    const editBtn = cardElement.querySelector('[data-action="edit"]');
-    if (editBtn) {
-        editBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            setSelectedCard(card.id);
-            openEditCardModal(card);
-        });
+export function toggleCardSelection(cardId, extendRange = false) {
+    const { selectedCardIds } = getState();
+    const visibleIds = getVisibleCardIds();
+    const anchorIndex = visibleIds.indexOf(selectionAnchorId);
+    const index = visibleIds.indexOf(cardId);
+
+    if (extendRange && anchorIndex !== -1 && index !== -1) {
+        const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        setSelectedCards([...selectedCardIds, ...visibleIds.slice(from, to + 1)]);
+    } else if (selectedCardIds.includes(cardId)) {
+        setSelectedCards(selectedCardIds.filter(id => id !== cardId));
+    } else {
+        setSelectedCards([...selectedCardIds, cardId]);
     }
 
-    // Excluir card
-    const deleteBtn = cardElement.querySelector('[data-action="delete"]');
-    if (deleteBtn) {
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            setSelectedCard(card.id);
-            showDeleteModal(card);
-        });
-    }
+    selectionAnchorId = cardId;
+}
 
-    // Abrir link
-    const linkBtn = cardElement.querySelector('[data-action="open-link"]');
-    if (linkBtn) {
-        linkBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            setSelectedCard(card.id);
-            showLinkModal(card);
-        });
+/**
+ * Marca todos os cards exibidos na aba ativa (ou desmarca, se já estiverem todos marcados)
+ */
+export function selectAllInTab() {
+    const { selectedCardIds } = getState();
+    const visibleIds = getVisibleCardIds();
+    const allSelected = visibleIds.length > 0 && visibleIds.every(id => selectedCardIds.includes(id));
+
+    setSelectedCards(allSelected
+        ? selectedCardIds.filter(id => !visibleIds.includes(id))
+        : [...selectedCardIds, ...visibleIds]);
+}
+
+/**
+ * IDs dos cards da aba ativa na ordem em que aparecem na grade
+ * (respeita busca, filtros, ordenação e grupos)
+ * @returns {string[]} IDs dos cards
+ */
+function getVisibleCardIds() {
+    const { activeTab } = getState();
+
+    // Grade virtualizada: inclui os cards fora da janela desenhada
+    const list = virtualLists.get(`${activeTab}Cards`);
+    if (list) return list.cards.map(card => card.id);
+
+    return [...document.querySelectorAll(`#${activeTab}Cards .card[data-card-id]`)]
+        .map(element => element.dataset.cardId);
+}
+
+/**
+ * Sincroniza a grade com o modo de seleção e os cards marcados
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateSelectionFromState(state, oldState = null) {
+    if (!oldState) return;
+
+    // Entrar ou sair do modo muda a estrutura dos cards (caixas e arrastar)
+    if (state.isSelectionMode !== oldState.isSelectionMode) {
+        selectionAnchorId = null;
+        renderCards();
+        return;
     }
 
-    // Clique no card
-    cardElement.addEventListener('click', (e) => {
-        if (e.target.closest('.card-actions')) return;
-        if (e.target.closest('.card-link')) return;
+    if (state.selectedCardIds === oldState.selectedCardIds) return;
 
-        setSelectedCard(card.id);
-        // Se tem link, mostra modal de confirmação
-        if (card.link) {
-            showLinkModal(card);
-        } else {
-            // Se não tem link, abre para edição
-            openEditCardModal(card);
-        }
-    });
+    const selectedIds = new Set(state.selectedCardIds);
+    document.querySelectorAll('.card.selectable').forEach(cardElement => {
+        const isSelected = selectedIds.has(cardElement.dataset.cardId);
+        cardElement.classList.toggle('selected', isSelected);
 
-    // Menu de contexto
-    cardElement.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        showContextMenu(e, card);
+        const checkbox = cardElement.querySelector('.card-select');
+        if (checkbox) checkbox.checked = isSelected;
     });
 }
 
+/**
+ * Rola a grade até o card selecionado (setSelectedCard)
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior
+ */
+export function updateSelectedCardFromState(state, oldState = null) {
+    if (!oldState || !state.selectedCardId || state.selectedCardId === oldState.selectedCardId) return;
+
+    scrollToCard(state.selectedCardId);
+}
+
 /**
  * Mostra modal para abrir link/deep link
  * @param {Object} card - Card com link
@@ -337,7 +916,7 @@ function showDeleteModal(card) {
  * Abre modal para editar um card
  * @param {Object} card - Card a ser editado
  */
-function openEditCardModal(card) {
+export function openEditCardModal(card) {
     setSelectedCard(card.id);
     setModalVisibility('cardModal', true);
 
@@ -365,15 +944,12 @@ export function createNewCard(defaultTab = null) {
  * @returns {boolean} Sucesso da operação
  */
 export async function updateExistingCard(cardId, cardData) {
-    const updatedCard = updateCard(cardId, cardData);
+    const updatedCard = runCommand('Editar card', () => updateCard(cardId, cardData));
 
     if (updatedCard) {
-        // Atualiza estado
-        const state = getState();
-        const updatedCards = state.cards.map(card =>
-            card.id === cardId ? updatedCard : card
-        );
-        updateCards(updatedCards);
+        // Atualiza estado a partir do storage (a conclusão de um card recorrente
+        // também cria a próxima ocorrência)
+        updateCards(getAllCards());
 
         // Re-renderiza
         renderCards();
@@ -383,19 +959,49 @@ export async function updateExistingCard(cardId, cardData) {
     return false;
 }
 
+/**
+ * Salva uma nova ordem de cards (campo `order`) e atualiza a interface
+ * @param {string[]} cardIds - IDs na nova ordem
+ * @returns {boolean} Sucesso da operação
+ */
+export function reorderExistingCards(cardIds) {
+    if (!runCommand('Reordenar cards', () => reorderCardsInStorage(cardIds))) {
+        return false;
+    }
+
+    updateCards(getAllCards());
+    renderCards();
+    return true;
+}
+
+/**
+ * Marca/desmarca um item da checklist de um card
+ * @param {string} cardId - ID do card
+ * @param {string} itemId - ID do item da checklist
+ * @returns {boolean} Sucesso da operação
+ */
+export async function toggleChecklistItem(cardId, itemId) {
+    const card = getAllCards().find(c => c.id === cardId);
+    if (!card || !Array.isArray(card.checklist)) return false;
+
+    const checklist = card.checklist.map(item =>
+        item.id === itemId ? { ...item, done: !item.done } : item
+    );
+
+    return updateExistingCard(cardId, { checklist });
+}
+
 /**
  * Remove um card
  * @param {string} cardId - ID do card a remover
  * @returns {boolean} Sucesso da operação
  */
 export async function removeCard(cardId) {
-    const success = deleteCard(cardId);
+    const success = runCommand('Excluir card', () => deleteCard(cardId));
 
     if (success) {
-        // Atualiza estado
-        const state = getState();
-        const updatedCards = state.cards.filter(card => card.id !== cardId);
-        updateCards(updatedCards);
+        // Atualiza estado (o card vai para a lixeira; a ordem dos demais não muda)
+        updateCards(getAllCards());
 
         // Re-renderiza
         renderCards();
@@ -405,11 +1011,87 @@ export async function removeCard(cardId) {
     return false;
 }
 
+/**
+ * Move cards para o arquivo e oferece desfazer
+ * @param {string[]} cardIds - IDs dos cards
+ * @returns {number} Quantidade de cards arquivados
+ */
+export function archiveExistingCards(cardIds) {
+    const archivedCards = runCommand(
+        cardIds.length === 1 ? 'Arquivar card' : 'Arquivar cards',
+        () => archiveCards(cardIds)
+    );
+
+    if (archivedCards.length === 0) return 0;
+
+    updateCards(getAllCards());
+    renderCards();
+    showToast(
+        archivedCards.length === 1 ? `"${archivedCards[0].title}" arquivado` : `${archivedCards.length} cards arquivados`,
+        'success',
+        { label: 'Desfazer', onClick: undoChange }
+    );
+
+    return archivedCards.length;
+}
+
+/**
+ * Move um card para o fim de outra aba (ao soltá-lo sobre a navegação)
+ * @param {string} cardId - ID do card
+ * @param {string} tabName - Aba de destino
+ * @returns {boolean} True se o card mudou de aba
+ */
+export function moveCardToTab(cardId, tabName) {
+    const [movedCard] = runCommand('Mover card', () => moveCardsToTab([cardId], tabName));
+    if (!movedCard) return false;
+
+    updateCards(getAllCards());
+    renderCards();
+    showToast(`"${movedCard.title}" movido para ${getTabLabel(tabName)}`, 'success', { label: 'Desfazer', onClick: undoChange });
+    return true;
+}
+
+/**
+ * Importa cards de um JSON exportado (a importação pode ser desfeita)
+ * @param {string} jsonString - Conteúdo do arquivo exportado
+ * @returns {Object} Resultado da importação (ver storage.importCards)
+ */
+export function importCardsFromJson(jsonString) {
+    const result = runCommand('Importar cards', () => importCards(jsonString));
+
+    if (result.imported > 0) {
+        updateCards(getAllCards());
+        renderCards();
+    }
+
+    return result;
+}
+
+/**
+ * Desfaz a última alteração de cards
+ * @returns {{label: string}|null} Alteração desfeita ou null se não houver
+ */
+export function undoLastChange() {
+    const command = undoCommand();
+    if (command) renderCards();
+    return command;
+}
+
+/**
+ * Refaz a última alteração desfeita
+ * @returns {{label: string}|null} Alteração refeita ou null se não houver
+ */
+export function redoLastChange() {
+    const command = redoCommand();
+    if (command) renderCards();
+    return command;
+}
+
 /**
  * Atualiza os badges de contagem em cada aba
  */
 function updateBadgeCounts() {
-    const tabs = ['rotina', 'economia', 'lembretes', 'links'];
+    const tabs = getAvailableTabs().map(t => t.value);
 
     tabs.forEach(tab => {
         const badgeElement = document.getElementById(`${tab}Count`);
@@ -438,7 +1120,9 @@ function updateBadgeCounts() {
  * Atualiza os empty states (mensagens quando não há cards)
  */
 function updateEmptyStates() {
-    const tabs = ['rotina', 'economia', 'lembretes', 'links'];
+    const tabs = getAvailableTabs().map(t => t.value);
+    const state = getState();
+    const isSearching = hasSearchCriteria(parseSearchQuery(state.searchQuery)) || countActiveFilters(state.filters) > 0;
 
     tabs.forEach(tab => {
         const emptyStateElement = document.getElementById(`${tab}EmptyState`);
@@ -447,7 +1131,8 @@ function updateEmptyStates() {
         if (emptyStateElement && cardsContainer) {
             const hasCards = cardsContainer.children.length > 0;
 
-            if (hasCards) {
+            // Busca/filtro sem resultados: o resumo explica, não o convite para criar
+            if (hasCards || isSearching) {
                 emptyStateElement.style.display = 'none';
                 cardsContainer.style.display = 'grid';
             } else {
@@ -458,33 +1143,20 @@ function updateEmptyStates() {
     });
 }
 
-/**
- * Inicializa funcionalidade de drag and drop para reordenar cards
- */
-function initDragAndDrop() {
-    const cards = document.querySelectorAll('.card[draggable="true"]');
-
-    cards.forEach(card => {
-        card.addEventListener('dragstart', handleDragStart);
-        card.addEventListener('dragend', handleDragEnd);
-        card.addEventListener('dragover', handleDragOver);
-        card.addEventListener('dragenter', handleDragEnter);
-        card.addEventListener('dragleave', handleDragLeave);
-        card.addEventListener('drop', handleDrop);
-    });
-}
-
 /**
  * Handler para início do drag
  * @param {DragEvent} e - Evento de drag
  */
 function handleDragStart(e) {
-    e.dataTransfer.setData('text/plain', e.target.dataset.cardId);
-    e.target.classList.add('dragging');
+    const cardElement = e.target.closest('.card');
+    if (!cardElement) return;
+
+    e.dataTransfer.setData('text/plain', cardElement.dataset.cardId);
+    cardElement.classList.add('dragging');
 
     // Adiciona efeito visual
     setTimeout(() => {
-        e.target.style.opacity = '0.4';
+        cardElement.style.opacity = '0.4';
     }, 0);
 }
 
@@ -493,8 +1165,11 @@ function handleDragStart(e) {
  * @param {DragEvent} e - Evento de drag
  */
 function handleDragEnd(e) {
-    e.target.classList.remove('dragging');
-    e.target.style.opacity = '';
+    const cardElement = e.target.closest('.card');
+    if (cardElement) {
+        cardElement.classList.remove('dragging');
+        cardElement.style.opacity = '';
+    }
 
     // Remove indicadores de drop
     document.querySelectorAll('.drop-indicator').forEach(indicator => {
@@ -507,12 +1182,12 @@ function handleDragEnd(e) {
  * @param {DragEvent} e - Evento de drag
  */
 function handleDragOver(e) {
-    e.preventDefault();
+    const draggingCard = document.querySelector('.card.dragging');
+    const container = e.currentTarget;
 
-    const draggingCard = document.querySelector('.dragging');
-    const container = e.currentTarget.closest('.cards-container');
+    if (!draggingCard?.classList.contains('reorderable') || !container.contains(draggingCard)) return;
 
-    if (!container || !draggingCard) return;
+    e.preventDefault();
 
     const afterElement = getDragAfterElement(container, e.clientY);
     const dropIndicator = container.querySelector('.drop-indicator');
@@ -531,10 +1206,11 @@ function handleDragOver(e) {
  * @param {DragEvent} e - Evento de drag
  */
 function handleDragEnter(e) {
-    e.preventDefault();
+    const draggingCard = document.querySelector('.card.dragging');
+    const container = e.currentTarget;
+    if (!draggingCard?.classList.contains('reorderable') || !container.contains(draggingCard)) return;
 
-    const container = e.currentTarget.closest('.cards-container');
-    if (!container) return;
+    e.preventDefault();
 
     // Adiciona indicador de drop
     let dropIndicator = container.querySelector('.drop-indicator');
@@ -554,8 +1230,7 @@ function handleDragEnter(e) {
 function handleDragLeave(e) {
     // Só remove o indicador se saiu do container
     if (!e.currentTarget.contains(e.relatedTarget)) {
-        const container = e.currentTarget.closest('.cards-container');
-        const dropIndicator = container?.querySelector('.drop-indicator');
+        const dropIndicator = e.currentTarget.querySelector('.drop-indicator');
         if (dropIndicator) {
             dropIndicator.classList.remove('active');
         }
@@ -571,9 +1246,10 @@ function handleDrop(e) {
 
     const cardId = e.dataTransfer.getData('text/plain');
     const draggedCard = document.getElementById(`card-${cardId}`);
-    const container = e.currentTarget.closest('.cards-container');
+    const container = e.currentTarget;
 
-    if (!draggedCard || !container) return;
+    // Com ordenação ou grupos, soltar sobre outro card não reordena
+    if (!draggedCard?.classList.contains('reorderable') || !container.contains(draggedCard)) return;
 
     const afterElement = getDragAfterElement(container, e.clientY);
     const dropIndicator = container.querySelector('.drop-indicator');
@@ -589,37 +1265,8 @@ function handleDrop(e) {
         dropIndicator.remove();
     }
 
-    // Atualiza ordem no storage
-    const cardIds = Array.from(container.children)
-        .filter(child => child.classList.contains('card'))
-        .map(card => card.dataset.cardId);
-
-    reorderCardsInStorage(cardIds);
-
-    // Atualiza estado
-    const state = getState();
-    reorderCardsInState(cardIds);
-}
-
-/**
- * Reordena cards no estado
- * @param {string[]} cardIds - IDs na nova ordem
- */
-function reorderCardsInState(cardIds) {
-    const state = getState();
-    const tab = state.activeTab;
-    const tabCards = getCardsByTab(tab);
-
-    // Reordena apenas os cards da aba atual
-    const orderedCards = cardIds.map(id =>
-        tabCards.find(card => card.id === id)
-    ).filter(Boolean);
-
-    // Mantém outros cards
-    const otherCards = state.cards.filter(card => card.tab !== tab);
-    const allCards = [...orderedCards, ...otherCards];
-
-    updateCards(allCards);
+    // Atualiza ordem no storage e no estado
+    reorderExistingCards(getContainerCardIds(container));
 }
 
 /**
@@ -644,19 +1291,24 @@ function getDragAfterElement(container, y) {
 }
 
 /**
- * Retorna informação formatada sobre a data do card
+ * Retorna informação formatada sobre a data e o horário do card
  * @param {Object} card - Card com data
- * @returns {string} Informação da data
+ * @returns {string} Informação da data (ex: 'Hoje, 14:30 (1h)')
  */
-function getDateInfo(card) {
+export function getDateInfo(card) {
     if (!card.date) return 'Sem data';
 
-    if (isToday(card.date)) {
-        return 'Hoje';
+    const dayLabel = isToday(card.date) ? 'Hoje' : getDaysDescription(daysUntil(card.date));
+
+    if (card.allDay) {
+        return `${dayLabel} (dia inteiro)`;
     }
 
-    const days = daysUntil(card.date);
-    return getDaysDescription(days);
+    const time = formatTime(card.time);
+    if (!time) return dayLabel;
+
+    const duration = formatDuration(card.duration);
+    return duration ? `${dayLabel}, ${time} (${duration})` : `${dayLabel}, ${time}`;
 }
 
 /**
@@ -719,6 +1371,12 @@ function showContextMenu(e, card) {
             </svg>
             <span>Abrir link</span>
         </div>
+        <div class="context-menu-item" data-action="archive" ${card.status !== 'concluido' ? 'style="display:none"' : ''}>
+            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M2 4h14v3H2zM3 7v8h12V7M7 10h4"/>
+            </svg>
+            <span>Arquivar</span>
+        </div>
         <div class="context-menu-item delete" data-action="delete">
             <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M3 6h14M5 6V4a2 2 0 012-2h6a2 2 0 012 2v2m-3 0v10M9 6v10"/>
@@ -737,6 +1395,8 @@ function showContextMenu(e, card) {
         } else if (action === 'open-link' && card.link) {
             setSelectedCard(card.id);
             showLinkModal(card);
+        } else if (action === 'archive' && card.status === 'concluido') {
+            archiveExistingCards([card.id]);
         } else if (action === 'delete') {
             setSelectedCard(card.id);
             showDeleteModal(card);
@@ -0,0 +1,276 @@
+// filter-panel.js - Painel de filtros (#filterButton) e filtros salvos na sidebar
+
+import {
+    getState,
+    setFilters,
+    clearFilters,
+    saveFilterSet,
+    deleteFilterSet,
+    applyFilterSet,
+    filterCardsBySearch
+} from './state.js';
+import { renderCards } from './cards.js';
+import { showToast } from './modals.js';
+import { countActiveFilters, areFiltersEqual } from './filters.js';
+import { escapeHtml, getAvailableStatus, getAvailablePriorities, getAvailableCategories, getAvailableTabs, escapeAttribute } from './utils.js';
+
+// Grupos de múltipla escolha: campo do filtro → container e opções
+const OPTION_GROUPS = [
+    { key: 'status', containerId: 'filterStatus', options: getAvailableStatus },
+    { key: 'priority', containerId: 'filterPriority', options: getAvailablePriorities },
+    { key: 'category', containerId: 'filterCategory', options: getAvailableCategories },
+    { key: 'tab', containerId: 'filterTab', options: getAvailableTabs }
+];
+
+/**
+ * Inicializa o painel de filtros e a lista de filtros salvos
+ */
+export function initFilterPanel() {
+    const filterButton = document.getElementById('filterButton');
+    const panel = document.getElementById('filterPanel');
+    const form = document.getElementById('filterForm');
+
+    if (!filterButton || !panel || !form) return;
+
+    OPTION_GROUPS.forEach(({ key, containerId, options }) => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = options().map(option => `
+            <label class="filter-chip">
+                <input type="checkbox" name="${key}" value="${option.value}" />
+                <span>${option.label}</span>
+            </label>
+        `).join('');
+    });
+
+    filterButton.addEventListener('click', () => setPanelOpen(panel.hidden));
+    document.getElementById('filterPanelClose')?.addEventListener('click', () => setPanelOpen(false));
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            setPanelOpen(false);
+            filterButton.focus();
+        }
+    });
+
+    // Os filtros valem assim que são alterados
+    form.addEventListener('change', (e) => {
+        if (e.target.id === 'filterSetName') return;
+        setFilters(readFiltersFromForm(form));
+    });
+
+    document.getElementById('filterClear')?.addEventListener('click', clearFilters);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSaveFilterSet();
+    });
+
+    document.getElementById('savedFiltersList')?.addEventListener('click', (e) => {
+        const deleteButton = e.target.closest('[data-delete-filter]');
+        if (deleteButton) {
+            deleteFilterSet(deleteButton.dataset.deleteFilter);
+            return;
+        }
+
+        const applyButton = e.target.closest('[data-filter-set]');
+        if (applyButton) {
+            applyFilterSet(applyButton.dataset.filterSet);
+        }
+    });
+
+    updateFilterPanelFromState(getState());
+}
+
+/**
+ * Sincroniza o painel, o botão de filtros e a lista de filtros salvos com o estado
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateFilterPanelFromState(state, oldState = null) {
+    const filtersChanged = !oldState || state.filters !== oldState.filters;
+
+    if (filtersChanged) {
+        fillFormFromFilters(state.filters);
+        updateFilterButton(state.filters);
+
+        if (oldState) {
+            renderCards();
+        }
+    }
+
+    if (filtersChanged || state.savedFilters !== oldState.savedFilters) {
+        renderSavedFilters(state);
+    }
+
+    if (filtersChanged || state.cards !== oldState.cards || state.activeTab !== oldState.activeTab) {
+        updateFilterSummary(state);
+    }
+}
+
+/**
+ * Abre o painel de filtros (ex: pela paleta de comandos)
+ */
+export function openFilterPanel() {
+    if (document.getElementById('filterPanel')) {
+        setPanelOpen(true);
+    }
+}
+
+/**
+ * Abre ou fecha o painel de filtros
+ * @param {boolean} isOpen - True para abrir
+ */
+function setPanelOpen(isOpen) {
+    const panel = document.getElementById('filterPanel');
+    const filterButton = document.getElementById('filterButton');
+
+    panel.hidden = !isOpen;
+    filterButton.setAttribute('aria-expanded', String(isOpen));
+
+    if (isOpen) {
+        panel.querySelector('input')?.focus();
+    }
+}
+
+/**
+ * Lê os filtros marcados no formulário
+ * @param {HTMLFormElement} form - Formulário do painel
+ * @returns {Object} Filtros
+ */
+function readFiltersFromForm(form) {
+    const filters = {};
+
+    OPTION_GROUPS.forEach(({ key }) => {
+        filters[key] = [...form.querySelectorAll(`input[name="${key}"]:checked`)].map(input => input.value);
+    });
+
+    filters.dateFrom = document.getElementById('filterDateFrom')?.value || '';
+    filters.dateTo = document.getElementById('filterDateTo')?.value || '';
+    filters.hasLink = document.getElementById('filterHasLink')?.checked === true;
+
+    return filters;
+}
+
+/**
+ * Marca no formulário os filtros do estado
+ * @param {Object} filters - Filtros ativos
+ */
+function fillFormFromFilters(filters) {
+    const form = document.getElementById('filterForm');
+    if (!form) return;
+
+    OPTION_GROUPS.forEach(({ key }) => {
+        form.querySelectorAll(`input[name="${key}"]`).forEach(input => {
+            input.checked = filters[key].includes(input.value);
+        });
+    });
+
+    const dateFrom = document.getElementById('filterDateFrom');
+    const dateTo = document.getElementById('filterDateTo');
+    const hasLink = document.getElementById('filterHasLink');
+
+    if (dateFrom) dateFrom.value = filters.dateFrom;
+    if (dateTo) dateTo.value = filters.dateTo;
+    if (hasLink) hasLink.checked = filters.hasLink;
+}
+
+/**
+ * Mostra no botão de filtros quantos critérios estão ativos
+ * @param {Object} filters - Filtros ativos
+ */
+function updateFilterButton(filters) {
+    const filterButton = document.getElementById('filterButton');
+    if (!filterButton) return;
+
+    const count = countActiveFilters(filters);
+    let badge = filterButton.querySelector('.filter-count');
+
+    if (count === 0) {
+        badge?.remove();
+    } else {
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'filter-count';
+            filterButton.appendChild(badge);
+        }
+        badge.textContent = count;
+    }
+
+    filterButton.classList.toggle('active', count > 0);
+    filterButton.setAttribute('aria-label', count > 0 ? `Filtrar (${count} ativos)` : 'Filtrar');
+}
+
+/**
+ * Atualiza o resumo de cards que atendem aos filtros
+ * @param {Object} state - Estado atual
+ */
+function updateFilterSummary(state) {
+    const summary = document.getElementById('filterSummary');
+    if (!summary) return;
+
+    if (countActiveFilters(state.filters) === 0) {
+        summary.textContent = 'Nenhum filtro ativo';
+        return;
+    }
+
+    const count = filterCardsBySearch('', false).filter(card => card.tab === state.activeTab).length;
+    summary.textContent = `${count} ${count === 1 ? 'card corresponde' : 'cards correspondem'} nesta aba`;
+}
+
+/**
+ * Salva os filtros atuais com o nome digitado
+ */
+function handleSaveFilterSet() {
+    const nameInput = document.getElementById('filterSetName');
+    const state = getState();
+
+    if (countActiveFilters(state.filters) === 0) {
+        showToast('Escolha algum filtro antes de salvar', 'warning');
+        return;
+    }
+
+    const filterSet = saveFilterSet(nameInput?.value || '');
+    if (!filterSet) {
+        showToast('Dê um nome ao filtro', 'warning');
+        nameInput?.focus();
+        return;
+    }
+
+    nameInput.value = '';
+    showToast(`Filtro "${filterSet.name}" salvo`, 'success');
+}
+
+/**
+ * Desenha os filtros salvos na sidebar (o ativo fica destacado)
+ * @param {Object} state - Estado atual
+ */
+function renderSavedFilters(state) {
+    const section = document.getElementById('savedFilters');
+    const list = document.getElementById('savedFiltersList');
+    if (!section || !list) return;
+
+    section.hidden = state.savedFilters.length === 0;
+
+    list.innerHTML = state.savedFilters.map(filterSet => {
+        const isActive = countActiveFilters(state.filters) > 0 && areFiltersEqual(filterSet.filters, state.filters);
+
+        return `
+            <li class="saved-filter ${isActive ? 'active' : ''}">
+                <button type="button" class="saved-filter-apply" data-filter-set="${escapeAttribute(filterSet.id)}" aria-pressed="${isActive}">
+                    <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M2 3h12l-4.5 5.5V13l-3 1.5V8.5z"/>
+                    </svg>
+                    <span>${escapeHtml(filterSet.name)}</span>
+                </button>
+                <button type="button" class="saved-filter-delete" data-delete-filter="${escapeAttribute(filterSet.id)}" aria-label="Excluir filtro ${escapeAttribute(filterSet.name)}">
+                    <svg width="14" height="14" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 3l8 8M11 3l-8 8"/>
+                    </svg>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
@@ -0,0 +1,125 @@
+// filters.js - Regras dos filtros do painel (status, prioridade, categoria, aba, datas, link)
+
+import { getAvailableStatus, getAvailablePriorities, getAvailableCategories, parseDate, getAvailableTabs } from './utils.js';
+
+/**
+ * Filtros ativos do painel. Listas vazias não filtram.
+ * @typedef {Object} CardFilters
+ * @property {string[]} status - Status aceitos
+ * @property {string[]} priority - Prioridades aceitas
+ * @property {string[]} category - Categorias aceitas
+ * @property {string[]} tab - Abas aceitas
+ * @property {string} dateFrom - Data inicial (YYYY-MM-DD, inclusiva) ou ''
+ * @property {string} dateTo - Data final (YYYY-MM-DD, inclusiva) ou ''
+ * @property {boolean} hasLink - Apenas cards com link
+ */
+
+/**
+ * Retorna filtros vazios (nenhum card é escondido)
+ * @returns {CardFilters} Filtros vazios
+ */
+export function getEmptyFilters() {
+    return {
+        status: [],
+        priority: [],
+        category: [],
+        tab: [],
+        dateFrom: '',
+        dateTo: '',
+        hasLink: false
+    };
+}
+
+/**
+ * Valida filtros vindos do painel ou das preferências salvas
+ * @param {*} filters - Filtros a validar
+ * @returns {CardFilters} Filtros válidos
+ */
+export function normalizeFilters(filters) {
+    const source = filters && typeof filters === 'object' ? filters : {};
+
+    const pick = (values, validValues) => Array.isArray(values)
+        ? [...new Set(values.filter(value => validValues.includes(value)))]
+        : [];
+
+    const normalizeDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(parseDate(date).getTime())
+        ? date
+        : '';
+
+    let dateFrom = normalizeDate(source.dateFrom);
+    let dateTo = normalizeDate(source.dateTo);
+
+    // Intervalo invertido: troca as datas
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+        [dateFrom, dateTo] = [dateTo, dateFrom];
+    }
+
+    return {
+        status: pick(source.status, getAvailableStatus().map(s => s.value)),
+        priority: pick(source.priority, getAvailablePriorities().map(p => p.value)),
+        category: pick(source.category, getAvailableCategories().map(c => c.value)),
+        tab: pick(source.tab, getAvailableTabs().map(t => t.value)),
+        dateFrom,
+        dateTo,
+        hasLink: source.hasLink === true
+    };
+}
+
+/**
+ * Conta quantos critérios estão ativos (exibido no botão de filtros)
+ * @param {CardFilters} filters - Filtros
+ * @returns {number} Quantidade de critérios
+ */
+export function countActiveFilters(filters) {
+    if (!filters) return 0;
+
+    return ['status', 'priority', 'category', 'tab'].filter(key => filters[key]?.length > 0).length +
+        (filters.dateFrom || filters.dateTo ? 1 : 0) +
+        (filters.hasLink ? 1 : 0);
+}
+
+/**
+ * Verifica se um card atende aos filtros
+ * @param {Object} card - Card
+ * @param {CardFilters} filters - Filtros
+ * @returns {boolean} True se o card deve aparecer
+ */
+export function matchesFilters(card, filters) {
+    if (!filters) return true;
+
+    if (filters.status.length > 0 && !filters.status.includes(card.status)) return false;
+    if (filters.priority.length > 0 && !filters.priority.includes(card.priority)) return false;
+    if (filters.category.length > 0 && !filters.category.includes(card.category)) return false;
+    if (filters.tab.length > 0 && !filters.tab.includes(card.tab)) return false;
+    if (filters.hasLink && !card.link) return false;
+
+    // Com intervalo de datas, cards sem data ficam de fora
+    if (filters.dateFrom || filters.dateTo) {
+        if (!card.date) return false;
+        if (filters.dateFrom && card.date < filters.dateFrom) return false;
+        if (filters.dateTo && card.date > filters.dateTo) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Compara dois conjuntos de filtros
+ * @param {CardFilters} a - Filtros
+ * @param {CardFilters} b - Filtros
+ * @returns {boolean} True se forem equivalentes
+ */
+export function areFiltersEqual(a, b) {
+    const normalizedA = normalizeFilters(a);
+    const normalizedB = normalizeFilters(b);
+
+    return Object.keys(normalizedA).every(key => {
+        const valueA = normalizedA[key];
+        const valueB = normalizedB[key];
+
+        if (Array.isArray(valueA)) {
+            return valueA.length === valueB.length && valueA.every(value => valueB.includes(value));
+        }
+        return valueA === valueB;
+    });
+}
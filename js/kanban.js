@@ -0,0 +1,244 @@
+// kanban.js - Quadro Kanban com uma coluna por status (Rotina e Lembretes)
+
+import { getState, runCommand } from './state.js';
+import { updateExistingCard, reorderExistingCards, openEditCardModal, getDateInfo } from './cards.js';
+import {
+    escapeHtml,
+    getAvailableStatus,
+    getChecklistProgress,
+    getPriorityColor,
+    getStatusColor,
+    escapeAttribute
+} from './utils.js';
+
+/**
+ * Renderiza o quadro Kanban da aba ativa
+ * @param {HTMLElement} container - Container da visualização
+ * @param {Object} state - Estado da aplicação
+ */
+export function renderKanban(container, state) {
+    const tab = state.activeTab;
+    const tabCards = state.cards.filter(card => card.tab === tab);
+    const counts = state.stats.byTabStatus?.[tab] || {};
+
+    container.innerHTML = `
+        <div class="kanban">
+            ${getAvailableStatus().map(status => {
+                const columnCards = tabCards.filter(card => card.status === status.value);
+
+                return `
+                    <section class="kanban-column status-${getStatusColor(status.value)}" data-status="${status.value}" aria-label="${status.label}">
+                        <header class="kanban-column-header">
+                            <h3 class="kanban-column-title">${status.label}</h3>
+                            <span class="kanban-column-count">${counts[status.value] ?? columnCards.length}</span>
+                        </header>
+                        <div class="kanban-column-cards">
+                            ${columnCards.map(renderKanbanCard).join('')}
+                        </div>
+                    </section>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    bindKanbanEvents(container.querySelector('.kanban'));
+}
+
+/**
+ * Gera o HTML de um card do quadro
+ * @param {Object} card - Card
+ * @returns {string} HTML do card
+ */
+function renderKanbanCard(card) {
+    const progress = getChecklistProgress(card.checklist);
+    const meta = [];
+
+    if (card.date) meta.push(getDateInfo(card));
+    if (progress.total > 0) meta.push(`${progress.done}/${progress.total}`);
+
+    return `
+        <article class="kanban-card priority-${getPriorityColor(card.priority)}" draggable="true" tabindex="0" data-card-id="${escapeAttribute(card.id)}">
+            <h4 class="kanban-card-title">${escapeHtml(card.title)}</h4>
+            ${meta.length > 0 ? `<div class="kanban-card-meta">${meta.map(item => `<span>${item}</span>`).join('')}</div>` : ''}
+        </article>
+    `;
+}
+
+/**
+ * Vincula os eventos do quadro (abrir card e arrastar entre/dentro das colunas)
+ * @param {HTMLElement} board - Elemento do quadro
+ */
+function bindKanbanEvents(board) {
+    let draggedCard = null;
+
+    board.addEventListener('click', (e) => {
+        const cardElement = e.target.closest('.kanban-card');
+        if (cardElement) {
+            openCard(cardElement.dataset.cardId);
+        }
+    });
+
+    board.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('.kanban-card')) {
+            e.preventDefault();
+            openCard(e.target.dataset.cardId);
+        }
+    });
+
+    board.addEventListener('dragstart', (e) => {
+        draggedCard = e.target.closest('.kanban-card');
+        if (!draggedCard) return;
+
+        e.dataTransfer.setData('text/plain', draggedCard.dataset.cardId);
+        e.dataTransfer.effectAllowed = 'move';
+        draggedCard.classList.add('dragging');
+    });
+
+    board.addEventListener('dragend', () => {
+        draggedCard?.classList.remove('dragging');
+        draggedCard = null;
+        clearDropIndicators(board);
+    });
+
+    board.addEventListener('dragover', (e) => {
+        const column = e.target.closest('.kanban-column');
+        if (!column) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        // Mostra onde o card vai entrar
+        const list = column.querySelector('.kanban-column-cards');
+        const afterElement = getDragAfterElement(list, e.clientY);
+        const indicator = board.querySelector('.kanban-drop-indicator') || createDropIndicator();
+
+        if (afterElement) {
+            list.insertBefore(indicator, afterElement);
+        } else {
+            list.appendChild(indicator);
+        }
+
+        board.querySelectorAll('.kanban-column.drop-target').forEach(other => {
+            if (other !== column) other.classList.remove('drop-target');
+        });
+        column.classList.add('drop-target');
+    });
+
+    board.addEventListener('drop', (e) => {
+        const column = e.target.closest('.kanban-column');
+        if (!column) return;
+
+        e.preventDefault();
+
+        const list = column.querySelector('.kanban-column-cards');
+        const beforeCard = getDragAfterElement(list, e.clientY);
+        const cardId = e.dataTransfer.getData('text/plain');
+
+        clearDropIndicators(board);
+        moveCardOnBoard(cardId, column.dataset.status, beforeCard?.dataset.cardId || null);
+    });
+}
+
+/**
+ * Move um card para uma coluna (status) e posição do quadro
+ * @param {string} cardId - ID do card
+ * @param {string} status - Status da coluna de destino
+ * @param {string|null} beforeCardId - Card que fica logo depois (null = fim da coluna)
+ * @returns {Promise<boolean>} True se o card mudou de status ou de posição
+ */
+export function moveCardOnBoard(cardId, status, beforeCardId = null) {
+    // Status e posição são desfeitos juntos
+    return runCommand('Mover card', () => moveCard(cardId, status, beforeCardId));
+}
+
+/**
+ * Altera o status e a posição de um card (ver moveCardOnBoard)
+ * @param {string} cardId - ID do card
+ * @param {string} status - Status da coluna de destino
+ * @param {string|null} beforeCardId - Card que fica logo depois (null = fim da coluna)
+ * @returns {Promise<boolean>} True se o card mudou de status ou de posição
+ */
+async function moveCard(cardId, status, beforeCardId) {
+    const card = getState().cards.find(c => c.id === cardId);
+    if (!card || cardId === beforeCardId) return false;
+
+    const statusChanged = card.status !== status;
+
+    if (statusChanged && !await updateExistingCard(cardId, { status })) {
+        return false;
+    }
+
+    // A ordem é a da aba inteira (campo `order`): o card é reposicionado
+    // entre os demais para que a grade mantenha a mesma sequência. A lista é
+    // lida depois da mudança de status, que pode criar a próxima ocorrência
+    // de um card recorrente
+    const { cards } = getState();
+    const tabIds = cards.filter(c => c.tab === card.tab).map(c => c.id);
+    const orderedIds = tabIds.filter(id => id !== cardId);
+
+    let insertAt = orderedIds.indexOf(beforeCardId);
+    if (insertAt === -1) {
+        // Fim da coluna: logo depois do último card com o mesmo status
+        const lastInColumn = cards
+            .filter(c => c.tab === card.tab && c.status === status && c.id !== cardId)
+            .pop();
+        insertAt = lastInColumn ? orderedIds.indexOf(lastInColumn.id) + 1 : orderedIds.length;
+    }
+    orderedIds.splice(insertAt, 0, cardId);
+
+    const orderChanged = orderedIds.some((id, index) => id !== tabIds[index]);
+
+    if (orderChanged) {
+        reorderExistingCards(orderedIds);
+    }
+
+    return statusChanged || orderChanged;
+}
+
+/**
+ * Abre o modal de edição de um card
+ * @param {string} cardId - ID do card
+ */
+function openCard(cardId) {
+    const card = getState().cards.find(c => c.id === cardId);
+    if (card) openEditCardModal(card);
+}
+
+/**
+ * Calcula o card que fica logo abaixo da posição do ponteiro
+ * @param {HTMLElement} list - Lista de cards da coluna
+ * @param {number} y - Posição Y do ponteiro
+ * @returns {HTMLElement|undefined} Card seguinte (undefined = fim da coluna)
+ */
+function getDragAfterElement(list, y) {
+    const cards = [...list.querySelectorAll('.kanban-card:not(.dragging)')];
+
+    return cards.reduce((closest, child) => {
+        const box = child.getBoundingClientRect();
+        const offset = y - box.top - box.height / 2;
+
+        if (offset < 0 && offset > closest.offset) {
+            return { offset, element: child };
+        }
+        return closest;
+    }, { offset: Number.NEGATIVE_INFINITY }).element;
+}
+
+/**
+ * Cria o indicador de posição exibido durante o arrastar
+ * @returns {HTMLElement} Indicador
+ */
+function createDropIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'kanban-drop-indicator';
+    return indicator;
+}
+
+/**
+ * Remove os indicadores de arrastar do quadro
+ * @param {HTMLElement} board - Elemento do quadro
+ */
+function clearDropIndicators(board) {
+    board.querySelector('.kanban-drop-indicator')?.remove();
+    board.querySelectorAll('.drop-target').forEach(column => column.classList.remove('drop-target'));
+}
@@ -0,0 +1,182 @@
+// migrations.js - Versionamento do schema dos cards e migrações ordenadas
+
+import { generateId, getAvailableCategories, getAvailableStatus, getAvailablePriorities, getAvailableTabs, normalizeChecklist, normalizeSchedule, normalizeReminders, normalizeNotes } from './utils.js';
+import { normalizeRecurrence } from './recurrence.js';
+
+/**
+ * Versão atual do schema dos cards.
+ * Ao adicionar campos ao card, incremente este valor e registre uma migração abaixo.
+ */
+export const CURRENT_SCHEMA_VERSION = 9;
+
+/**
+ * Migrações em ordem crescente de versão.
+ * Cada migração recebe os cards na versão anterior e retorna os cards em `version`.
+ * @type {Array<{version: number, description: string, migrate: function(Array): Array}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Normaliza os campos do card e recupera registros sem ID ou título',
+        migrate: normalizeLegacyCards
+    },
+    {
+        version: 3,
+        description: 'Adiciona a regra de recorrência (recurrence) aos cards',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            recurrence: normalizeRecurrence(card.recurrence)
+        }))
+    },
+    {
+        version: 4,
+        description: 'Adiciona checklist (subtarefas) aos cards',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            checklist: normalizeChecklist(card.checklist),
+            completeOnChecklist: card.completeOnChecklist === true
+        }))
+    },
+    {
+        version: 5,
+        description: 'Adiciona horário (time), duração (duration) e dia inteiro (allDay) aos cards',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            ...normalizeSchedule(card)
+        }))
+    },
+    {
+        version: 6,
+        description: 'Adiciona lembretes (reminders) aos cards',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            reminders: normalizeReminders(card.reminders),
+            snoozedUntil: typeof card.snoozedUntil === 'number' ? card.snoozedUntil : null
+        }))
+    },
+    {
+        version: 7,
+        description: 'Adiciona anotações (notes) aos cards',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            notes: normalizeNotes(card.notes)
+        }))
+    },
+    {
+        version: 8,
+        description: 'Adiciona a data de exclusão (deletedAt) para a lixeira',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            deletedAt: Number.isFinite(card.deletedAt) ? card.deletedAt : null
+        }))
+    },
+    {
+        version: 9,
+        description: 'Adiciona a data de conclusão (completedAt) para o arquivamento automático',
+        migrate: cards => cards.map(card => ({
+            ...card,
+            // Cards já concluídos usam a última atualização como aproximação
+            completedAt: Number.isFinite(card.completedAt)
+                ? card.completedAt
+                : (card.status === 'concluido' ? card.updatedAt || null : null)
+        }))
+    }
+];
+
+/**
+ * Converte o valor de versão salvo (número, '1.0', undefined...) em número inteiro
+ * @param {*} value - Versão armazenada ou vinda de um arquivo exportado
+ * @returns {number} Versão do schema (1 quando ausente)
+ */
+export function parseSchemaVersion(value) {
+    if (value === undefined || value === null || value === '') {
+        // Dados anteriores ao versionamento
+        return 1;
+    }
+
+    const version = parseInt(value, 10);
+
+    if (isNaN(version) || version < 1) {
+        throw new Error(`Versão de schema inválida: ${value}`);
+    }
+
+    return version;
+}
+
+/**
+ * Executa as migrações pendentes, em ordem, a partir de uma versão
+ * @param {Array} cards - Cards na versão `fromVersion`
+ * @param {number} fromVersion - Versão atual dos dados
+ * @returns {{cards: Array, version: number, applied: string[]}} Cards migrados
+ */
+export function migrateCards(cards, fromVersion) {
+    if (!Array.isArray(cards)) {
+        throw new Error('Cards devem ser um array');
+    }
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`Dados na versão ${fromVersion} são mais novos que a versão suportada (${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    const applied = [];
+    let migratedCards = cards;
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            migratedCards = migration.migrate(migratedCards);
+            applied.push(`v${migration.version}: ${migration.description}`);
+        });
+
+    return {
+        cards: migratedCards,
+        version: CURRENT_SCHEMA_VERSION,
+        applied
+    };
+}
+
+/**
+ * v1 → v2: garante ID único, título e valores válidos em todos os campos
+ * @param {Array} cards - Cards da versão 1
+ * @returns {Array} Cards normalizados
+ */
+function normalizeLegacyCards(cards) {
+    const validCategories = getAvailableCategories().map(c => c.value);
+    const validStatus = getAvailableStatus().map(s => s.value);
+    const validPriorities = getAvailablePriorities().map(p => p.value);
+    const validTabs = getAvailableTabs().map(t => t.value);
+    const seenIds = new Set();
+    const now = Date.now();
+
+    return cards
+        .filter(card => card && typeof card === 'object' && !Array.isArray(card))
+        .map((card, index) => {
+            // Gera novo ID para cards sem ID ou com ID repetido
+            let id = typeof card.id === 'string' && card.id.trim() ? card.id : null;
+            if (!id || seenIds.has(id)) {
+                id = generateId();
+            }
+            seenIds.add(id);
+
+            const title = typeof card.title === 'string' || typeof card.title === 'number'
+                ? String(card.title).trim()
+                : '';
+
+            const createdAt = typeof card.createdAt === 'number' ? card.createdAt : now;
+
+            return {
+                ...card,
+                id,
+                title: title || 'Sem título',
+                date: typeof card.date === 'string' ? card.date : '',
+                category: validCategories.includes(card.category) ? card.category : (card.category ? 'outro' : ''),
+                status: validStatus.includes(card.status) ? card.status : 'pendente',
+                priority: validPriorities.includes(card.priority) ? card.priority : 'media',
+                link: typeof card.link === 'string' ? card.link : '',
+                tab: validTabs.includes(card.tab) ? card.tab : 'rotina',
+                createdAt,
+                updatedAt: typeof card.updatedAt === 'number' ? card.updatedAt : createdAt,
+                order: typeof card.order === 'number' ? card.order : index
+            };
+        });
+}
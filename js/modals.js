@@ -4,34 +4,80 @@ import {
     getState,
     setSelectedCard,
     setModalVisibility,
+    setActiveTab,
     updateCards,
-    getSelectedCard
+    getSelectedCard,
+    runCommand
 } from './state.js';
 import {
     saveCard,
     updateCard,
     deleteCard,
-    getAllCards
+    getAllCards,
+    exportCards,
+    getPreference,
+    setPreference
 } from './storage.js';
 import {
+    formatDate,
     formatDateForInput,
     getToday,
     isValidUrl,
+    generateId,
+    normalizeChecklist,
+    parseTime,
+    minutesToTime,
     getAvailableCategories,
     getAvailableStatus,
-    getAvailablePriorities
+    getAvailablePriorities,
+    escapeHtml,
+    fuzzyScore,
+    getAvailableTabs,
+    getTabLabel
 } from './utils.js';
+import { isValidRRule } from './recurrence.js';
+import { getReminderPresets, requestNotificationPermission } from './reminders.js';
 import {
     updateExistingCard,
     removeCard,
-    renderCards
+    renderCards,
+    undoLastChange,
+    redoLastChange,
+    openEditCardModal,
+    importCardsFromJson
 } from './cards.js';
+import { getShortcuts, setShortcutKey, resetShortcuts, toggleTheme } from './navigation.js';
+import { openFilterPanel } from './filter-panel.js';
 
 // Referências aos elementos do DOM
 let modalElements = {};
 let formElements = {};
 let currentLinkToOpen = null;
 
+// Itens da checklist em edição no modal (só vão para o storage ao salvar)
+let checklistDraft = [];
+
+// Atalho aguardando a nova tecla no modal de atalhos
+let shortcutToRebind = null;
+
+const SHORTCUTS_HINT = 'Clique em uma tecla para trocá-la. Os atalhos não valem durante a digitação.';
+
+// Paleta de comandos: itens exibidos, o destacado e quantos usados recentemente guardar
+let paletteItems = [];
+let activePaletteItem = 0;
+const PALETTE_RECENT_LIMIT = 8;
+const PALETTE_MAX_ITEMS = 50;
+
+// Atalhos fixos, listados depois dos configuráveis
+const FIXED_SHORTCUTS = [
+    { keys: ['Ctrl', 'K'], label: 'Paleta de comandos' },
+    { keys: ['←', '↑', '→', '↓'], label: 'Mover entre os cards' },
+    { keys: ['Espaço'], label: 'Pegar o card em foco para reordenar' },
+    { keys: ['Esc'], label: 'Fechar a janela aberta' },
+    { keys: ['Ctrl', 'Z'], label: 'Desfazer' },
+    { keys: ['Ctrl', 'Shift', 'Z'], label: 'Refazer' }
+];
+
 /**
  * Inicializa todos os modais e listeners
  */
@@ -52,9 +98,25 @@ function cacheModalElements() {
         cardModal: document.getElementById('cardModal'),
         linkModal: document.getElementById('linkModal'),
         deleteModal: document.getElementById('deleteModal'),
+        trashModal: document.getElementById('trashModal'),
+        archiveModal: document.getElementById('archiveModal'),
+        shortcutsModal: document.getElementById('shortcutsModal'),
+        commandPalette: document.getElementById('commandPalette'),
         modalClose: document.getElementById('modalClose'),
         linkModalClose: document.getElementById('linkModalClose'),
         deleteModalClose: document.getElementById('deleteModalClose'),
+        trashModalClose: document.getElementById('trashModalClose'),
+        trashCloseButton: document.getElementById('trashCloseButton'),
+        archiveModalClose: document.getElementById('archiveModalClose'),
+        archiveCloseButton: document.getElementById('archiveCloseButton'),
+        shortcutsModalClose: document.getElementById('shortcutsModalClose'),
+        shortcutsCloseButton: document.getElementById('shortcutsCloseButton'),
+        shortcutsResetButton: document.getElementById('shortcutsResetButton'),
+        shortcutsList: document.getElementById('shortcutsList'),
+        shortcutsHint: document.getElementById('shortcutsHint'),
+        commandPaletteInput: document.getElementById('commandPaletteInput'),
+        commandPaletteList: document.getElementById('commandPaletteList'),
+        importFileInput: document.getElementById('importFileInput'),
         cancelButton: document.getElementById('cancelButton'),
         cancelLinkButton: document.getElementById('cancelLinkButton'),
         cancelDeleteButton: document.getElementById('cancelDeleteButton'),
@@ -72,11 +134,28 @@ function cacheModalElements() {
         cardId: document.getElementById('cardId'),
         cardTitle: document.getElementById('cardTitle'),
         cardDate: document.getElementById('cardDate'),
+        cardTime: document.getElementById('cardTime'),
+        cardEndTime: document.getElementById('cardEndTime'),
+        cardAllDay: document.getElementById('cardAllDay'),
+        cardReminders: document.getElementById('cardReminders'),
+        reminderCustomEnabled: document.getElementById('reminderCustomEnabled'),
+        reminderCustomValue: document.getElementById('reminderCustomValue'),
+        reminderCustomUnit: document.getElementById('reminderCustomUnit'),
         cardCategory: document.getElementById('cardCategory'),
         cardStatus: document.getElementById('cardStatus'),
         cardPriority: document.getElementById('cardPriority'),
         cardLink: document.getElementById('cardLink'),
-        cardTab: document.getElementById('cardTab')
+        cardNotes: document.getElementById('cardNotes'),
+        cardTab: document.getElementById('cardTab'),
+        cardRecurrence: document.getElementById('cardRecurrence'),
+        recurrenceWeekdays: document.getElementById('recurrenceWeekdays'),
+        recurrenceInterval: document.getElementById('recurrenceInterval'),
+        recurrenceMonthDay: document.getElementById('recurrenceMonthDay'),
+        recurrenceRule: document.getElementById('recurrenceRule'),
+        checklistEditor: document.getElementById('checklistEditor'),
+        checklistInput: document.getElementById('checklistInput'),
+        checklistAddButton: document.getElementById('checklistAddButton'),
+        checklistAutoComplete: document.getElementById('checklistAutoComplete')
     };
 }
 
@@ -88,6 +167,12 @@ function bindModalEvents() {
     modalElements.modalClose?.addEventListener('click', () => closeAllModals());
     modalElements.linkModalClose?.addEventListener('click', () => closeAllModals());
     modalElements.deleteModalClose?.addEventListener('click', () => closeAllModals());
+    modalElements.trashModalClose?.addEventListener('click', () => closeAllModals());
+    modalElements.trashCloseButton?.addEventListener('click', () => closeAllModals());
+    modalElements.archiveModalClose?.addEventListener('click', () => closeAllModals());
+    modalElements.archiveCloseButton?.addEventListener('click', () => closeAllModals());
+    modalElements.shortcutsModalClose?.addEventListener('click', () => closeAllModals());
+    modalElements.shortcutsCloseButton?.addEventListener('click', () => closeAllModals());
     modalElements.cancelButton?.addEventListener('click', () => closeAllModals());
     modalElements.cancelLinkButton?.addEventListener('click', () => closeAllModals());
     modalElements.cancelDeleteButton?.addEventListener('click', () => closeAllModals());
@@ -97,6 +182,37 @@ function bindModalEvents() {
     modalElements.confirmLinkButton?.addEventListener('click', confirmLinkOpen);
     modalElements.confirmDeleteButton?.addEventListener('click', confirmDelete);
 
+    // Atalhos do teclado: abrir pela sidebar, trocar teclas e restaurar
+    document.getElementById('shortcutsButton')?.addEventListener('click', () => {
+        setModalVisibility('shortcutsModal', true);
+    });
+    modalElements.shortcutsList?.addEventListener('click', (e) => {
+        const keyButton = e.target.closest('[data-shortcut]');
+        if (keyButton) startShortcutRebind(keyButton.dataset.shortcut);
+    });
+    modalElements.shortcutsResetButton?.addEventListener('click', () => {
+        resetShortcuts();
+        shortcutToRebind = null;
+        renderShortcutList();
+        showToast('Atalhos restaurados', 'success');
+    });
+
+    // Paleta de comandos: filtra ao digitar, setas escolhem e Enter executa
+    modalElements.commandPaletteInput?.addEventListener('input', () => {
+        activePaletteItem = 0;
+        renderPalette();
+    });
+    modalElements.commandPaletteInput?.addEventListener('keydown', handlePaletteInputKey);
+    modalElements.commandPaletteList?.addEventListener('mousedown', (e) => e.preventDefault());
+    modalElements.commandPaletteList?.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-index]');
+        if (option) runPaletteItem(paletteItems[Number(option.dataset.index)]);
+    });
+    modalElements.importFileInput?.addEventListener('change', handleImportFile);
+
+    // A tecla nova é lida antes dos outros atalhos (e do ESC que fecha o modal)
+    document.addEventListener('keydown', handleShortcutRebindKey, true);
+
     // Fechar com ESC
     document.addEventListener('keydown', handleEscapeKey);
 }
@@ -110,6 +226,50 @@ function bindFormEvents() {
     // Validação em tempo real
     formElements.cardTitle?.addEventListener('input', validateForm);
     formElements.cardLink?.addEventListener('input', validateForm);
+
+    // Horário: dia inteiro desabilita início e término
+    formElements.cardAllDay?.addEventListener('change', () => {
+        updateScheduleFields();
+        validateForm();
+    });
+    formElements.cardTime?.addEventListener('change', () => {
+        updateScheduleFields();
+        validateForm();
+    });
+    formElements.cardEndTime?.addEventListener('change', validateForm);
+
+    // Lembretes
+    formElements.cardDate?.addEventListener('change', validateForm);
+    formElements.cardReminders?.addEventListener('change', validateForm);
+    formElements.reminderCustomEnabled?.addEventListener('change', () => {
+        updateReminderFields();
+        validateForm();
+    });
+    formElements.reminderCustomValue?.addEventListener('input', validateForm);
+
+    // Recorrência: mostra os campos do tipo escolhido
+    formElements.cardRecurrence?.addEventListener('change', () => {
+        updateRecurrenceFields();
+        validateForm();
+    });
+    formElements.recurrenceWeekdays?.addEventListener('change', validateForm);
+    formElements.recurrenceRule?.addEventListener('input', validateForm);
+
+    // Checklist: Enter no campo adiciona item em vez de enviar o formulário
+    formElements.checklistInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addChecklistItemFromInput();
+        }
+    });
+    formElements.checklistAddButton?.addEventListener('click', addChecklistItemFromInput);
+    formElements.checklistEditor?.addEventListener('click', handleChecklistEditorClick);
+    formElements.checklistEditor?.addEventListener('change', handleChecklistEditorChange);
+    formElements.checklistEditor?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('.checklist-item-text')) {
+            e.preventDefault();
+        }
+    });
 }
 
 /**
@@ -118,6 +278,84 @@ function bindFormEvents() {
 function bindGlobalEvents() {
     // Focus trapping para acessibilidade
     document.addEventListener('focus', trapFocus, true);
+
+    // Ctrl+Z / Ctrl+Shift+Z (ou Ctrl+Y) desfazem e refazem alterações de cards
+    document.addEventListener('keydown', handleHistoryKeys);
+
+    // Ctrl+K abre (e fecha) a paleta de comandos
+    document.addEventListener('keydown', handlePaletteKey);
+}
+
+/**
+ * Handler do atalho da paleta de comandos (vale também nos campos de texto)
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handlePaletteKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+
+    const activeModal = getActiveModal();
+    if (activeModal && activeModal !== 'commandPalette') return;
+
+    e.preventDefault();
+
+    if (activeModal) {
+        closeAllModals();
+    } else {
+        setModalVisibility('commandPalette', true);
+    }
+}
+
+/**
+ * Handler dos atalhos de desfazer/refazer
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handleHistoryKeys(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    // Em campos de texto o atalho desfaz a digitação; com modal aberto, nada muda
+    const target = e.target;
+    if (target.closest?.('input, textarea, select, [contenteditable="true"]') || getActiveModal()) {
+        return;
+    }
+
+    e.preventDefault();
+
+    if (isUndo) {
+        undoChange();
+    } else {
+        redoChange();
+    }
+}
+
+/**
+ * Desfaz a última alteração e oferece refazê-la
+ */
+export function undoChange() {
+    const command = undoLastChange();
+
+    if (command) {
+        showToast(`Desfeito: ${command.label}`, 'info', { label: 'Refazer', onClick: redoChange });
+    } else {
+        showToast('Nada para desfazer', 'info');
+    }
+}
+
+/**
+ * Refaz a última alteração desfeita
+ */
+export function redoChange() {
+    const command = redoLastChange();
+
+    if (command) {
+        showToast(`Refeito: ${command.label}`, 'info', { label: 'Desfazer', onClick: undoChange });
+    } else {
+        showToast('Nada para refazer', 'info');
+    }
 }
 
 /**
@@ -130,6 +368,348 @@ function handleEscapeKey(e) {
     }
 }
 
+/**
+ * Desenha a lista de atalhos (configuráveis com a tecla atual, depois os fixos)
+ */
+function renderShortcutList() {
+    if (!modalElements.shortcutsList) return;
+
+    const configurable = getShortcuts().map(({ action, key, label }) => {
+        const isRecording = action === shortcutToRebind;
+
+        return `
+            <li class="shortcut-item">
+                <span class="shortcut-label">${escapeHtml(label)}</span>
+                <button
+                    type="button"
+                    class="shortcut-key${isRecording ? ' recording' : ''}"
+                    data-shortcut="${action}"
+                    aria-label="${isRecording
+                        ? `Pressione a nova tecla para ${escapeHtml(label)}`
+                        : `Trocar a tecla de ${escapeHtml(label)} (atual: ${escapeHtml(key.toUpperCase())})`}"
+                >
+                    ${isRecording ? 'Pressione uma tecla…' : `<kbd>${escapeHtml(key.toUpperCase())}</kbd>`}
+                </button>
+            </li>
+        `;
+    });
+
+    const fixed = FIXED_SHORTCUTS.map(({ keys, label }) => `
+        <li class="shortcut-item shortcut-fixed">
+            <span class="shortcut-label">${label}</span>
+            <span class="shortcut-keys">${keys.map(key => `<kbd>${key}</kbd>`).join('')}</span>
+        </li>
+    `);
+
+    modalElements.shortcutsList.innerHTML = [...configurable, ...fixed].join('');
+}
+
+/**
+ * Passa a esperar a nova tecla de um atalho
+ * @param {string} action - Ação do atalho
+ */
+function startShortcutRebind(action) {
+    shortcutToRebind = action;
+    renderShortcutList();
+    focusShortcutButton(action);
+
+    if (modalElements.shortcutsHint) {
+        modalElements.shortcutsHint.textContent = 'Pressione a nova tecla (Esc cancela).';
+    }
+}
+
+/**
+ * Encerra a troca de tecla e redesenha a lista
+ */
+function stopShortcutRebind() {
+    shortcutToRebind = null;
+    renderShortcutList();
+
+    if (modalElements.shortcutsHint) {
+        modalElements.shortcutsHint.textContent = SHORTCUTS_HINT;
+    }
+}
+
+/**
+ * Lê a nova tecla de um atalho (Esc cancela, Tab sai do botão)
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handleShortcutRebindKey(e) {
+    if (!shortcutToRebind || ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+    const action = shortcutToRebind;
+
+    if (e.key === 'Tab') {
+        stopShortcutRebind();
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key !== 'Escape' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        const conflict = getShortcuts().find(s => s.action !== action && s.key === e.key.toLowerCase());
+
+        if (conflict) {
+            showToast(`A tecla ${e.key.toUpperCase()} já é usada em "${conflict.label}"`, 'warning');
+        } else if (!setShortcutKey(action, e.key)) {
+            showToast('Use uma letra, um número ou um símbolo', 'warning');
+        }
+    }
+
+    stopShortcutRebind();
+    focusShortcutButton(action);
+}
+
+/**
+ * Foca o botão da tecla de um atalho
+ * @param {string} action - Ação do atalho
+ */
+function focusShortcutButton(action) {
+    modalElements.shortcutsList?.querySelector(`[data-shortcut="${action}"]`)?.focus();
+}
+
+/**
+ * Comandos da paleta (o texto de busca inclui sinônimos do que o comando faz)
+ * @returns {Array<{id: string, label: string, description: string, keywords: string, run: Function}>} Comandos
+ */
+function getPaletteCommands() {
+    const tabCommands = getAvailableTabs().map(({ value: tab, label }) => ({
+        id: `command:tab-${tab}`,
+        label: `Ir para ${label}`,
+        description: 'Trocar aba',
+        keywords: 'trocar aba abrir',
+        run: () => {
+            setActiveTab(tab);
+            renderCards();
+        }
+    }));
+
+    return [
+        {
+            id: 'command:new-card',
+            label: 'Criar card',
+            description: 'Novo card na aba atual',
+            keywords: 'novo adicionar tarefa',
+            run: () => openCardModal(null, getState().activeTab)
+        },
+        ...tabCommands,
+        {
+            id: 'command:export',
+            label: 'Exportar cards',
+            description: 'Baixar um arquivo JSON com todos os cards',
+            keywords: 'backup salvar download',
+            run: downloadExport
+        },
+        {
+            id: 'command:import',
+            label: 'Importar cards',
+            description: 'Adicionar cards de um arquivo exportado',
+            keywords: 'backup restaurar arquivo upload',
+            run: () => modalElements.importFileInput?.click()
+        },
+        {
+            id: 'command:theme',
+            label: 'Alternar tema',
+            description: 'Claro / escuro',
+            keywords: 'modo escuro claro dark cores',
+            run: () => {
+                const theme = toggleTheme();
+                showToast(theme === 'dark' ? 'Tema escuro ativado' : 'Tema claro ativado', 'info');
+            }
+        },
+        {
+            id: 'command:filters',
+            label: 'Abrir filtros',
+            description: 'Painel de filtros da aba',
+            keywords: 'filtro filtrar status prioridade categoria',
+            run: openFilterPanel
+        }
+    ];
+}
+
+/**
+ * Monta os itens da paleta: comandos e cards de todas as abas que correspondem
+ * ao termo. Os usados recentemente vêm primeiro; sem termo, só eles e os comandos
+ * @param {string} query - Termo digitado
+ * @returns {Array} Itens na ordem exibida
+ */
+function getPaletteItems(query) {
+    const cardItems = getState().cards.map(card => ({
+        id: `card:${card.id}`,
+        label: card.title,
+        description: `${getTabLabel(card.tab)}${card.date ? ` · ${formatDate(card.date)}` : ''}`,
+        keywords: card.notes || '',
+        isCard: true,
+        run: () => {
+            // Card de outra aba: abre na aba dele
+            setActiveTab(card.tab);
+            renderCards();
+            openEditCardModal(card);
+        }
+    }));
+
+    const allItems = [...getPaletteCommands(), ...cardItems];
+    const recentIds = getRecentPaletteIds();
+    const recentRank = (item) => {
+        const index = recentIds.indexOf(item.id);
+        return index === -1 ? recentIds.length : index;
+    };
+
+    const matches = allItems
+        .map(item => {
+            const labelScore = fuzzyScore(item.label, query);
+            const keywordScore = fuzzyScore(`${item.label} ${item.keywords}`, query);
+
+            // O título vale mais que os sinônimos e as notas
+            return { item, score: labelScore >= 0 ? labelScore + 1000 : keywordScore };
+        })
+        .filter(({ item, score }) => (query.trim()
+            ? score >= 0
+            : !item.isCard || recentIds.includes(item.id)));
+
+    return matches
+        .sort((a, b) => recentRank(a.item) - recentRank(b.item) || b.score - a.score)
+        .slice(0, PALETTE_MAX_ITEMS)
+        .map(({ item }) => ({ ...item, isRecent: recentIds.includes(item.id) }));
+}
+
+/**
+ * Itens usados recentemente na paleta (mais recente primeiro)
+ * @returns {string[]} IDs dos itens
+ */
+function getRecentPaletteIds() {
+    const recentIds = getPreference('paletteRecent', []);
+    return Array.isArray(recentIds) ? recentIds.filter(id => typeof id === 'string') : [];
+}
+
+/**
+ * Desenha a lista da paleta com o item destacado
+ */
+function renderPalette() {
+    const input = modalElements.commandPaletteInput;
+    const list = modalElements.commandPaletteList;
+    if (!input || !list) return;
+
+    paletteItems = getPaletteItems(input.value);
+    activePaletteItem = Math.min(activePaletteItem, Math.max(paletteItems.length - 1, 0));
+
+    if (paletteItems.length === 0) {
+        list.innerHTML = '<li class="palette-empty">Nenhum comando ou card encontrado</li>';
+        input.removeAttribute('aria-activedescendant');
+        return;
+    }
+
+    list.innerHTML = paletteItems.map((item, index) => `
+        <li
+            class="palette-item${index === activePaletteItem ? ' active' : ''}"
+            id="paletteItem-${index}"
+            role="option"
+            aria-selected="${index === activePaletteItem}"
+            data-index="${index}"
+        >
+            <span class="palette-item-kind">${item.isCard ? 'Card' : 'Comando'}</span>
+            <span class="palette-item-text">
+                <span class="palette-item-label">${escapeHtml(item.label)}</span>
+                <span class="palette-item-description">${escapeHtml(item.description)}</span>
+            </span>
+            ${item.isRecent ? '<span class="palette-item-recent">Recente</span>' : ''}
+        </li>
+    `).join('');
+
+    input.setAttribute('aria-activedescendant', `paletteItem-${activePaletteItem}`);
+    list.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Teclas do campo da paleta
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handlePaletteInputKey(e) {
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            e.preventDefault();
+            if (paletteItems.length === 0) return;
+
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activePaletteItem = (activePaletteItem + step + paletteItems.length) % paletteItems.length;
+            renderPalette();
+            break;
+        }
+        case 'Enter':
+            e.preventDefault();
+            runPaletteItem(paletteItems[activePaletteItem]);
+            break;
+    }
+}
+
+/**
+ * Executa um item da paleta e o coloca no topo dos recentes
+ * @param {Object} item - Item da paleta
+ */
+function runPaletteItem(item) {
+    if (!item) return;
+
+    const recentIds = [item.id, ...getRecentPaletteIds().filter(id => id !== item.id)];
+    setPreference('paletteRecent', recentIds.slice(0, PALETTE_RECENT_LIMIT));
+
+    closeAllModals();
+    item.run();
+}
+
+/**
+ * Baixa o JSON com todos os cards (inclusive os arquivados)
+ */
+function downloadExport() {
+    const json = exportCards();
+    if (!json) {
+        showToast('Não foi possível exportar os cards', 'error');
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `organizador-rotina-${getToday()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showToast('Cards exportados', 'success');
+}
+
+/**
+ * Importa o arquivo escolhido no seletor
+ */
+async function handleImportFile() {
+    const input = modalElements.importFileInput;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+        const result = importCardsFromJson(await file.text());
+
+        if (!result.success) {
+            showToast(`Erro ao importar: ${result.error}`, 'error');
+        } else if (result.imported === 0) {
+            showToast('Nenhum card novo no arquivo', 'info');
+        } else {
+            const skipped = result.skipped > 0 ? ` (${result.skipped} ignorados)` : '';
+            showToast(
+                `${result.imported} ${result.imported === 1 ? 'card importado' : 'cards importados'}${skipped}`,
+                'success',
+                { label: 'Desfazer', onClick: undoChange }
+            );
+        }
+    } catch (error) {
+        console.error('Erro ao ler arquivo de importação:', error);
+        showToast('Não foi possível ler o arquivo', 'error');
+    } finally {
+        // Permite escolher o mesmo arquivo de novo
+        input.value = '';
+    }
+}
+
 /**
  * Trava o foco dentro do modal para acessibilidade
  * @param {FocusEvent} e - Evento de focus
@@ -196,8 +776,9 @@ export function closeAllModals() {
  * Abre o modal de criação/edição de card
  * @param {Object|null} cardData - Dados do card para edição (null para criação)
  * @param {string} defaultTab - Tab padrão para novo card
+ * @param {Object} defaults - Valores iniciais para novo card (ex: { date: '2025-01-31' })
  */
-export function openCardModal(cardData = null, defaultTab = null) {
+export function openCardModal(cardData = null, defaultTab = null, defaults = {}) {
     closeAllModals();
 
     // Preenche formulário
@@ -213,10 +794,14 @@ export function openCardModal(cardData = null, defaultTab = null) {
         // Define valores padrão
         const state = getState();
         formElements.cardTab.value = defaultTab || state.activeTab;
-        formElements.cardDate.value = getToday();
+        formElements.cardDate.value = defaults.date || getToday();
         formElements.cardStatus.value = 'pendente';
         formElements.cardPriority.value = 'media';
         formElements.cardCategory.value = '';
+
+        if (defaults.time) {
+            fillScheduleFields({ time: defaults.time, duration: defaults.duration });
+        }
     }
 
     // Mostra modal
@@ -289,11 +874,16 @@ function fillEditForm(card) {
     formElements.cardId.value = card.id;
     formElements.cardTitle.value = card.title || '';
     formElements.cardDate.value = card.date ? formatDateForInput(card.date) : '';
+    fillScheduleFields(card);
+    fillReminderFields(card.reminders);
     formElements.cardCategory.value = card.category || '';
     formElements.cardStatus.value = card.status || 'pendente';
     formElements.cardPriority.value = card.priority || 'media';
     formElements.cardLink.value = card.link || '';
+    formElements.cardNotes.value = card.notes || '';
     formElements.cardTab.value = card.tab || 'rotina';
+    fillRecurrenceFields(card.recurrence);
+    fillChecklistFields(card.checklist, card.completeOnChecklist);
 
     // Valida form após preenchimento
     validateForm();
@@ -306,10 +896,15 @@ function resetForm() {
     formElements.cardId.value = '';
     formElements.cardTitle.value = '';
     formElements.cardDate.value = '';
+    fillScheduleFields({});
+    fillReminderFields([]);
     formElements.cardCategory.value = '';
     formElements.cardStatus.value = 'pendente';
     formElements.cardPriority.value = 'media';
     formElements.cardLink.value = '';
+    formElements.cardNotes.value = '';
+    fillRecurrenceFields(null);
+    fillChecklistFields([], false);
 
     const state = getState();
     formElements.cardTab.value = state.activeTab;
@@ -333,14 +928,28 @@ async function handleFormSubmit(e) {
     const cardId = formElements.cardId.value;
     const isEditing = !!cardId;
 
+    // Item digitado mas não confirmado com Enter também entra na checklist
+    commitChecklistInput();
+
+    // Permissão de notificação é pedida no clique em salvar (exige ação do usuário)
+    const permissionRequest = readRemindersFromForm().length > 0
+        ? requestNotificationPermission()
+        : null;
+
     const cardData = {
         title: formElements.cardTitle.value.trim(),
         date: formElements.cardDate.value || null,
+        ...readScheduleFromForm(),
+        reminders: readRemindersFromForm(),
         category: formElements.cardCategory.value,
         status: formElements.cardStatus.value,
         priority: formElements.cardPriority.value,
         link: formElements.cardLink.value.trim() || null,
-        tab: formElements.cardTab.value
+        notes: formElements.cardNotes.value,
+        tab: formElements.cardTab.value,
+        recurrence: readRecurrenceFromForm(),
+        checklist: checklistDraft,
+        completeOnChecklist: formElements.checklistAutoComplete.checked
     };
 
     try {
@@ -354,12 +963,10 @@ async function handleFormSubmit(e) {
             }
         } else {
             // Criação
-            const newCard = saveCard(cardData);
+            const newCard = runCommand('Criar card', () => saveCard(cardData));
             if (newCard) {
                 // Atualiza estado
-                const state = getState();
-                const updatedCards = [...state.cards, newCard];
-                updateCards(updatedCards);
+                updateCards(getAllCards());
 
                 // Re-renderiza
                 renderCards();
@@ -372,6 +979,10 @@ async function handleFormSubmit(e) {
             closeAllModals();
         }
 
+        if (permissionRequest && ['denied', 'unsupported'].includes(await permissionRequest)) {
+            showToast('Notificações bloqueadas: os lembretes não serão exibidos', 'error');
+        }
+
     } catch (error) {
         console.error('Erro ao salvar card:', error);
         showToast('Erro ao salvar card. Tente novamente.', 'error');
@@ -414,12 +1025,360 @@ function validateForm() {
         }
     }
 
+    // Valida horário de término (precisa de início)
+    if (formElements.cardEndTime.value && !formElements.cardAllDay.checked && !formElements.cardTime.value) {
+        markFieldInvalid(formElements.cardEndTime, 'Informe o horário de início');
+        isValid = false;
+    }
+
+    // Valida lembretes (precisam de data)
+    if (readRemindersFromForm().length > 0 && !formElements.cardDate.value) {
+        markFieldInvalid(formElements.cardReminders, 'Defina uma data para receber lembretes');
+        isValid = false;
+    }
+
+    if (formElements.reminderCustomEnabled.checked) {
+        const customValue = parseInt(formElements.reminderCustomValue.value, 10);
+        if (isNaN(customValue) || customValue < 1 || customValue > 999) {
+            markFieldInvalid(formElements.reminderCustomValue, 'Informe um valor entre 1 e 999');
+            isValid = false;
+        }
+    }
+
+    // Valida recorrência
+    const recurrenceType = formElements.cardRecurrence.value;
+    if (recurrenceType === 'weekly' && readCheckedWeekdays().length === 0) {
+        markFieldInvalid(formElements.recurrenceWeekdays, 'Escolha ao menos um dia da semana');
+        isValid = false;
+    } else if (recurrenceType === 'rrule' && !isValidRRule(formElements.recurrenceRule.value)) {
+        markFieldInvalid(formElements.recurrenceRule, 'Regra inválida ou não suportada');
+        isValid = false;
+    }
+
     // Atualiza estado do botão salvar
     modalElements.saveButton.disabled = !isValid;
 
     return isValid;
 }
 
+/**
+ * Habilita os campos de horário conforme "Dia inteiro" e o início preenchido
+ */
+function updateScheduleFields() {
+    const allDay = formElements.cardAllDay.checked;
+
+    formElements.cardTime.disabled = allDay;
+    formElements.cardEndTime.disabled = allDay || !formElements.cardTime.value;
+}
+
+/**
+ * Preenche início, término e dia inteiro a partir do card
+ * @param {Object} card - Card com time, duration e allDay
+ */
+function fillScheduleFields(card) {
+    const start = parseTime(card.time);
+
+    formElements.cardAllDay.checked = card.allDay === true;
+    formElements.cardTime.value = start === null ? '' : minutesToTime(start);
+    formElements.cardEndTime.value = start !== null && card.duration
+        ? minutesToTime(start + card.duration)
+        : '';
+
+    updateScheduleFields();
+}
+
+/**
+ * Lê início, término e dia inteiro do formulário
+ * @returns {{time: string, duration: number|null, allDay: boolean}} Campos de agenda
+ */
+function readScheduleFromForm() {
+    if (formElements.cardAllDay.checked) {
+        return { time: '', duration: null, allDay: true };
+    }
+
+    const start = parseTime(formElements.cardTime.value);
+    const end = parseTime(formElements.cardEndTime.value);
+
+    let duration = null;
+    if (start !== null && end !== null && end !== start) {
+        // Término menor que o início: o card passa da meia-noite
+        duration = end > start ? end - start : end + 1440 - start;
+    }
+
+    return {
+        time: start === null ? '' : minutesToTime(start),
+        duration,
+        allDay: false
+    };
+}
+
+/**
+ * Habilita a antecedência personalizada quando marcada
+ */
+function updateReminderFields() {
+    const enabled = formElements.reminderCustomEnabled.checked;
+
+    formElements.reminderCustomValue.disabled = !enabled;
+    formElements.reminderCustomUnit.disabled = !enabled;
+}
+
+/**
+ * Preenche os lembretes do formulário
+ * @param {number[]} reminders - Antecedências em minutos
+ */
+function fillReminderFields(reminders = []) {
+    const presetValues = getReminderPresets().map(preset => preset.value);
+    const offsets = Array.isArray(reminders) ? reminders : [];
+
+    formElements.cardReminders.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = offsets.includes(Number(checkbox.value));
+    });
+
+    // A primeira antecedência fora das opções vai para o campo personalizado
+    const customOffset = offsets.find(offset => !presetValues.includes(offset));
+    formElements.reminderCustomEnabled.checked = customOffset !== undefined;
+
+    if (customOffset !== undefined) {
+        const unit = [1440, 60, 1].find(minutes => customOffset % minutes === 0 && customOffset / minutes <= 999) || 1;
+        formElements.reminderCustomUnit.value = String(unit);
+        formElements.reminderCustomValue.value = customOffset / unit;
+    } else {
+        formElements.reminderCustomUnit.value = '1';
+        formElements.reminderCustomValue.value = 30;
+    }
+
+    updateReminderFields();
+}
+
+/**
+ * Lê os lembretes marcados no formulário
+ * @returns {number[]} Antecedências em minutos
+ */
+function readRemindersFromForm() {
+    const offsets = Array.from(formElements.cardReminders.querySelectorAll('input:checked'))
+        .map(checkbox => Number(checkbox.value));
+
+    if (formElements.reminderCustomEnabled.checked) {
+        const value = parseInt(formElements.reminderCustomValue.value, 10);
+        if (value >= 1 && value <= 999) {
+            offsets.push(value * Number(formElements.reminderCustomUnit.value));
+        }
+    }
+
+    return offsets;
+}
+
+/**
+ * Mostra apenas os campos de recorrência do tipo selecionado
+ */
+function updateRecurrenceFields() {
+    const recurrenceType = formElements.cardRecurrence.value;
+
+    document.querySelectorAll('.recurrence-field').forEach(field => {
+        field.classList.toggle('active', field.dataset.recurrence === recurrenceType);
+    });
+}
+
+/**
+ * Preenche os campos de recorrência a partir de uma regra
+ * @param {Object|null} rule - Regra de recorrência do card
+ */
+function fillRecurrenceFields(rule) {
+    formElements.cardRecurrence.value = rule ? rule.type : '';
+    formElements.recurrenceInterval.value = rule?.interval || 2;
+    formElements.recurrenceMonthDay.value = rule?.monthDay || new Date().getDate();
+    formElements.recurrenceRule.value = rule?.rrule || '';
+
+    const weekdays = rule?.weekdays || [];
+    formElements.recurrenceWeekdays.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = weekdays.includes(Number(checkbox.value));
+    });
+
+    updateRecurrenceFields();
+}
+
+/**
+ * Monta a regra de recorrência a partir do formulário
+ * @returns {Object|null} Regra ou null se o card não repete
+ */
+function readRecurrenceFromForm() {
+    const type = formElements.cardRecurrence.value;
+
+    switch (type) {
+        case 'daily':
+        case 'lastBusinessDay':
+            return { type };
+        case 'weekly':
+            return { type, weekdays: readCheckedWeekdays() };
+        case 'interval':
+            return { type, interval: parseInt(formElements.recurrenceInterval.value, 10) };
+        case 'monthly':
+            return { type, monthDay: parseInt(formElements.recurrenceMonthDay.value, 10) };
+        case 'rrule':
+            return { type, rrule: formElements.recurrenceRule.value.trim() };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Retorna os dias da semana marcados no seletor
+ * @returns {number[]} Dias (0 = domingo)
+ */
+function readCheckedWeekdays() {
+    return Array.from(formElements.recurrenceWeekdays.querySelectorAll('input:checked'))
+        .map(checkbox => Number(checkbox.value));
+}
+
+/**
+ * Preenche a checklist do formulário
+ * @param {Array} checklist - Itens do card
+ * @param {boolean} completeOnChecklist - Concluir o card ao marcar todos os itens
+ */
+function fillChecklistFields(checklist, completeOnChecklist) {
+    checklistDraft = normalizeChecklist(checklist);
+    formElements.checklistInput.value = '';
+    formElements.checklistAutoComplete.checked = completeOnChecklist === true;
+    renderChecklistEditor();
+}
+
+/**
+ * Adiciona à checklist o texto digitado no campo de novo item
+ */
+function addChecklistItemFromInput() {
+    if (!commitChecklistInput()) return;
+
+    renderChecklistEditor();
+    formElements.checklistInput.focus();
+}
+
+/**
+ * Passa o texto do campo de novo item para o rascunho da checklist, sem renderizar
+ * @returns {boolean} True se um item foi adicionado
+ */
+function commitChecklistInput() {
+    const text = formElements.checklistInput.value.trim();
+    if (!text) return false;
+
+    checklistDraft = [...checklistDraft, { id: generateId('item'), text, done: false }];
+    formElements.checklistInput.value = '';
+    return true;
+}
+
+/**
+ * Trata os botões de mover e remover itens da checklist
+ * @param {MouseEvent} e - Evento de clique
+ */
+function handleChecklistEditorClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const itemId = button.closest('.checklist-editor-item')?.dataset.itemId;
+    const index = checklistDraft.findIndex(item => item.id === itemId);
+    if (index === -1) return;
+
+    const items = [...checklistDraft];
+
+    switch (button.dataset.action) {
+        case 'move-up':
+            if (index === 0) return;
+            [items[index - 1], items[index]] = [items[index], items[index - 1]];
+            break;
+        case 'move-down':
+            if (index === items.length - 1) return;
+            [items[index], items[index + 1]] = [items[index + 1], items[index]];
+            break;
+        case 'remove':
+            items.splice(index, 1);
+            break;
+        default:
+            return;
+    }
+
+    checklistDraft = items;
+    renderChecklistEditor();
+}
+
+/**
+ * Sincroniza marcação e texto editados na lista com o rascunho
+ * @param {Event} e - Evento de change
+ */
+function handleChecklistEditorChange(e) {
+    const itemId = e.target.closest('.checklist-editor-item')?.dataset.itemId;
+    if (!itemId) return;
+
+    checklistDraft = checklistDraft
+        .map(item => {
+            if (item.id !== itemId) return item;
+
+            if (e.target.matches('.checklist-item-done')) {
+                return { ...item, done: e.target.checked };
+            }
+
+            return { ...item, text: e.target.value.trim() };
+        })
+        // Item com texto apagado é removido
+        .filter(item => item.text);
+
+    renderChecklistEditor();
+}
+
+/**
+ * Renderiza os itens da checklist no formulário
+ */
+function renderChecklistEditor() {
+    const editor = formElements.checklistEditor;
+    if (!editor) return;
+
+    editor.innerHTML = '';
+
+    checklistDraft.forEach((item, index) => {
+        const li = document.createElement('li');
+        li.className = 'checklist-editor-item';
+        li.dataset.itemId = item.id;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'checklist-item-done';
+        checkbox.checked = item.done;
+        checkbox.setAttribute('aria-label', `Marcar "${item.text}" como feito`);
+
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.className = 'checklist-item-text';
+        textInput.value = item.text;
+        textInput.maxLength = 200;
+        textInput.setAttribute('aria-label', `Item ${index + 1} da checklist`);
+
+        li.appendChild(checkbox);
+        li.appendChild(textInput);
+        li.appendChild(createChecklistButton('move-up', '↑', 'Mover para cima', index === 0));
+        li.appendChild(createChecklistButton('move-down', '↓', 'Mover para baixo', index === checklistDraft.length - 1));
+        li.appendChild(createChecklistButton('remove', '×', 'Remover item', false));
+
+        editor.appendChild(li);
+    });
+}
+
+/**
+ * Cria um botão de ação de item da checklist
+ * @param {string} action - Ação (move-up, move-down, remove)
+ * @param {string} symbol - Texto do botão
+ * @param {string} label - Rótulo acessível
+ * @param {boolean} disabled - Se o botão fica desabilitado
+ * @returns {HTMLButtonElement} Botão
+ */
+function createChecklistButton(action, symbol, label, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'checklist-item-button';
+    button.dataset.action = action;
+    button.textContent = symbol;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', label);
+    return button;
+}
+
 /**
  * Marca um campo como inválido
  * @param {HTMLElement} field - Campo do formulário
@@ -504,7 +1463,7 @@ async function confirmDelete() {
         const success = await removeCard(cardId);
 
         if (success) {
-            showToast('Card excluído com sucesso!', 'success');
+            showToast('Card movido para a lixeira', 'success', { label: 'Desfazer', onClick: undoChange });
         } else {
             showToast('Erro ao excluir card. Tente novamente.', 'error');
         }
@@ -536,9 +1495,10 @@ function getActiveModal() {
 /**
  * Mostra uma mensagem toast temporária
  * @param {string} message - Mensagem a ser exibida
- * @param {string} type - Tipo ('success', 'error', 'warning')
+ * @param {string} type - Tipo ('success', 'error', 'warning', 'info')
+ * @param {{label: string, onClick: Function}|null} action - Botão opcional (ex: 'Desfazer')
  */
-function showToast(message, type = 'info') {
+export function showToast(message, type = 'info', action = null) {
     // Remove toast existente
     const existingToast = document.querySelector('.toast');
     if (existingToast) {
@@ -548,7 +1508,11 @@ function showToast(message, type = 'info') {
     // Cria novo toast
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
-    toast.textContent = message;
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
 
     // Estilização adicional
     toast.style.cssText = `
@@ -570,6 +1534,28 @@ function showToast(message, type = 'info') {
         font-weight: var(--font-weight-medium);
     `;
 
+    const hideToast = () => {
+        toast.classList.remove('show');
+        toast.style.opacity = '0';
+        toast.style.transform = 'translateX(-50%) translateY(20px)';
+
+        setTimeout(() => {
+            toast.remove();
+        }, 300);
+    };
+
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'toast-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            hideToast();
+            action.onClick();
+        });
+        toast.appendChild(actionButton);
+    }
+
     document.body.appendChild(toast);
 
     // Animação de entrada
@@ -579,25 +1565,17 @@ function showToast(message, type = 'info') {
         toast.style.transform = 'translateX(-50%) translateY(0)';
     }, 10);
 
-    // Remove após 3 segundos
-    setTimeout(() => {
-        toast.classList.remove('show');
-        toast.style.opacity = '0';
-        toast.style.transform = 'translateX(-50%) translateY(20px)';
-
-        setTimeout(() => {
-            toast.remove();
-        }, 300);
-    }, 3000);
+    // Remove após 3 segundos (com ação, 6 segundos para dar tempo de clicar)
+    setTimeout(hideToast, action ? 6000 : 3000);
 }
 
 /**
  * Atualiza modais baseado no estado
  * (Chamado quando o estado muda)
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior
  */
-export function updateModalsFromState() {
-    const state = getState();
-
+export function updateModalsFromState(state = getState(), oldState = null) {
     // Atualiza visibilidade dos modais
     Object.entries(state.modals).forEach(([modalName, isVisible]) => {
         const modalElement = modalElements[modalName];
@@ -628,5 +1606,21 @@ export function updateModalsFromState() {
             resetForm();
         }
     }
+
+    // Modal de atalhos: a lista é redesenhada ao abrir (as teclas podem ter mudado)
+    if (state.modals.shortcutsModal && !oldState?.modals.shortcutsModal) {
+        stopShortcutRebind();
+        setTimeout(() => modalElements.shortcutsCloseButton?.focus(), 100);
+    } else if (!state.modals.shortcutsModal && shortcutToRebind) {
+        shortcutToRebind = null;
+    }
+
+    // Paleta de comandos: abre com o campo vazio (recentes primeiro)
+    if (state.modals.commandPalette && !oldState?.modals.commandPalette && modalElements.commandPaletteInput) {
+        modalElements.commandPaletteInput.value = '';
+        activePaletteItem = 0;
+        renderPalette();
+        setTimeout(() => modalElements.commandPaletteInput.focus(), 0);
+    }
 }// Adicione estas funções auxiliares no final do modals.js
  
\ No newline at end of file
@@ -1,19 +1,115 @@
 // navigation.js - Navegação entre abas e menus (VERSÃO FINAL SIMPLIFICADA)
 // SEM IMPORT DUPLICADAS - APENAS O ESSENCIAL
 
-import { getState, setActiveTab } from './state.js';
-import { renderCards } from './cards.js';
+import {
+    getState,
+    setActiveTab,
+    setSearchVisibility,
+    setSelectedCard,
+    setModalVisibility
+} from './state.js';
+import { renderCards, moveCardToTab, openEditCardModal, updateExistingCard } from './cards.js';
+import { openCardModal, showToast, undoChange } from './modals.js';
+import { getPreference, setPreference } from './storage.js';
+
+// Atalhos de teclado configuráveis (tecla padrão de cada ação); as teclas
+// trocadas pelo usuário ficam na preferência 'keyboardShortcuts'
+const SHORTCUTS = [
+    { action: 'newCard', key: 'n', label: 'Novo card' },
+    { action: 'search', key: '/', label: 'Buscar' },
+    { action: 'tabRotina', key: '1', label: 'Ir para Rotina', tab: 'rotina' },
+    { action: 'tabEconomia', key: '2', label: 'Ir para Economia', tab: 'economia' },
+    { action: 'tabLembretes', key: '3', label: 'Ir para Lembretes', tab: 'lembretes' },
+    { action: 'tabLinks', key: '4', label: 'Ir para Links', tab: 'links' },
+    { action: 'editCard', key: 'e', label: 'Editar o card em foco' },
+    { action: 'deleteCard', key: 'd', label: 'Excluir o card em foco' },
+    { action: 'toggleDone', key: 'x', label: 'Concluir / reabrir o card em foco' },
+    { action: 'help', key: '?', label: 'Mostrar os atalhos' }
+];
+
+// Containers da grade de cada aba (as setas andam entre os cards deles)
+const CARD_CONTAINERS = {
+    rotina: 'rotinaCards',
+    economia: 'economiaCards',
+    lembretes: 'lembretesCards',
+    links: 'linksContainer'
+};
+
+// Último card com foco (as setas voltam a ele depois de um modal fechar)
+let lastFocusedCardId = null;
 
 // Exporta funções públicas
 export function initNavigation() {
     initTabNavigation();
+    initTabDropTargets();
     initMenuToggle();
     initSearchToggle();
     initCreateButtons();
+    initKeyboardShortcuts();
+    initTheme();
     initResponsiveBehavior();
     updateNavigationFromState();
 }
 
+/**
+ * Retorna os atalhos configuráveis com a tecla atual de cada ação
+ * @returns {Array<{action: string, key: string, label: string}>} Atalhos na ordem exibida
+ */
+export function getShortcuts() {
+    const customKeys = getCustomShortcutKeys();
+
+    return SHORTCUTS.map(({ action, key, label }) => ({
+        action,
+        key: customKeys[action] || key,
+        label
+    }));
+}
+
+/**
+ * Troca a tecla de uma ação
+ * @param {string} action - Ação do atalho
+ * @param {string} key - Nova tecla (um caractere)
+ * @returns {boolean} True se a tecla foi salva (false se inválida ou já usada)
+ */
+export function setShortcutKey(action, key) {
+    const shortcut = SHORTCUTS.find(s => s.action === action);
+    const normalizedKey = normalizeShortcutKey(key);
+
+    if (!shortcut || !normalizedKey) return false;
+
+    const inUse = getShortcuts().some(s => s.action !== action && s.key === normalizedKey);
+    if (inUse) return false;
+
+    const customKeys = { ...getCustomShortcutKeys() };
+    if (normalizedKey === shortcut.key) {
+        delete customKeys[action];
+    } else {
+        customKeys[action] = normalizedKey;
+    }
+
+    setPreference('keyboardShortcuts', customKeys);
+    return true;
+}
+
+/**
+ * Volta todos os atalhos às teclas padrão
+ */
+export function resetShortcuts() {
+    setPreference('keyboardShortcuts', {});
+}
+
+/**
+ * Alterna entre os temas claro e escuro (a escolha fica nas preferências)
+ * @returns {string} Tema aplicado ('light' ou 'dark')
+ */
+export function toggleTheme() {
+    const theme = getPreference('theme', 'light') === 'dark' ? 'light' : 'dark';
+
+    setPreference('theme', theme);
+    applyTheme(theme);
+    return theme;
+}
+
 export function updateNavigationFromState() {
     const state = getState();
     updateNavigationVisual(state.activeTab);
@@ -52,6 +148,46 @@ function initTabNavigation() {
     });
 }
 
+// Soltar um card (da grade, calendário, agenda ou quadro) sobre uma aba da
+// navegação move o card para o fim dessa aba
+function initTabDropTargets() {
+    const getDraggedCard = () => document.querySelector('.dragging[data-card-id]');
+
+    document.querySelectorAll('.bottom-navigation [data-tab], .sidebar [data-tab]').forEach(item => {
+        item.addEventListener('dragover', (e) => {
+            const draggedCard = getDraggedCard();
+            if (!draggedCard) return;
+
+            // A aba atual do card não aceita o drop
+            const card = getState().cards.find(c => c.id === draggedCard.dataset.cardId);
+            if (!card || card.tab === item.dataset.tab) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            item.classList.add('drop-target');
+        });
+
+        item.addEventListener('dragleave', (e) => {
+            if (!item.contains(e.relatedTarget)) {
+                item.classList.remove('drop-target');
+            }
+        });
+
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-target');
+
+            const cardId = e.dataTransfer.getData('text/plain');
+            if (cardId) moveCardToTab(cardId, item.dataset.tab);
+        });
+    });
+
+    // Drag cancelado (Esc ou solto fora): limpa o destaque
+    document.addEventListener('dragend', () => {
+        document.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+    });
+}
+
 function initMenuToggle() {
     const menuToggle = document.getElementById('menuToggle');
     if (menuToggle) {
@@ -83,6 +219,166 @@ function initCreateButtons() {
     });
 }
 
+function initKeyboardShortcuts() {
+    document.addEventListener('keydown', handleShortcutKey);
+
+    document.addEventListener('focusin', (e) => {
+        const cardElement = e.target.closest?.('[data-card-id]');
+        if (cardElement && getCardElements().includes(cardElement)) {
+            lastFocusedCardId = cardElement.dataset.cardId;
+        }
+    });
+}
+
+// Atalhos de uma tecla: não valem durante a digitação, com modal aberto
+// ou com um card pego para reordenar (as setas movem o card)
+function handleShortcutKey(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (Object.values(getState().modals).some(Boolean)) return;
+    if (document.querySelector('.card.grabbed, .card.lifted')) return;
+
+    if (e.key?.startsWith('Arrow')) {
+        if (moveCardFocus(e.key)) e.preventDefault();
+        return;
+    }
+
+    const key = normalizeShortcutKey(e.key);
+    const shortcut = key && getShortcuts().find(s => s.key === key);
+    if (!shortcut) return;
+
+    e.preventDefault();
+    runShortcut(shortcut.action, e.target);
+}
+
+function runShortcut(action, target) {
+    const tab = SHORTCUTS.find(s => s.action === action).tab;
+    if (tab) {
+        switchTab(tab);
+        return;
+    }
+
+    switch (action) {
+        case 'newCard':
+            openCardModal(null, getState().activeTab);
+            return;
+        case 'search':
+            openSearch();
+            return;
+        case 'help':
+            setModalVisibility('shortcutsModal', true);
+            return;
+    }
+
+    // Ações sobre o card em foco
+    const card = getFocusedCard(target);
+    if (!card) return;
+
+    switch (action) {
+        case 'editCard':
+            openEditCardModal(card);
+            break;
+        case 'deleteCard':
+            setSelectedCard(card.id);
+            setModalVisibility('deleteModal', true);
+            break;
+        case 'toggleDone':
+            toggleCardDone(card);
+            break;
+    }
+}
+
+async function toggleCardDone(card) {
+    const isDone = card.status === 'concluido';
+    const updated = await updateExistingCard(card.id, { status: isDone ? 'pendente' : 'concluido' });
+
+    if (updated) {
+        showToast(
+            isDone ? `"${card.title}" reaberto` : `"${card.title}" concluído`,
+            'success',
+            { label: 'Desfazer', onClick: undoChange }
+        );
+    }
+}
+
+// Card da grade com o foco (o alvo da tecla é o card ou um elemento de dentro dele)
+function getFocusedCard(target) {
+    const cardElement = target.closest?.('[data-card-id]');
+    if (!cardElement || !getCardElements().includes(cardElement)) return null;
+
+    return getState().cards.find(card => card.id === cardElement.dataset.cardId) || null;
+}
+
+// Cards da grade da aba ativa na ordem exibida (sem os de grupos recolhidos)
+function getCardElements() {
+    const container = document.getElementById(CARD_CONTAINERS[getState().activeTab]);
+    if (!container) return [];
+
+    return [...container.querySelectorAll('.card[data-card-id], .link-item[data-card-id]')]
+        .filter(element => !element.closest('.card-group.collapsed'));
+}
+
+// Setas: esquerda/direita vão ao card anterior/seguinte, cima/baixo pulam uma
+// linha da grade. Sem card em foco, voltam ao último card focado (ou ao primeiro)
+function moveCardFocus(arrowKey) {
+    const elements = getCardElements();
+    if (elements.length === 0) return false;
+
+    const current = document.activeElement?.closest?.('[data-card-id]');
+    const index = elements.indexOf(current);
+
+    if (index === -1) {
+        if (document.activeElement && document.activeElement !== document.body) return false;
+
+        const lastFocused = elements.find(element => element.dataset.cardId === lastFocusedCardId);
+        (lastFocused || elements[0]).focus();
+        return true;
+    }
+
+    const rowStep = getGridColumnCount(current.parentElement);
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -rowStep, ArrowDown: rowStep };
+    if (!(arrowKey in steps)) return false;
+
+    const nextIndex = Math.min(Math.max(index + steps[arrowKey], 0), elements.length - 1);
+    elements[nextIndex].focus();
+    elements[nextIndex].scrollIntoView({ block: 'nearest' });
+    return true;
+}
+
+function getGridColumnCount(grid) {
+    const columns = getComputedStyle(grid).gridTemplateColumns.split(' ').filter(Boolean);
+    return Math.max(columns.length, 1);
+}
+
+// Teclas dos atalhos: um caractere visível, letras em minúsculas
+function normalizeShortcutKey(key) {
+    if (typeof key !== 'string' || [...key].length !== 1 || !key.trim()) return null;
+    return key.toLowerCase();
+}
+
+// Teclas salvas pelo usuário (só as válidas)
+function getCustomShortcutKeys() {
+    const saved = getPreference('keyboardShortcuts', {});
+    if (!saved || typeof saved !== 'object') return {};
+
+    const customKeys = {};
+    SHORTCUTS.forEach(({ action }) => {
+        const key = normalizeShortcutKey(saved[action]);
+        if (key) customKeys[action] = key;
+    });
+
+    return customKeys;
+}
+
+function initTheme() {
+    applyTheme(getPreference('theme', 'light'));
+}
+
+// Os temas trocam as variáveis de cor (ver variables.css)
+function applyTheme(theme) {
+    document.documentElement.dataset.theme = theme === 'dark' ? 'dark' : 'light';
+}
+
 function switchTab(tabName) {
     setActiveTab(tabName);
     updateNavigationVisual(tabName);
@@ -153,33 +449,27 @@ function closeMobileMenu() {
 }
 
 function toggleSearch() {
-    const searchContainer = document.querySelector('.search-container');
-    if (!searchContainer) return;
-
-    if (searchContainer.classList.contains('active')) {
+    if (getState().isSearchVisible) {
         closeSearch();
     } else {
         openSearch();
     }
 }
 
+// A visibilidade da busca fica no estado; search.js atualiza a barra
 function openSearch() {
-    const searchContainer = document.querySelector('.search-container');
     const searchInput = document.getElementById('searchInput');
 
-    if (searchContainer) {
-        searchContainer.classList.add('active');
+    setSearchVisibility(true);
 
-        if (searchInput) {
-            setTimeout(() => searchInput.focus(), 100);
-        }
+    if (searchInput) {
+        setTimeout(() => searchInput.focus(), 100);
     }
 }
 
 function closeSearch() {
-    const searchContainer = document.querySelector('.search-container');
-    if (searchContainer) {
-        searchContainer.classList.remove('active');
+    if (getState().isSearchVisible) {
+        setSearchVisibility(false);
     }
 }
 
@@ -0,0 +1,476 @@
+// recurrence.js - Regras de recorrência dos cards (diária, semanal, mensal e RRULE)
+
+import { parseDate, formatDateForInput, getWeekday } from './utils.js';
+
+// Limite de busca por uma próxima ocorrência (evita laços infinitos em regras impossíveis)
+const MAX_SEARCH_DAYS = 366 * 5;
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+// Códigos de dia da semana do RFC 5545, na ordem de Date.getDay()
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Regra de recorrência de um card
+ * @typedef {Object} RecurrenceRule
+ * @property {string} type - 'daily', 'weekly', 'interval', 'monthly', 'lastBusinessDay' ou 'rrule'
+ * @property {number[]} [weekdays] - Dias da semana (0 = domingo), para 'weekly'
+ * @property {number} [interval] - Intervalo em dias, para 'interval'
+ * @property {number} [monthDay] - Dia do mês (1-31), para 'monthly'
+ * @property {string} [rrule] - Regra RFC 5545 (subconjunto), para 'rrule'
+ */
+
+/**
+ * Retorna os tipos de recorrência disponíveis
+ * @returns {Array} Lista de tipos
+ */
+export function getRecurrenceTypes() {
+    return [
+        { value: 'daily', label: 'Todos os dias' },
+        { value: 'weekly', label: 'Dias da semana' },
+        { value: 'interval', label: 'A cada N dias' },
+        { value: 'monthly', label: 'Mensal (dia fixo)' },
+        { value: 'lastBusinessDay', label: 'Último dia útil do mês' },
+        { value: 'rrule', label: 'Personalizada (RRULE)' }
+    ];
+}
+
+/**
+ * Valida e limpa uma regra de recorrência
+ * @param {*} rule - Regra vinda do formulário, do storage ou de importação
+ * @returns {RecurrenceRule|null} Regra válida ou null
+ */
+export function normalizeRecurrence(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+
+    switch (rule.type) {
+        case 'daily':
+        case 'lastBusinessDay':
+            return { type: rule.type };
+
+        case 'weekly': {
+            const weekdays = Array.isArray(rule.weekdays)
+                ? [...new Set(rule.weekdays.map(Number))]
+                    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+                    .sort((a, b) => a - b)
+                : [];
+            return weekdays.length > 0 ? { type: 'weekly', weekdays } : null;
+        }
+
+        case 'interval': {
+            const interval = Number(rule.interval);
+            return Number.isInteger(interval) && interval >= 1 && interval <= 365
+                ? { type: 'interval', interval }
+                : null;
+        }
+
+        case 'monthly': {
+            const monthDay = Number(rule.monthDay);
+            return Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31
+                ? { type: 'monthly', monthDay }
+                : null;
+        }
+
+        case 'rrule': {
+            const rrule = typeof rule.rrule === 'string'
+                ? rule.rrule.trim().toUpperCase().replace(/^RRULE:/, '')
+                : '';
+            return isValidRRule(rrule) ? { type: 'rrule', rrule } : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Interpreta uma regra RRULE (RFC 5545).
+ * Subconjunto suportado: FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, COUNT e UNTIL.
+ * @param {string} text - Regra, ex: 'FREQ=WEEKLY;BYDAY=MO,WE,FR'
+ * @returns {Object} Regra interpretada
+ * @throws {Error} Se a regra for inválida ou usar partes não suportadas
+ */
+export function parseRRule(text) {
+    if (!text || typeof text !== 'string') {
+        throw new Error('Regra vazia');
+    }
+
+    const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null };
+
+    text.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value] = part.split('=');
+
+        if (!value) {
+            throw new Error(`Parte inválida: ${part}`);
+        }
+
+        switch (key) {
+            case 'FREQ':
+                if (!RRULE_FREQUENCIES.includes(value)) {
+                    throw new Error(`Frequência não suportada: ${value}`);
+                }
+                parsed.freq = value;
+                break;
+
+            case 'INTERVAL':
+                parsed.interval = parsePositiveInteger(value, key);
+                break;
+
+            case 'COUNT':
+                parsed.count = parsePositiveInteger(value, key);
+                break;
+
+            case 'BYDAY':
+                parsed.byDay = value.split(',').map(item => {
+                    const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) {
+                        throw new Error(`BYDAY inválido: ${item}`);
+                    }
+                    return {
+                        weekday: RRULE_WEEKDAYS.indexOf(match[2]),
+                        ordinal: match[1] ? parseInt(match[1], 10) : null
+                    };
+                });
+                break;
+
+            case 'BYMONTHDAY':
+                parsed.byMonthDay = value.split(',').map(item => {
+                    const day = parseInt(item, 10);
+                    if (isNaN(day) || day === 0 || day < -31 || day > 31) {
+                        throw new Error(`BYMONTHDAY inválido: ${item}`);
+                    }
+                    return day;
+                });
+                break;
+
+            case 'BYMONTH':
+                parsed.byMonth = value.split(',').map(item => {
+                    const month = parseInt(item, 10);
+                    if (isNaN(month) || month < 1 || month > 12) {
+                        throw new Error(`BYMONTH inválido: ${item}`);
+                    }
+                    return month;
+                });
+                break;
+
+            case 'UNTIL': {
+                const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                if (!match) {
+                    throw new Error(`UNTIL inválido: ${value}`);
+                }
+                parsed.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+                break;
+            }
+
+            default:
+                throw new Error(`Parte não suportada: ${key}`);
+        }
+    });
+
+    if (!parsed.freq) {
+        throw new Error('FREQ é obrigatório');
+    }
+
+    return parsed;
+}
+
+/**
+ * Verifica se uma regra RRULE é válida dentro do subconjunto suportado
+ * @param {string} text - Regra
+ * @returns {boolean} True se válida
+ */
+export function isValidRRule(text) {
+    try {
+        parseRRule(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verifica se a série que começa em `startDate` tem uma ocorrência em `targetDate`
+ * @param {RecurrenceRule} rule - Regra de recorrência
+ * @param {Date|string} startDate - Data da primeira ocorrência (âncora)
+ * @param {Date|string} targetDate - Data a verificar
+ * @returns {boolean} True se houver ocorrência na data
+ */
+export function occursOn(rule, startDate, targetDate) {
+    const normalizedRule = normalizeRecurrence(rule);
+    const start = toDateOnly(startDate);
+    const target = toDateOnly(targetDate);
+
+    if (!normalizedRule || !start || !target || target < start) {
+        return false;
+    }
+
+    switch (normalizedRule.type) {
+        case 'daily':
+            return true;
+
+        case 'weekly':
+            return normalizedRule.weekdays.includes(target.getDay());
+
+        case 'interval':
+            return daysBetween(start, target) % normalizedRule.interval === 0;
+
+        case 'monthly': {
+            const lastDay = getLastDayOfMonth(target);
+            // Meses sem o dia escolhido (ex: 31) usam o último dia do mês
+            return target.getDate() === Math.min(normalizedRule.monthDay, lastDay);
+        }
+
+        case 'lastBusinessDay':
+            return isLastBusinessDay(target);
+
+        case 'rrule':
+            return matchesRRule(parseRRule(normalizedRule.rrule), start, target);
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Calcula a próxima ocorrência depois de uma data
+ * @param {RecurrenceRule} rule - Regra de recorrência
+ * @param {Date|string} startDate - Data da ocorrência atual (âncora da série)
+ * @param {Date|string} afterDate - Busca ocorrências estritamente depois desta data
+ * @param {number} occurrence - Número da ocorrência atual na série (para COUNT)
+ * @returns {string|null} Próxima data (YYYY-MM-DD) ou null se a série terminou
+ */
+export function getNextOccurrence(rule, startDate, afterDate = startDate, occurrence = 1) {
+    const normalizedRule = normalizeRecurrence(rule);
+    const start = toDateOnly(startDate);
+    const after = toDateOnly(afterDate);
+
+    if (!normalizedRule || !start || !after) return null;
+
+    let until = null;
+    if (normalizedRule.type === 'rrule') {
+        const parsed = parseRRule(normalizedRule.rrule);
+        if (parsed.count && occurrence >= parsed.count) {
+            return null;
+        }
+        until = parsed.until;
+    }
+
+    const candidate = new Date(after);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+        candidate.setDate(candidate.getDate() + 1);
+
+        if (until && candidate > until) {
+            return null;
+        }
+
+        if (occursOn(normalizedRule, start, candidate)) {
+            return formatDateForInput(candidate);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Retorna a primeira data da série a partir de `date` (inclusive)
+ * @param {RecurrenceRule} rule - Regra de recorrência
+ * @param {Date|string} date - Data inicial desejada
+ * @returns {string|null} Data (YYYY-MM-DD) alinhada à regra
+ */
+export function alignToRecurrence(rule, date) {
+    if (occursOn(rule, date, date)) {
+        return formatDateForInput(toDateOnly(date));
+    }
+
+    return getNextOccurrence(rule, date, date);
+}
+
+/**
+ * Calcula a data da ocorrência seguinte de um card recorrente
+ * @param {Object} card - Card com `recurrence` e `date`
+ * @param {Date|string|null} notBefore - Pula ocorrências anteriores a esta data
+ * @returns {string|null} Data da próxima ocorrência ou null
+ */
+export function getNextOccurrenceForCard(card, notBefore = null) {
+    if (!card || !card.recurrence || !card.date) return null;
+
+    let after = toDateOnly(card.date);
+    if (!after) return null;
+
+    if (notBefore) {
+        // Busca a partir do dia anterior para incluir o próprio `notBefore`
+        const limit = toDateOnly(notBefore);
+        limit.setDate(limit.getDate() - 1);
+        if (limit > after) {
+            after = limit;
+        }
+    }
+
+    return getNextOccurrence(card.recurrence, card.date, after, card.occurrence || 1);
+}
+
+/**
+ * Descreve uma regra de recorrência em português
+ * @param {RecurrenceRule} rule - Regra de recorrência
+ * @returns {string} Descrição curta (vazia se não houver regra)
+ */
+export function describeRecurrence(rule) {
+    const normalizedRule = normalizeRecurrence(rule);
+    if (!normalizedRule) return '';
+
+    switch (normalizedRule.type) {
+        case 'daily':
+            return 'Todos os dias';
+
+        case 'weekly':
+            return normalizedRule.weekdays
+                .map(day => getWeekday(new Date(2024, 0, 7 + day), true))
+                .join(', ');
+
+        case 'interval':
+            return normalizedRule.interval === 1 ? 'Todos os dias' : `A cada ${normalizedRule.interval} dias`;
+
+        case 'monthly':
+            return `Todo dia ${normalizedRule.monthDay}`;
+
+        case 'lastBusinessDay':
+            return 'Último dia útil do mês';
+
+        case 'rrule': {
+            const parsed = parseRRule(normalizedRule.rrule);
+            const units = { DAILY: ['Diária', 'dias'], WEEKLY: ['Semanal', 'semanas'], MONTHLY: ['Mensal', 'meses'], YEARLY: ['Anual', 'anos'] };
+            const [label, unit] = units[parsed.freq];
+            return parsed.interval > 1 ? `A cada ${parsed.interval} ${unit}` : label;
+        }
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Verifica uma data contra uma regra RRULE interpretada
+ * @param {Object} parsed - Resultado de parseRRule
+ * @param {Date} start - Âncora da série
+ * @param {Date} date - Data a verificar
+ * @returns {boolean} True se houver ocorrência
+ */
+function matchesRRule(parsed, start, date) {
+    if (parsed.until && date > parsed.until) return false;
+
+    const month = date.getMonth() + 1;
+    if (parsed.byMonth.length > 0 && !parsed.byMonth.includes(month)) return false;
+
+    const matchesByDay = () => parsed.byDay.some(({ weekday, ordinal }) =>
+        date.getDay() === weekday && (ordinal === null || matchesOrdinal(date, ordinal))
+    );
+    const matchesByMonthDay = () => parsed.byMonthDay.some(day =>
+        day > 0 ? date.getDate() === day : date.getDate() === getLastDayOfMonth(date) + day + 1
+    );
+
+    switch (parsed.freq) {
+        case 'DAILY':
+            if (daysBetween(start, date) % parsed.interval !== 0) return false;
+            if (parsed.byDay.length > 0 && !parsed.byDay.some(({ weekday }) => weekday === date.getDay())) return false;
+            return parsed.byMonthDay.length === 0 || matchesByMonthDay();
+
+        case 'WEEKLY': {
+            const weeks = daysBetween(getWeekStart(start), getWeekStart(date)) / 7;
+            if (weeks % parsed.interval !== 0) return false;
+            const weekdays = parsed.byDay.length > 0
+                ? parsed.byDay.map(({ weekday }) => weekday)
+                : [start.getDay()];
+            return weekdays.includes(date.getDay());
+        }
+
+        case 'MONTHLY': {
+            const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+            if (months % parsed.interval !== 0) return false;
+            if (parsed.byDay.length > 0 || parsed.byMonthDay.length > 0) {
+                return (parsed.byDay.length === 0 || matchesByDay()) &&
+                    (parsed.byMonthDay.length === 0 || matchesByMonthDay());
+            }
+            return date.getDate() === start.getDate();
+        }
+
+        case 'YEARLY': {
+            const years = date.getFullYear() - start.getFullYear();
+            if (years % parsed.interval !== 0) return false;
+            if (parsed.byMonth.length === 0 && date.getMonth() !== start.getMonth()) return false;
+            if (parsed.byDay.length > 0 || parsed.byMonthDay.length > 0) {
+                return (parsed.byDay.length === 0 || matchesByDay()) &&
+                    (parsed.byMonthDay.length === 0 || matchesByMonthDay());
+            }
+            return date.getDate() === start.getDate();
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Verifica se a data é a N-ésima ocorrência do seu dia da semana no mês
+ * (N negativo conta a partir do fim do mês: -1 = última)
+ */
+function matchesOrdinal(date, ordinal) {
+    if (ordinal > 0) {
+        return Math.ceil(date.getDate() / 7) === ordinal;
+    }
+
+    const daysToEnd = getLastDayOfMonth(date) - date.getDate();
+    return Math.floor(daysToEnd / 7) + 1 === -ordinal;
+}
+
+/**
+ * Verifica se a data é o último dia útil (segunda a sexta) do mês
+ */
+function isLastBusinessDay(date) {
+    const lastBusinessDay = new Date(date.getFullYear(), date.getMonth(), getLastDayOfMonth(date));
+
+    while (lastBusinessDay.getDay() === 0 || lastBusinessDay.getDay() === 6) {
+        lastBusinessDay.setDate(lastBusinessDay.getDate() - 1);
+    }
+
+    return date.getDate() === lastBusinessDay.getDate();
+}
+
+function getLastDayOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+/**
+ * Início da semana (segunda-feira, WKST padrão do RFC 5545)
+ */
+function getWeekStart(date) {
+    const weekStart = new Date(date);
+    weekStart.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return weekStart;
+}
+
+function daysBetween(from, to) {
+    // Arredonda para absorver a diferença de horário de verão
+    return Math.round((to - from) / DAY_IN_MS);
+}
+
+function parsePositiveInteger(value, key) {
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < 1) {
+        throw new Error(`${key} inválido: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Converte para Date sem horário (meia-noite local)
+ * @returns {Date|null} Data ou null se inválida
+ */
+function toDateOnly(date) {
+    if (!date) return null;
+
+    const d = parseDate(date);
+    if (isNaN(d.getTime())) return null;
+
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
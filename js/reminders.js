@@ -0,0 +1,370 @@
+// reminders.js - Lembretes locais (Notification API + service worker)
+
+import {
+    getAllCards,
+    getCardById,
+    updateCard,
+    reloadCards,
+    subscribeToChanges,
+    getMetaValue,
+    setMetaValue
+} from './storage.js';
+import { parseDate, parseTime, formatTime, formatDate, daysUntil, getDaysDescription, debounce } from './utils.js';
+
+// Horário usado para cards sem horário ou de dia inteiro
+const DEFAULT_REMINDER_TIME = '09:00';
+
+// Antecedência da ação "Adiar" das notificações
+export const SNOOZE_MINUTES = 10;
+
+// Lembretes perdidos com a página fechada ainda são exibidos dentro desta janela
+const MISSED_REMINDER_WINDOW = 6 * 60 * 60 * 1000;
+
+// Lembretes futuros repassados ao service worker (sincronização periódica)
+const SCHEDULE_HORIZON = 7 * 24 * 60 * 60 * 1000;
+
+// setTimeout perde precisão em esperas longas: reavalia no máximo a cada hora
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+// Chaves de metadados compartilhadas com o service-worker.js
+const SCHEDULE_META_KEY = 'reminderSchedule';
+const FIRED_META_KEY = 'remindersFired';
+const PERIODIC_SYNC_TAG = 'organizador-lembretes';
+
+const ICON_PATH = './assets/icons/favicon.png';
+
+let reminderTimer = null;
+let firedKeys = new Set();
+let onExternalChange = null;
+
+/**
+ * Lembrete calculado para um card
+ * @typedef {Object} Reminder
+ * @property {string} key - Identificador único (card + horário do disparo)
+ * @property {string} cardId - ID do card
+ * @property {string} title - Título da notificação
+ * @property {string} body - Texto da notificação
+ * @property {number} fireAt - Timestamp do disparo
+ */
+
+/**
+ * Retorna as antecedências pré-definidas oferecidas no formulário
+ * @returns {Array<{value: number, label: string}>} Antecedências em minutos
+ */
+export function getReminderPresets() {
+    return [
+        { value: 0, label: 'No horário' },
+        { value: 10, label: '10 min antes' },
+        { value: 1440, label: '1 dia antes' }
+    ];
+}
+
+/**
+ * Descreve uma antecedência de lembrete
+ * @param {number} offset - Minutos antes do horário do card
+ * @returns {string} Descrição (ex: 'No horário', '2 h antes', '1 dia antes')
+ */
+export function describeReminder(offset) {
+    if (offset === 0) return 'No horário';
+    if (offset % 1440 === 0) {
+        const days = offset / 1440;
+        return days === 1 ? '1 dia antes' : `${days} dias antes`;
+    }
+    if (offset % 60 === 0) return `${offset / 60} h antes`;
+    return `${offset} min antes`;
+}
+
+/**
+ * Calcula o momento de um lembrete
+ * @param {Object} card - Card com data (e horário opcional)
+ * @param {number} offset - Minutos antes do horário do card
+ * @returns {number|null} Timestamp do disparo ou null se o card não tem data
+ */
+export function getReminderFireTime(card, offset) {
+    if (!card.date) return null;
+
+    const day = parseDate(card.date);
+    if (isNaN(day.getTime())) return null;
+
+    const cardTime = card.allDay ? null : parseTime(card.time);
+    const startMinutes = cardTime ?? parseTime(DEFAULT_REMINDER_TIME);
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes);
+
+    return start.getTime() - offset * 60 * 1000;
+}
+
+/**
+ * Lista os lembretes de cards não concluídos que disparam em um intervalo
+ * @param {Array} cards - Cards
+ * @param {number} from - Início do intervalo (timestamp, inclusivo)
+ * @param {number} to - Fim do intervalo (timestamp, exclusivo)
+ * @returns {Reminder[]} Lembretes em ordem de disparo
+ */
+export function getRemindersBetween(cards, from, to) {
+    const reminders = [];
+
+    cards.forEach(card => {
+        if (card.status === 'concluido') return;
+
+        const fireTimes = (card.reminders || []).map(offset => getReminderFireTime(card, offset));
+        if (card.snoozedUntil) {
+            fireTimes.push(card.snoozedUntil);
+        }
+
+        fireTimes
+            .filter(fireAt => fireAt !== null && fireAt >= from && fireAt < to)
+            .forEach(fireAt => {
+                reminders.push({
+                    key: `${card.id}@${fireAt}`,
+                    cardId: card.id,
+                    title: card.title,
+                    body: getReminderBody(card),
+                    fireAt
+                });
+            });
+    });
+
+    return reminders.sort((a, b) => a.fireAt - b.fireAt);
+}
+
+/**
+ * Monta o texto da notificação (ex: 'Hoje, 14:30 · 25/12/2025')
+ * @param {Object} card - Card
+ * @returns {string} Texto
+ */
+function getReminderBody(card) {
+    const dayLabel = getDaysDescription(daysUntil(card.date));
+    const time = card.allDay ? '' : formatTime(card.time);
+
+    return `${time ? `${dayLabel}, ${time}` : dayLabel} · ${formatDate(card.date)}`;
+}
+
+/**
+ * Verifica se o navegador suporta notificações
+ * @returns {boolean} True se suportado
+ */
+export function isNotificationSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Pede permissão para notificações (deve ser chamado a partir de uma ação do usuário)
+ * @returns {Promise<string>} 'granted', 'denied', 'default' ou 'unsupported'
+ */
+export async function requestNotificationPermission() {
+    if (!isNotificationSupported()) return 'unsupported';
+
+    if (Notification.permission !== 'default') {
+        return Notification.permission;
+    }
+
+    try {
+        const permission = await Notification.requestPermission();
+        if (permission === 'granted') {
+            registerPeriodicSync();
+            scheduleReminders();
+        }
+        return permission;
+    } catch (error) {
+        console.error('Erro ao pedir permissão de notificações:', error);
+        return 'denied';
+    }
+}
+
+/**
+ * Inicializa os lembretes: agenda os próximos disparos e trata as ações das notificações
+ * @param {Function} onChange - Chamada quando os cards mudarem fora da página
+ *                              (ações do service worker) e a interface precisar ser atualizada
+ */
+export async function initReminders(onChange) {
+    onExternalChange = onChange;
+
+    try {
+        firedKeys = new Set(await getMetaValue(FIRED_META_KEY) || []);
+    } catch (error) {
+        console.warn('Não foi possível ler os lembretes já exibidos:', error);
+    }
+
+    // Reagenda sempre que um card for criado, editado, excluído...
+    subscribeToChanges(debounce(scheduleReminders, 300));
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    }
+
+    await handleActionFromUrl();
+
+    registerPeriodicSync();
+    scheduleReminders();
+}
+
+/**
+ * Exibe os lembretes vencidos e agenda o próximo disparo
+ */
+function scheduleReminders() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+
+    if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+
+    const now = Date.now();
+    const pending = getRemindersBetween(getAllCards(), now - MISSED_REMINDER_WINDOW, now + SCHEDULE_HORIZON)
+        .filter(reminder => !firedKeys.has(reminder.key));
+
+    const due = pending.filter(reminder => reminder.fireAt <= now);
+    const upcoming = pending.filter(reminder => reminder.fireAt > now);
+
+    due.forEach(showReminder);
+
+    // O service worker usa esta lista quando a página estiver fechada
+    setMetaValue(SCHEDULE_META_KEY, upcoming);
+
+    if (upcoming.length > 0) {
+        const delay = Math.min(upcoming[0].fireAt - now, MAX_TIMER_DELAY);
+        reminderTimer = setTimeout(scheduleReminders, delay);
+    }
+}
+
+/**
+ * Exibe a notificação de um lembrete (pelo service worker, para ter as ações)
+ * @param {Reminder} reminder - Lembrete
+ */
+async function showReminder(reminder) {
+    markReminderFired(reminder.key);
+
+    const options = {
+        body: reminder.body,
+        tag: reminder.key,
+        icon: ICON_PATH,
+        data: { cardId: reminder.cardId, key: reminder.key },
+        actions: [
+            { action: 'concluir', title: 'Concluir' },
+            { action: 'adiar', title: `Adiar ${SNOOZE_MINUTES} min` }
+        ]
+    };
+
+    try {
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration()
+            : null;
+
+        if (registration) {
+            await registration.showNotification(reminder.title, options);
+            return;
+        }
+
+        // Sem service worker (ex: file://): notificação simples, sem ações
+        const { actions, ...simpleOptions } = options;
+        const notification = new Notification(reminder.title, simpleOptions);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+
+    } catch (error) {
+        console.error('Erro ao exibir lembrete:', error);
+    }
+}
+
+/**
+ * Registra um lembrete como exibido (evita repetir após recarregar a página)
+ * @param {string} key - Chave do lembrete
+ */
+function markReminderFired(key) {
+    firedKeys.add(key);
+
+    // Descarta chaves antigas: o timestamp do disparo vem depois do '@'
+    const oldest = Date.now() - MISSED_REMINDER_WINDOW - SCHEDULE_HORIZON;
+    firedKeys = new Set([...firedKeys].filter(firedKey => Number(firedKey.split('@').pop()) >= oldest));
+
+    setMetaValue(FIRED_META_KEY, [...firedKeys]);
+}
+
+/**
+ * Aplica uma ação de notificação ("Concluir" ou "Adiar") a um card
+ * @param {string} action - 'concluir' ou 'adiar'
+ * @param {string} cardId - ID do card
+ * @returns {boolean} True se o card foi atualizado
+ */
+export function applyReminderAction(action, cardId) {
+    if (!getCardById(cardId)) {
+        console.warn(`Ação de lembrete para card inexistente: ${cardId}`);
+        return false;
+    }
+
+    if (action === 'concluir') {
+        return !!updateCard(cardId, { status: 'concluido', snoozedUntil: null });
+    }
+
+    if (action === 'adiar') {
+        return !!updateCard(cardId, { snoozedUntil: Date.now() + SNOOZE_MINUTES * 60 * 1000 });
+    }
+
+    console.warn(`Ação de lembrete desconhecida: ${action}`);
+    return false;
+}
+
+/**
+ * Trata mensagens do service worker
+ * @param {MessageEvent} event - Mensagem
+ */
+async function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+
+    try {
+        if (message.type === 'cards-changed') {
+            // O service worker gravou direto no IndexedDB
+            await reloadCards();
+            onExternalChange?.();
+        } else if (message.type === 'reminder-action') {
+            // Sem IndexedDB (LocalStorage): a ação é aplicada pela página
+            if (applyReminderAction(message.action, message.cardId)) {
+                onExternalChange?.();
+            }
+        }
+    } catch (error) {
+        console.error('Erro ao tratar mensagem do service worker:', error);
+    }
+}
+
+/**
+ * Aplica a ação recebida pela URL (?reminderAction=...&cardId=...), usada pelo
+ * service worker quando a página estava fechada e não havia IndexedDB
+ */
+async function handleActionFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const action = params.get('reminderAction');
+    const cardId = params.get('cardId');
+
+    if (!action || !cardId) return;
+
+    // Remove os parâmetros para a ação não se repetir ao recarregar
+    params.delete('reminderAction');
+    params.delete('cardId');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    if (applyReminderAction(action, cardId)) {
+        onExternalChange?.();
+    }
+}
+
+/**
+ * Pede ao navegador para acordar o service worker periodicamente
+ * (exibe lembretes com a página fechada; disponível em PWAs instalados no Chromium)
+ */
+async function registerPeriodicSync() {
+    try {
+        if (!('serviceWorker' in navigator)) return;
+
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !('periodicSync' in registration)) return;
+
+        await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+            minInterval: 15 * 60 * 1000
+        });
+    } catch (error) {
+        // Sem permissão para sincronização periódica: os lembretes dependem da página aberta
+        console.warn('Sincronização periódica indisponível:', error);
+    }
+}
@@ -0,0 +1,298 @@
+// router.js - Rotas no hash da URL: aba, visualização, card aberto, modais, busca e filtros
+// Ex: #/economia?q=luz, #/rotina/calendar, #/rotina/card/<id>, #/lembretes/lixeira?status=pendente
+
+import {
+    getState,
+    setActiveTab,
+    setViewMode,
+    setModalVisibility,
+    setSearchVisibility,
+    setSearchQuery,
+    setFilters
+} from './state.js';
+import { renderCards, openEditCardModal, createNewCard } from './cards.js';
+import { closeAllModals, showToast } from './modals.js';
+import { getViewModesForTab } from './views.js';
+import { normalizeFilters, areFiltersEqual } from './filters.js';
+import { getAvailableTabs } from './utils.js';
+
+// Modais sem card na rota (o de card usa 'card/<id>' ou 'novo')
+const MODAL_SEGMENTS = {
+    trashModal: 'lixeira',
+    archiveModal: 'arquivo',
+    shortcutsModal: 'atalhos',
+    commandPalette: 'comandos',
+    linkModal: 'link',
+    deleteModal: 'excluir'
+};
+
+// Confirmações dependem do clique que as abriu: a rota existe (Voltar as fecha),
+// mas não são reabertas a partir da URL
+const CONFIRMATION_SEGMENTS = ['link', 'excluir'];
+
+// Filtros na query string: parâmetro → campo dos filtros (listas separadas por vírgula)
+const FILTER_PARAMS = {
+    status: 'status',
+    prio: 'priority',
+    cat: 'category',
+    tab: 'tab'
+};
+
+// A rota está sendo aplicada ao estado (as mudanças não geram novas entradas)
+let isApplyingRoute = false;
+
+// history.back() pedido pelo próprio roteador (o popstate seguinte só sincroniza)
+let isGoingBack = false;
+
+/**
+ * Inicializa o roteador: aplica a rota da URL (link compartilhado ou recarga)
+ * e passa a acompanhar Voltar/Avançar
+ */
+export function initRouter() {
+    const route = parseRoute(window.location.hash);
+
+    if (route?.modal.length > 0) {
+        // Link direto para um modal: uma entrada sem o modal fica antes,
+        // para que Voltar feche o modal em vez de sair da página
+        applyRoute({ ...route, modal: [] });
+        replaceRoute(buildRoute(getState()));
+        applyRoute(route);
+        pushRoute(buildRoute(getState()));
+    } else {
+        if (route) applyRoute(route);
+        replaceRoute(buildRoute(getState()));
+    }
+
+    window.addEventListener('popstate', handlePopState);
+}
+
+/**
+ * Atualiza a URL quando o estado muda. Mudanças de aba, visualização, modal e
+ * filtros criam uma entrada no histórico; digitar na busca só substitui a atual
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior
+ */
+export function updateRouteFromState(state, oldState = null) {
+    // Durante um history.back() pedido aqui, o popstate sincroniza a URL
+    if (!oldState || isApplyingRoute || isGoingBack) return;
+
+    const route = buildRoute(state);
+    if (route === window.location.hash) return;
+
+    // Voltar ao estado da entrada anterior (ex: fechar um modal) volta no histórico
+    if (history.state?.previous === route) {
+        isGoingBack = true;
+        history.back();
+        return;
+    }
+
+    const onlyQueryChanged = route.split('?')[0] === window.location.hash.split('?')[0] &&
+        state.filters === oldState.filters;
+
+    if (onlyQueryChanged) {
+        replaceRoute(route);
+    } else {
+        pushRoute(route);
+    }
+}
+
+/**
+ * Voltar/Avançar (ou edição manual do hash): aplica a rota da entrada
+ */
+function handlePopState() {
+    if (isGoingBack) {
+        isGoingBack = false;
+
+        // O estado já corresponde à entrada; se mudou nesse meio-tempo, registra a mudança
+        const route = buildRoute(getState());
+        if (route !== window.location.hash) {
+            pushRoute(route);
+        }
+        return;
+    }
+
+    const route = parseRoute(window.location.hash);
+    if (!route) return;
+
+    applyRoute(route);
+
+    // Rota com card inexistente ou valores inválidos: a URL mostra o que foi aplicado
+    const appliedRoute = buildRoute(getState());
+    if (appliedRoute !== window.location.hash) {
+        replaceRoute(appliedRoute);
+    }
+}
+
+/**
+ * Cria uma entrada no histórico (guarda a rota anterior para o fechar voltar a ela)
+ * @param {string} route - Hash da nova entrada
+ */
+function pushRoute(route) {
+    history.pushState({ route, previous: window.location.hash }, '', route);
+}
+
+/**
+ * Substitui a rota da entrada atual
+ * @param {string} route - Hash da entrada
+ */
+function replaceRoute(route) {
+    history.replaceState({ ...history.state, route }, '', route);
+}
+
+/**
+ * Monta a rota que representa o estado
+ * @param {Object} state - Estado da aplicação
+ * @returns {string} Hash (ex: '#/economia/kanban?q=luz')
+ */
+function buildRoute(state) {
+    const segments = [state.activeTab];
+
+    const viewMode = state.viewModes[state.activeTab];
+    if (viewMode && viewMode !== 'grid') {
+        segments.push(viewMode);
+    }
+
+    segments.push(...getModalSegments(state));
+
+    const params = new URLSearchParams();
+
+    if (state.isSearchVisible && state.searchQuery) {
+        params.set('q', state.searchQuery);
+    }
+
+    Object.entries(FILTER_PARAMS).forEach(([param, field]) => {
+        if (state.filters[field].length > 0) {
+            params.set(param, state.filters[field].join(','));
+        }
+    });
+    if (state.filters.dateFrom) params.set('de', state.filters.dateFrom);
+    if (state.filters.dateTo) params.set('ate', state.filters.dateTo);
+    if (state.filters.hasLink) params.set('link', '1');
+
+    const query = params.toString();
+    return `#/${segments.map(encodeURIComponent).join('/')}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Trecho da rota do modal aberto
+ * @param {Object} state - Estado da aplicação
+ * @returns {string[]} Segmentos (vazio sem modal)
+ */
+function getModalSegments(state) {
+    if (state.modals.cardModal) {
+        return state.selectedCardId ? ['card', state.selectedCardId] : ['novo'];
+    }
+
+    const openModal = Object.keys(MODAL_SEGMENTS).find(modalName => state.modals[modalName]);
+    return openModal ? [MODAL_SEGMENTS[openModal]] : [];
+}
+
+/**
+ * Lê uma rota do hash
+ * @param {string} hash - location.hash
+ * @returns {{tab: string, view: string, modal: string[], query: string, filters: Object}|null}
+ *          Rota ou null se o hash não for uma rota válida
+ */
+function parseRoute(hash) {
+    const match = /^#\/([^?]*)(?:\?(.*))?$/.exec(hash || '');
+    if (!match) return null;
+
+    let segments;
+    try {
+        segments = match[1].split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        console.warn('Rota inválida:', hash);
+        return null;
+    }
+
+    const [tab, ...rest] = segments;
+    if (!getAvailableTabs().some(option => option.value === tab)) return null;
+
+    const view = getViewModesForTab(tab).some(mode => mode.value === rest[0]) ? rest.shift() : 'grid';
+    const params = new URLSearchParams(match[2] || '');
+    const list = (param) => (params.get(param) || '').split(',').filter(Boolean);
+
+    const filters = normalizeFilters({
+        ...Object.fromEntries(Object.entries(FILTER_PARAMS).map(([param, field]) => [field, list(param)])),
+        dateFrom: params.get('de') || '',
+        dateTo: params.get('ate') || '',
+        hasLink: params.get('link') === '1'
+    });
+
+    return {
+        tab,
+        view,
+        modal: rest,
+        query: params.get('q') || '',
+        filters
+    };
+}
+
+/**
+ * Aplica uma rota ao estado (só o que difere do estado atual)
+ * @param {Object} route - Rota lida por parseRoute
+ */
+function applyRoute(route) {
+    isApplyingRoute = true;
+
+    try {
+        // Trocar de aba limpa a busca: a aba vem antes
+        setActiveTab(route.tab);
+        setViewMode(route.tab, route.view);
+
+        if (!areFiltersEqual(route.filters, getState().filters)) {
+            setFilters(route.filters);
+        }
+
+        const state = getState();
+        const currentQuery = state.isSearchVisible ? state.searchQuery : '';
+        if (route.query !== currentQuery) {
+            setSearchVisibility(Boolean(route.query));
+            setSearchQuery(route.query);
+        }
+
+        applyModalRoute(route.modal);
+        renderCards();
+    } finally {
+        isApplyingRoute = false;
+    }
+}
+
+/**
+ * Abre (ou fecha) o modal indicado na rota
+ * @param {string[]} modal - Segmentos do modal ('card', '<id>'), ('novo'), ('lixeira')...
+ */
+function applyModalRoute(modal) {
+    const current = getModalSegments(getState()).join('/');
+    if (current === modal.join('/')) return;
+
+    if (current) {
+        closeAllModals();
+    }
+
+    const [segment, cardId] = modal;
+    if (!segment || CONFIRMATION_SEGMENTS.includes(segment)) return;
+
+    if (segment === 'novo') {
+        createNewCard();
+        return;
+    }
+
+    if (segment === 'card') {
+        const card = getState().cards.find(c => c.id === cardId);
+        if (!card) {
+            showToast('Card não encontrado', 'warning');
+            return;
+        }
+
+        // Link para um card de outra aba: abre na aba do card
+        setActiveTab(card.tab);
+        openEditCardModal(card);
+        return;
+    }
+
+    const modalName = Object.keys(MODAL_SEGMENTS).find(name => MODAL_SEGMENTS[name] === segment);
+    if (modalName) {
+        setModalVisibility(modalName, true);
+    }
+}
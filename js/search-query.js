@@ -0,0 +1,337 @@
+// search-query.js - Linguagem de busca: texto livre + filtros (status:, prio:, due:...)
+
+import {
+    normalizeString,
+    daysUntil,
+    parseDate,
+    parseTime,
+    getAvailableStatus,
+    getAvailablePriorities,
+    getAvailableCategories,
+    getAvailableTabs
+} from './utils.js';
+
+/**
+ * Filtros aceitos na busca.
+ * `values` lista os valores sugeridos no autocompletar; `match` recebe o card e o
+ * valor normalizado e retorna true/false (ou null se o valor não for reconhecido).
+ */
+const FILTERS = [
+    {
+        key: 'status',
+        aliases: [],
+        description: 'Status do card',
+        values: () => getAvailableStatus(),
+        match: (card, value) => matchOption(getAvailableStatus(), card.status, value)
+    },
+    {
+        key: 'prio',
+        aliases: ['prioridade'],
+        description: 'Prioridade',
+        values: () => getAvailablePriorities(),
+        match: (card, value) => matchOption(getAvailablePriorities(), card.priority, value)
+    },
+    {
+        key: 'cat',
+        aliases: ['categoria'],
+        description: 'Categoria',
+        values: () => getAvailableCategories(),
+        match: (card, value) => matchOption(getAvailableCategories(), card.category, value)
+    },
+    {
+        key: 'tab',
+        aliases: ['aba'],
+        description: 'Aba',
+        values: getAvailableTabs,
+        match: (card, value) => matchOption(getAvailableTabs(), card.tab, value)
+    },
+    {
+        key: 'due',
+        aliases: ['data'],
+        description: 'Data (hoje, <7d, 2025-12-25...)',
+        values: () => [
+            { value: 'hoje', label: 'Hoje' },
+            { value: 'amanha', label: 'Amanhã' },
+            { value: 'ontem', label: 'Ontem' },
+            { value: 'semana', label: 'Próximos 7 dias' },
+            { value: 'atrasado', label: 'Data já passou' },
+            { value: '<7d', label: 'Em menos de 7 dias' },
+            { value: '>30d', label: 'Daqui a mais de 30 dias' },
+            { value: 'sem', label: 'Sem data' }
+        ],
+        match: matchDue
+    },
+    {
+        key: 'has',
+        aliases: ['tem'],
+        description: 'Cards que têm um campo',
+        values: () => [
+            { value: 'link', label: 'Link' },
+            { value: 'notas', label: 'Anotações' },
+            { value: 'data', label: 'Data' },
+            { value: 'horario', label: 'Horário' },
+            { value: 'checklist', label: 'Checklist' },
+            { value: 'lembrete', label: 'Lembrete' },
+            { value: 'recorrencia', label: 'Recorrência' }
+        ],
+        match: matchHas
+    }
+];
+
+// Campos do card pesquisados pelo texto livre
+const TEXT_FIELDS = ['title', 'category', 'link', 'notes'];
+
+/**
+ * Consulta de busca interpretada
+ * @typedef {Object} ParsedQuery
+ * @property {string[]} terms - Palavras que precisam aparecer (normalizadas)
+ * @property {string[]} excludedTerms - Palavras que não podem aparecer (`-palavra`)
+ * @property {Array<{key: string, value: string, negated: boolean}>} filters - Filtros reconhecidos
+ * @property {string[]} invalid - Filtros com valor não reconhecido (ignorados)
+ */
+
+/**
+ * Interpreta o texto da busca.
+ * Exemplo: `conta prio:alta due:<7d -pago "boleto luz"`
+ * @param {string} query - Texto digitado
+ * @returns {ParsedQuery} Consulta interpretada
+ */
+export function parseSearchQuery(query) {
+    const parsed = { terms: [], excludedTerms: [], filters: [], invalid: [] };
+
+    tokenize(query).forEach(({ text, quoted }) => {
+        const negated = !quoted && text.length > 1 && text.startsWith('-');
+        const body = negated ? text.slice(1) : text;
+
+        const separator = body.indexOf(':');
+        const filter = !quoted && separator > 0 ? findFilter(body.slice(0, separator)) : null;
+
+        if (filter) {
+            const value = normalizeString(body.slice(separator + 1));
+
+            // Valor testado com um card vazio: null indica valor desconhecido
+            if (!value || filter.match({}, value) === null) {
+                parsed.invalid.push(text);
+            } else {
+                parsed.filters.push({ key: filter.key, value, negated });
+            }
+            return;
+        }
+
+        const term = normalizeString(body);
+        if (!term) return;
+
+        if (negated) {
+            parsed.excludedTerms.push(term);
+        } else {
+            parsed.terms.push(term);
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Verifica se um card atende à consulta.
+ * Filtros com a mesma chave se somam (status:pendente status:vencido = um ou outro);
+ * chaves diferentes e palavras precisam ser todas atendidas.
+ * @param {Object} card - Card
+ * @param {ParsedQuery} parsed - Consulta interpretada
+ * @returns {boolean} True se o card corresponde
+ */
+export function matchesSearchQuery(card, parsed) {
+    const text = TEXT_FIELDS.map(field => normalizeString(card[field])).join('\n');
+
+    if (!parsed.terms.every(term => text.includes(term))) return false;
+    if (parsed.excludedTerms.some(term => text.includes(term))) return false;
+
+    const groups = new Map();
+
+    for (const { key, value, negated } of parsed.filters) {
+        const matches = findFilter(key).match(card, value) === true;
+
+        if (negated) {
+            if (matches) return false;
+        } else {
+            groups.set(key, groups.get(key) || matches);
+        }
+    }
+
+    return [...groups.values()].every(Boolean);
+}
+
+/**
+ * Verifica se a consulta tem algum critério (texto ou filtro)
+ * @param {ParsedQuery} parsed - Consulta interpretada
+ * @returns {boolean} True se há algo para filtrar
+ */
+export function hasSearchCriteria(parsed) {
+    return parsed.terms.length > 0 || parsed.excludedTerms.length > 0 || parsed.filters.length > 0;
+}
+
+/**
+ * Palavras destacadas nos resultados (apenas o texto livre, sem filtros e exclusões)
+ * @param {string} query - Texto digitado
+ * @returns {string[]} Palavras normalizadas
+ */
+export function getHighlightTerms(query) {
+    return parseSearchQuery(query).terms;
+}
+
+/**
+ * Sugestões de autocompletar para a palavra que está sendo digitada
+ * @param {string} query - Texto digitado até o cursor
+ * @returns {{start: number, suggestions: Array<{value: string, label: string, description: string}>}}
+ *          Posição onde a palavra começa e sugestões (valor que a substitui)
+ */
+export function getSearchSuggestions(query) {
+    const text = typeof query === 'string' ? query : '';
+    const start = Math.max(text.lastIndexOf(' '), text.lastIndexOf('\t')) + 1;
+    const token = text.slice(start);
+
+    const negated = token.startsWith('-');
+    const prefix = negated ? '-' : '';
+    const body = negated ? token.slice(1) : token;
+
+    if (!body) return { start, suggestions: [] };
+
+    const separator = body.indexOf(':');
+
+    // Nome do filtro ainda sendo digitado
+    if (separator === -1) {
+        const partial = normalizeString(body);
+        const suggestions = FILTERS
+            .filter(filter => [filter.key, ...filter.aliases].some(name => name.startsWith(partial)))
+            .map(filter => ({
+                value: `${prefix}${filter.key}:`,
+                label: `${filter.key}:`,
+                description: filter.description
+            }));
+
+        return { start, suggestions };
+    }
+
+    // Valor do filtro
+    const filter = findFilter(body.slice(0, separator));
+    if (!filter) return { start, suggestions: [] };
+
+    const partial = normalizeString(body.slice(separator + 1));
+    const suggestions = filter.values()
+        .filter(option => normalizeString(option.value).startsWith(partial) || normalizeString(option.label).startsWith(partial))
+        .filter(option => normalizeString(option.value) !== partial)
+        .map(option => ({
+            value: `${prefix}${filter.key}:${option.value} `,
+            label: `${filter.key}:${option.value}`,
+            description: option.label
+        }));
+
+    return { start, suggestions };
+}
+
+/**
+ * Divide o texto em palavras, mantendo juntas as que estão entre aspas
+ * @param {string} query - Texto digitado
+ * @returns {Array<{text: string, quoted: boolean}>} Palavras
+ */
+function tokenize(query) {
+    if (typeof query !== 'string') return [];
+
+    const tokens = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1] !== undefined) {
+            tokens.push({ text: match[1], quoted: true });
+        } else {
+            tokens.push({ text: match[2], quoted: false });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Encontra um filtro pelo nome ou apelido
+ * @param {string} name - Nome digitado (ex: 'prio', 'prioridade')
+ * @returns {Object|null} Filtro ou null
+ */
+function findFilter(name) {
+    const normalized = normalizeString(name);
+    return FILTERS.find(filter => filter.key === normalized || filter.aliases.includes(normalized)) || null;
+}
+
+/**
+ * Compara o campo do card com um valor de uma lista de opções (aceita valor ou rótulo)
+ * @param {Array<{value: string, label: string}>} options - Opções válidas
+ * @param {string} cardValue - Valor do campo no card
+ * @param {string} value - Valor normalizado digitado
+ * @returns {boolean|null} Resultado ou null se o valor não existe na lista
+ */
+function matchOption(options, cardValue, value) {
+    const option = options.find(o => normalizeString(o.value) === value || normalizeString(o.label) === value);
+    if (!option) return null;
+
+    return cardValue === option.value;
+}
+
+/**
+ * Filtro de data: hoje, amanha, ontem, semana, atrasado, sem, <7d, >=3d, 7d ou YYYY-MM-DD
+ * @param {Object} card - Card
+ * @param {string} value - Valor normalizado
+ * @returns {boolean|null} Resultado ou null se o valor não é reconhecido
+ */
+function matchDue(card, value) {
+    const days = daysUntil(card.date);
+    const hasDate = Number.isFinite(days);
+
+    switch (value) {
+        case 'hoje': return days === 0;
+        case 'amanha': return days === 1;
+        case 'ontem': return days === -1;
+        case 'semana': return hasDate && days >= 0 && days < 7;
+        case 'atrasado': return hasDate && days < 0;
+        case 'sem': return !hasDate;
+    }
+
+    // Intervalo relativo em dias: <7d (inclui datas passadas), >=3d, 0d...
+    const relative = value.match(/^(<=|>=|<|>|=)?(-?\d+)d$/);
+    if (relative) {
+        if (!hasDate) return false;
+
+        const limit = Number(relative[2]);
+        switch (relative[1]) {
+            case '<': return days < limit;
+            case '<=': return days <= limit;
+            case '>': return days > limit;
+            case '>=': return days >= limit;
+            default: return days === limit;
+        }
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDate(value).getTime())) {
+        return card.date === value;
+    }
+
+    return null;
+}
+
+/**
+ * Filtro de campos preenchidos (has:link, has:notas...)
+ * @param {Object} card - Card
+ * @param {string} value - Valor normalizado
+ * @returns {boolean|null} Resultado ou null se o campo não é reconhecido
+ */
+function matchHas(card, value) {
+    switch (value) {
+        case 'link': return !!card.link;
+        case 'notas':
+        case 'anotacoes': return !!card.notes;
+        case 'data': return !!card.date;
+        case 'horario': return !card.allDay && parseTime(card.time) !== null;
+        case 'checklist': return Array.isArray(card.checklist) && card.checklist.length > 0;
+        case 'lembrete': return Array.isArray(card.reminders) && card.reminders.length > 0;
+        case 'recorrencia': return !!card.recurrence;
+        default: return null;
+    }
+}
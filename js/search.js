@@ -0,0 +1,311 @@
+// search.js - Barra de busca (termo com debounce, escopo, autocompletar e lista de resultados)
+
+import {
+    getState,
+    setSearchQuery,
+    setSearchVisibility,
+    setSearchAllTabs,
+    setActiveTab,
+    filterCardsBySearch
+} from './state.js';
+import { renderCards, openEditCardModal } from './cards.js';
+import { debounce, escapeHtml, formatDate, highlightMatches, getTabLabel, escapeAttribute } from './utils.js';
+import { parseSearchQuery, hasSearchCriteria, getSearchSuggestions } from './search-query.js';
+
+// Espera após a digitação antes de filtrar
+const SEARCH_DEBOUNCE = 250;
+
+// Resultados exibidos na lista de todas as abas
+const MAX_RESULTS = 50;
+
+// Sugestões de autocompletar exibidas e a destacada pelo teclado
+let suggestions = [];
+let suggestionStart = 0;
+let activeSuggestion = -1;
+
+/**
+ * Inicializa a barra de busca
+ */
+export function initSearch() {
+    const searchInput = document.getElementById('searchInput');
+    const searchAllTabs = document.getElementById('searchAllTabs');
+    const searchResults = document.getElementById('searchResults');
+
+    if (!searchInput) return;
+
+    const applyQuery = debounce(() => setSearchQuery(searchInput.value), SEARCH_DEBOUNCE);
+    searchInput.addEventListener('input', () => {
+        applyQuery();
+        updateSuggestions();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        if (suggestions.length > 0 && handleSuggestionKey(e)) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            setSearchVisibility(false);
+            document.getElementById('searchButton')?.focus();
+        } else if (e.key === 'Enter') {
+            // Aplica na hora, sem esperar o debounce
+            e.preventDefault();
+            setSearchQuery(searchInput.value);
+        }
+    });
+
+    searchInput.addEventListener('blur', closeSuggestions);
+
+    const suggestionList = document.getElementById('searchSuggestions');
+
+    // mousedown mantém o foco no campo (o blur fecharia a lista antes do clique)
+    suggestionList?.addEventListener('mousedown', (e) => e.preventDefault());
+    suggestionList?.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-index]');
+        if (option) {
+            acceptSuggestion(Number(option.dataset.index));
+        }
+    });
+
+    searchAllTabs?.addEventListener('change', () => {
+        setSearchAllTabs(searchAllTabs.checked);
+    });
+
+    searchResults?.addEventListener('click', (e) => {
+        const result = e.target.closest('[data-card-id]');
+        if (result) {
+            openSearchResult(result.dataset.cardId);
+        }
+    });
+
+    updateSearchFromState(getState());
+}
+
+/**
+ * Sincroniza a barra de busca com o estado e refiltra os cards quando o termo muda
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateSearchFromState(state, oldState = null) {
+    const searchContainer = document.getElementById('searchContainer');
+    const searchInput = document.getElementById('searchInput');
+    const searchAllTabs = document.getElementById('searchAllTabs');
+
+    if (!searchContainer || !searchInput) return;
+
+    searchContainer.classList.toggle('active', state.isSearchVisible);
+    document.getElementById('searchButton')?.setAttribute('aria-expanded', String(state.isSearchVisible));
+
+    if (searchAllTabs) {
+        searchAllTabs.checked = state.searchAllTabs;
+    }
+
+    // Busca fechada (ou troca de aba) limpa o campo
+    if (!state.isSearchVisible && searchInput.value) {
+        searchInput.value = '';
+        closeSuggestions();
+    }
+
+    // Termo aplicado de fora (rota da URL): o campo mostra o termo, exceto durante a digitação
+    if (state.isSearchVisible && document.activeElement !== searchInput && searchInput.value !== state.searchQuery) {
+        searchInput.value = state.searchQuery;
+    }
+
+    const searchChanged = !oldState ||
+        state.searchQuery !== oldState.searchQuery ||
+        state.searchAllTabs !== oldState.searchAllTabs;
+
+    if (!searchChanged &&
+        state.cards === oldState.cards &&
+        state.activeTab === oldState.activeTab &&
+        state.filters === oldState.filters) {
+        return;
+    }
+
+    if (searchChanged && oldState) {
+        renderCards();
+    }
+
+    renderSearchResults(state);
+}
+
+/**
+ * Atualiza o resumo e a lista de resultados da busca
+ * @param {Object} state - Estado atual
+ */
+function renderSearchResults(state) {
+    const summary = document.getElementById('searchSummary');
+    const list = document.getElementById('searchResults');
+    const parsed = parseSearchQuery(state.searchQuery);
+    const ignored = parsed.invalid.length > 0 ? ` · Filtro ignorado: ${parsed.invalid.join(', ')}` : '';
+
+    if (!hasSearchCriteria(parsed)) {
+        if (summary) summary.textContent = ignored.replace(' · ', '');
+        if (list) list.innerHTML = '';
+        return;
+    }
+
+    const allTabs = state.searchAllTabs || parsed.filters.some(filter => filter.key === 'tab');
+    const results = filterCardsBySearch(state.searchQuery, state.searchAllTabs);
+    const scope = allTabs ? 'em todas as abas' : `em ${getTabLabel(state.activeTab)}`;
+    const terms = parsed.terms;
+
+    if (summary) {
+        summary.textContent = (results.length === 0
+            ? `Nenhum card encontrado ${scope}`
+            : `${results.length} ${results.length === 1 ? 'resultado' : 'resultados'} ${scope}`) + ignored;
+    }
+
+    // Na aba ativa os resultados são os próprios cards filtrados;
+    // com todas as abas, a lista mostra onde cada card está
+    if (!list) return;
+
+    if (!allTabs) {
+        list.innerHTML = '';
+        return;
+    }
+
+    list.innerHTML = results.slice(0, MAX_RESULTS).map(card => `
+        <li>
+            <button type="button" class="search-result" data-card-id="${escapeAttribute(card.id)}">
+                <span class="search-result-title">${highlightMatches(card.title, terms)}</span>
+                <span class="search-result-meta">
+                    ${getTabLabel(card.tab)}${card.date ? ` · ${formatDate(card.date)}` : ''}
+                </span>
+                ${card.notes ? `<span class="search-result-notes">${highlightMatches(card.notes, terms)}</span>` : ''}
+            </button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Atualiza as sugestões de autocompletar para a palavra sob o cursor
+ */
+function updateSuggestions() {
+    const searchInput = document.getElementById('searchInput');
+    const textBeforeCursor = searchInput.value.slice(0, searchInput.selectionStart ?? searchInput.value.length);
+    const result = getSearchSuggestions(textBeforeCursor);
+
+    suggestions = result.suggestions;
+    suggestionStart = result.start;
+    activeSuggestion = -1;
+
+    renderSuggestions();
+}
+
+/**
+ * Desenha a lista de sugestões
+ */
+function renderSuggestions() {
+    const searchInput = document.getElementById('searchInput');
+    const list = document.getElementById('searchSuggestions');
+    if (!list) return;
+
+    list.hidden = suggestions.length === 0;
+    searchInput.setAttribute('aria-expanded', String(suggestions.length > 0));
+
+    list.innerHTML = suggestions.map((suggestion, index) => `
+        <li
+            class="search-suggestion ${index === activeSuggestion ? 'active' : ''}"
+            id="searchSuggestion-${index}"
+            role="option"
+            aria-selected="${index === activeSuggestion}"
+            data-index="${index}"
+        >
+            <span class="search-suggestion-label">${escapeHtml(suggestion.label)}</span>
+            <span class="search-suggestion-description">${escapeHtml(suggestion.description)}</span>
+        </li>
+    `).join('');
+
+    if (activeSuggestion >= 0) {
+        searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${activeSuggestion}`);
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Navegação pelas sugestões com o teclado
+ * @param {KeyboardEvent} e - Evento de teclado do campo de busca
+ * @returns {boolean} True se a tecla foi tratada
+ */
+function handleSuggestionKey(e) {
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + suggestions.length + 1) % (suggestions.length + 1);
+            if (activeSuggestion === suggestions.length) activeSuggestion = -1;
+            renderSuggestions();
+            return true;
+        }
+        case 'Enter':
+        case 'Tab': {
+            // Tab completa com a primeira sugestão; Enter só com uma destacada
+            const index = activeSuggestion >= 0 ? activeSuggestion : (e.key === 'Tab' ? 0 : -1);
+            if (index === -1) return false;
+
+            e.preventDefault();
+            acceptSuggestion(index);
+            return true;
+        }
+        case 'Escape':
+            e.preventDefault();
+            closeSuggestions();
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Substitui a palavra sob o cursor pela sugestão escolhida
+ * @param {number} index - Posição da sugestão
+ */
+function acceptSuggestion(index) {
+    const searchInput = document.getElementById('searchInput');
+    const suggestion = suggestions[index];
+    if (!searchInput || !suggestion) return;
+
+    const cursor = searchInput.selectionStart ?? searchInput.value.length;
+    const before = searchInput.value.slice(0, suggestionStart);
+    const after = searchInput.value.slice(cursor).replace(/^\S*/, '');
+
+    searchInput.value = `${before}${suggestion.value}${after.trimStart()}`;
+
+    const newCursor = before.length + suggestion.value.length;
+    searchInput.setSelectionRange(newCursor, newCursor);
+    searchInput.focus();
+
+    // Valor completo ('prio:alta ') filtra na hora; nome de filtro ('prio:') sugere os valores
+    if (suggestion.value.endsWith(' ')) {
+        setSearchQuery(searchInput.value);
+    }
+    updateSuggestions();
+}
+
+/**
+ * Fecha a lista de sugestões
+ */
+function closeSuggestions() {
+    suggestions = [];
+    activeSuggestion = -1;
+    renderSuggestions();
+}
+
+/**
+ * Abre um resultado da busca: vai para a aba do card e abre a edição
+ * @param {string} cardId - ID do card
+ */
+function openSearchResult(cardId) {
+    const card = getState().cards.find(c => c.id === cardId);
+    if (!card) return;
+
+    // Trocar de aba fecha a busca
+    setActiveTab(card.tab);
+    setSearchVisibility(false);
+    renderCards();
+    openEditCardModal(card);
+}
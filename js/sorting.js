@@ -0,0 +1,180 @@
+// sorting.js - Ordenação e agrupamento dos cards na grade (opções por aba)
+
+import {
+    sortByDate,
+    sortByTimeWithinDay,
+    filterByStatus,
+    groupByCategory,
+    daysUntil,
+    getAvailableStatus,
+    getAvailablePriorities,
+    getAvailableCategories
+} from './utils.js';
+
+const SORT_OPTIONS = [
+    { value: 'manual', label: 'Manual' },
+    { value: 'date', label: 'Data' },
+    { value: 'priority', label: 'Prioridade' },
+    { value: 'created', label: 'Criação' },
+    { value: 'title', label: 'Título' }
+];
+
+const GROUP_OPTIONS = [
+    { value: 'none', label: 'Sem grupos' },
+    { value: 'category', label: 'Categoria' },
+    { value: 'status', label: 'Status' },
+    { value: 'priority', label: 'Prioridade' },
+    { value: 'due', label: 'Vencimento' }
+];
+
+// Faixas do agrupamento por vencimento, na ordem exibida
+const DUE_BUCKETS = [
+    { value: 'atrasado', label: 'Atrasado' },
+    { value: 'hoje', label: 'Hoje' },
+    { value: 'amanha', label: 'Amanhã' },
+    { value: 'semana', label: 'Esta semana' },
+    { value: 'depois', label: 'Depois' },
+    { value: 'sem-data', label: 'Sem data' }
+];
+
+/**
+ * Opções de exibição da grade de uma aba
+ * @typedef {Object} ViewOptions
+ * @property {string} sortBy - Ordenação ('manual', 'date', 'priority', 'created', 'title')
+ * @property {string} groupBy - Agrupamento ('none', 'category', 'status', 'priority', 'due')
+ * @property {string[]} collapsed - Grupos recolhidos (`${groupBy}:${grupo}`)
+ */
+
+/**
+ * Retorna as ordenações disponíveis
+ * @returns {Array} Lista de ordenações
+ */
+export function getSortOptions() {
+    return SORT_OPTIONS;
+}
+
+/**
+ * Retorna os agrupamentos disponíveis
+ * @returns {Array} Lista de agrupamentos
+ */
+export function getGroupOptions() {
+    return GROUP_OPTIONS;
+}
+
+/**
+ * Retorna as opções padrão (ordem manual, sem grupos)
+ * @returns {ViewOptions} Opções padrão
+ */
+export function getDefaultViewOptions() {
+    return { sortBy: 'manual', groupBy: 'none', collapsed: [] };
+}
+
+/**
+ * Valida opções vindas da interface ou das preferências salvas
+ * @param {*} options - Opções a validar
+ * @returns {ViewOptions} Opções válidas
+ */
+export function normalizeViewOptions(options) {
+    const source = options && typeof options === 'object' ? options : {};
+    const defaults = getDefaultViewOptions();
+
+    return {
+        sortBy: SORT_OPTIONS.some(o => o.value === source.sortBy) ? source.sortBy : defaults.sortBy,
+        groupBy: GROUP_OPTIONS.some(o => o.value === source.groupBy) ? source.groupBy : defaults.groupBy,
+        collapsed: Array.isArray(source.collapsed)
+            ? [...new Set(source.collapsed.filter(key => typeof key === 'string'))]
+            : defaults.collapsed
+    };
+}
+
+/**
+ * Ordena os cards de uma aba
+ * @param {Array} cards - Cards na ordem manual
+ * @param {string} sortBy - Ordenação
+ * @returns {Array} Nova lista ordenada
+ */
+export function sortCards(cards, sortBy = 'manual') {
+    if (!Array.isArray(cards)) return [];
+
+    switch (sortBy) {
+        case 'date': {
+            // Cards sem data vão para o fim
+            const dated = sortByDate(cards.filter(card => card.date));
+            return [...dated, ...cards.filter(card => !card.date)];
+        }
+        case 'priority': {
+            // Alta primeiro; empates mantêm a ordem manual
+            const rank = getAvailablePriorities().map(p => p.value).reverse();
+            const position = (card) => {
+                const index = rank.indexOf(card.priority);
+                return index === -1 ? rank.length : index;
+            };
+            return [...cards].sort((a, b) => position(a) - position(b));
+        }
+        case 'created':
+            // Mais recentes primeiro
+            return [...cards].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        case 'title':
+            return [...cards].sort((a, b) =>
+                (a.title || '').localeCompare(b.title || '', 'pt-BR', { sensitivity: 'base', numeric: true }));
+        default:
+            // Ordem manual (cards com horário seguem a ordem do dia)
+            return sortByTimeWithinDay(cards);
+    }
+}
+
+/**
+ * Agrupa cards já ordenados; a ordem dentro de cada grupo é mantida
+ * @param {Array} cards - Cards ordenados
+ * @param {string} groupBy - Agrupamento
+ * @returns {Array<{key: string, label: string, cards: Array}>} Grupos com cards
+ *          (`key` identifica o grupo ao recolher)
+ */
+export function groupCards(cards, groupBy) {
+    if (!Array.isArray(cards)) return [];
+
+    let groups;
+
+    switch (groupBy) {
+        case 'category': {
+            const byCategory = groupByCategory(cards);
+            groups = [...getAvailableCategories(), { value: 'sem-categoria', label: 'Sem categoria' }]
+                .map(category => ({ ...category, cards: byCategory[category.value] || [] }));
+            break;
+        }
+        case 'status':
+            groups = getAvailableStatus()
+                .map(status => ({ ...status, cards: filterByStatus(cards, 'status', status.value) }));
+            break;
+        case 'priority':
+            groups = [...getAvailablePriorities()].reverse()
+                .map(priority => ({ ...priority, cards: cards.filter(card => card.priority === priority.value) }));
+            break;
+        case 'due':
+            groups = DUE_BUCKETS
+                .map(bucket => ({ ...bucket, cards: cards.filter(card => getDueBucket(card) === bucket.value) }));
+            break;
+        default:
+            return [{ key: 'none', label: '', cards }];
+    }
+
+    return groups
+        .filter(group => group.cards.length > 0)
+        .map(group => ({ key: `${groupBy}:${group.value}`, label: group.label, cards: group.cards }));
+}
+
+/**
+ * Faixa de vencimento de um card
+ * @param {Object} card - Card
+ * @returns {string} 'atrasado', 'hoje', 'amanha', 'semana', 'depois' ou 'sem-data'
+ */
+function getDueBucket(card) {
+    const days = daysUntil(card.date);
+
+    if (!Number.isFinite(days)) return 'sem-data';
+    if (days < 0) return 'atrasado';
+    if (days === 0) return 'hoje';
+    if (days === 1) return 'amanha';
+    if (days < 7) return 'semana';
+    return 'depois';
+}
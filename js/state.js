@@ -1,6 +1,19 @@
 // state.js - Gerenciamento de estado centralizado (VERSÃO CORRIGIDA)
 
-import { getAllCards, getStats } from './storage.js';
+import {
+    initStorage,
+    migrateStorageSchema,
+    getAllCards,
+    getStats,
+    getArchivedCards,
+    getPreference,
+    setPreference,
+    restoreCards
+} from './storage.js';
+import { parseSearchQuery, matchesSearchQuery, hasSearchCriteria } from './search-query.js';
+import { getEmptyFilters, normalizeFilters, matchesFilters, countActiveFilters } from './filters.js';
+import { getDefaultViewOptions, normalizeViewOptions } from './sorting.js';
+import { generateId, getAvailableTabs } from './utils.js';
 
 /**
  * Estado global da aplicação
@@ -9,24 +22,57 @@ const initialState = {
     cards: [],
     activeTab: 'rotina',
     selectedCardId: null,
+    // Modo de seleção (ações em lote) e cards marcados
+    isSelectionMode: false,
+    selectedCardIds: [],
     modals: {
         cardModal: false,
         linkModal: false,
-        deleteModal: false
+        deleteModal: false,
+        trashModal: false,
+        archiveModal: false,
+        shortcutsModal: false,
+        commandPalette: false
     },
     isSearchVisible: false,
     searchQuery: '',
+    // Busca em todas as abas (false = apenas na aba ativa)
+    searchAllTabs: false,
+    // Filtros do painel (ver filters.js) e conjuntos salvos pelo usuário
+    filters: getEmptyFilters(),
+    savedFilters: [],
+    // Modo de visualização de cada aba ('grid', 'calendar', 'agenda', 'kanban')
+    viewModes: {
+        rotina: 'grid',
+        economia: 'grid',
+        lembretes: 'grid',
+        links: 'grid'
+    },
+    // Ordenação e agrupamento da grade de cada aba (ver sorting.js)
+    viewOptions: {
+        rotina: getDefaultViewOptions(),
+        economia: getDefaultViewOptions(),
+        lembretes: getDefaultViewOptions(),
+        links: getDefaultViewOptions()
+    },
     stats: {
         total: 0,
         today: 0,
         pending: 0,
         completed: 0,
         overdue: 0,
+        archived: 0,
         byTab: {
             rotina: 0,
             economia: 0,
             lembretes: 0,
             links: 0
+        },
+        byTabStatus: {
+            rotina: { pendente: 0, concluido: 0, vencido: 0 },
+            economia: { pendente: 0, concluido: 0, vencido: 0 },
+            lembretes: { pendente: 0, concluido: 0, vencido: 0 },
+            links: { pendente: 0, concluido: 0, vencido: 0 }
         }
     },
     isLoading: false
@@ -35,6 +81,15 @@ const initialState = {
 // Estado atual da aplicação
 let state = { ...initialState };
 
+// Histórico de desfazer/refazer: cada comando guarda os cards afetados antes e
+// depois da alteração (desfazer grava a versão anterior, refazer a posterior)
+const MAX_HISTORY = 50;
+const undoStack = [];
+const redoStack = [];
+
+// Comando em execução (alterações aninhadas entram no mesmo comando)
+let runningCommand = null;
+
 // Listeners para observar mudanças de estado (Set para evitar duplicatas)
 const listeners = new Set();
 
@@ -53,12 +108,22 @@ function hasStateChanged(newState, oldState) {
     // Comparação direta para propriedades primitivas
     if (newState.activeTab !== oldState.activeTab ||
         newState.selectedCardId !== oldState.selectedCardId ||
+        newState.isSelectionMode !== oldState.isSelectionMode ||
         newState.isSearchVisible !== oldState.isSearchVisible ||
         newState.searchQuery !== oldState.searchQuery ||
+        newState.searchAllTabs !== oldState.searchAllTabs ||
         newState.isLoading !== oldState.isLoading) {
         return true;
     }
 
+    if (newState.viewModes !== oldState.viewModes ||
+        newState.viewOptions !== oldState.viewOptions ||
+        newState.filters !== oldState.filters ||
+        newState.savedFilters !== oldState.savedFilters ||
+        newState.selectedCardIds !== oldState.selectedCardIds) {
+        return true;
+    }
+
     // Comparação de arrays de cards (verifica comprimento e referência)
     if (newState.cards.length !== oldState.cards.length || 
         newState.cards !== oldState.cards) {
@@ -121,6 +186,12 @@ export async function loadInitialState() {
             isLoading: true
         };
 
+        // Abre o armazenamento (IndexedDB ou LocalStorage) e carrega o cache
+        await initStorage();
+
+        // Atualiza os dados salvos para a versão atual do schema
+        await migrateStorageSchema();
+
         // Carrega todos os cards do storage
         const cards = getAllCards();
 
@@ -132,6 +203,10 @@ export async function loadInitialState() {
             ...state,
             cards,
             stats,
+            viewModes: { ...initialState.viewModes, ...getPreference('viewModes', {}) },
+            viewOptions: normalizeAllViewOptions(getPreference('viewOptions', {})),
+            searchAllTabs: getPreference('searchAllTabs', false) === true,
+            savedFilters: normalizeSavedFilters(getPreference('savedFilters', [])),
             isLoading: false
         };
 
@@ -174,7 +249,7 @@ function updateState(updates) {
  * @param {string} tabName - Nome da aba ('rotina', 'economia', 'lembretes', 'links')
  */
 export function setActiveTab(tabName) {
-    const validTabs = ['rotina', 'economia', 'lembretes', 'links'];
+    const validTabs = getAvailableTabs().map(t => t.value);
 
     if (!validTabs.includes(tabName)) {
         console.warn(`Tentativa de definir aba inválida: ${tabName}`);
@@ -185,12 +260,51 @@ export function setActiveTab(tabName) {
         updateState({
             activeTab: tabName,
             selectedCardId: null,
+            selectedCardIds: [],
             isSearchVisible: false,
             searchQuery: ''
         });
     }
 }
 
+/**
+ * Define o modo de visualização de uma aba (salvo nas preferências)
+ * @param {string} tabName - Nome da aba
+ * @param {string} mode - Modo de visualização ('grid', 'calendar'...)
+ */
+export function setViewMode(tabName, mode) {
+    if (!(tabName in state.viewModes)) {
+        console.warn(`Aba inválida para visualização: ${tabName}`);
+        return;
+    }
+
+    if (state.viewModes[tabName] === mode) return;
+
+    const viewModes = { ...state.viewModes, [tabName]: mode };
+    setPreference('viewModes', viewModes);
+    updateState({ viewModes });
+}
+
+/**
+ * Altera a ordenação, o agrupamento ou os grupos recolhidos da grade de uma aba
+ * (salvo nas preferências)
+ * @param {string} tabName - Nome da aba
+ * @param {Object} options - Opções a alterar (sortBy, groupBy, collapsed)
+ */
+export function setViewOptions(tabName, options) {
+    if (!(tabName in state.viewOptions)) {
+        console.warn(`Aba inválida para opções de exibição: ${tabName}`);
+        return;
+    }
+
+    const viewOptions = {
+        ...state.viewOptions,
+        [tabName]: normalizeViewOptions({ ...state.viewOptions[tabName], ...options })
+    };
+    setPreference('viewOptions', viewOptions);
+    updateState({ viewOptions });
+}
+
 /**
  * Define o card selecionado
  * @param {string|null} cardId - ID do card ou null para limpar seleção
@@ -204,6 +318,143 @@ export function setSelectedCard(cardId) {
     updateState({ selectedCardId: cardId });
 }
 
+/**
+ * Liga ou desliga o modo de seleção (sair limpa a seleção)
+ * @param {boolean} isActive - True para selecionar cards
+ */
+export function setSelectionMode(isActive) {
+    updateState({
+        isSelectionMode: isActive === true,
+        selectedCardIds: []
+    });
+}
+
+/**
+ * Define os cards marcados no modo de seleção
+ * @param {string[]} cardIds - IDs dos cards
+ */
+export function setSelectedCards(cardIds) {
+    if (!Array.isArray(cardIds)) {
+        console.warn('IDs selecionados devem ser um array');
+        return;
+    }
+
+    updateState({ selectedCardIds: [...new Set(cardIds)] });
+}
+
+/**
+ * Executa uma alteração de cards no storage registrando-a no histórico.
+ * Funciona para criar, editar, excluir, reordenar e importar: o comando é o
+ * conjunto de cards que mudou, com a versão anterior (inverso) e a nova.
+ * Chamadas aninhadas (ex: mover no quadro = status + ordem) viram um só comando.
+ * @param {string} label - Descrição exibida ao desfazer (ex: 'Excluir card')
+ * @param {Function} mutation - Função que altera o storage (pode ser async)
+ * @returns {*} Retorno de `mutation`
+ */
+export function runCommand(label, mutation) {
+    if (runningCommand) {
+        return mutation();
+    }
+
+    runningCommand = { label, before: getHistoryCards() };
+    const command = runningCommand;
+
+    const finish = () => {
+        runningCommand = null;
+        recordCommand(command.label, command.before, getHistoryCards());
+    };
+
+    let result;
+    try {
+        result = mutation();
+    } catch (error) {
+        finish();
+        throw error;
+    }
+
+    if (result instanceof Promise) {
+        return result.finally(finish);
+    }
+
+    finish();
+    return result;
+}
+
+/**
+ * Cards acompanhados pelo histórico. Inclui a lixeira (excluir e restaurar
+ * alteram apenas `deletedAt`) e o arquivo (arquivar move o card de store)
+ * @returns {Array} Cards ativos, excluídos e arquivados
+ */
+function getHistoryCards() {
+    return [...getAllCards(true), ...getArchivedCards()];
+}
+
+/**
+ * Desfaz o último comando
+ * @returns {{label: string}|null} Comando desfeito ou null se não houver
+ */
+export function undoCommand() {
+    return moveInHistory(undoStack, redoStack, 'before');
+}
+
+/**
+ * Refaz o último comando desfeito
+ * @returns {{label: string}|null} Comando refeito ou null se não houver
+ */
+export function redoCommand() {
+    return moveInHistory(redoStack, undoStack, 'after');
+}
+
+/**
+ * Guarda no histórico os cards que mudaram entre duas listas
+ * @param {string} label - Descrição do comando
+ * @param {Array} before - Cards antes da alteração
+ * @param {Array} after - Cards depois da alteração
+ */
+function recordCommand(label, before, after) {
+    // O storage substitui o objeto de cada card alterado: basta comparar referências
+    const beforeById = new Map(before.map(card => [card.id, card]));
+    const afterById = new Map(after.map(card => [card.id, card]));
+    const changedIds = [...new Set([...beforeById.keys(), ...afterById.keys()])]
+        .filter(id => beforeById.get(id) !== afterById.get(id));
+
+    if (changedIds.length === 0) return;
+
+    undoStack.push({
+        label,
+        before: changedIds.map(id => ({ id, card: beforeById.get(id) || null })),
+        after: changedIds.map(id => ({ id, card: afterById.get(id) || null }))
+    });
+
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+
+    // Uma alteração nova descarta o que tinha sido desfeito
+    redoStack.length = 0;
+}
+
+/**
+ * Aplica um comando do histórico e o passa para a outra pilha
+ * @param {Array} from - Pilha de onde o comando sai
+ * @param {Array} to - Pilha para onde o comando vai
+ * @param {string} version - Versão dos cards a gravar ('before' ou 'after')
+ * @returns {{label: string}|null} Comando aplicado ou null
+ */
+function moveInHistory(from, to, version) {
+    const command = from.pop();
+    if (!command) return null;
+
+    if (!restoreCards(command[version])) {
+        from.push(command);
+        return null;
+    }
+
+    to.push(command);
+    updateCards(getAllCards());
+    return { label: command.label };
+}
+
 /**
  * Atualiza os cards no estado
  * @param {Array} cards - Array de cards atualizado
@@ -215,10 +466,18 @@ export function updateCards(cards) {
     }
 
     const stats = getStats();
+
+    // Cards que saíram (excluídos, arquivados...) deixam a seleção
+    const cardIds = new Set(cards.map(card => card.id));
+    const selectedCardIds = state.selectedCardIds.every(id => cardIds.has(id))
+        ? state.selectedCardIds
+        : state.selectedCardIds.filter(id => cardIds.has(id));
+
     updateState({
         cards,
         stats,
-        selectedCardId: null
+        selectedCardId: null,
+        selectedCardIds
     });
 }
 
@@ -330,7 +589,7 @@ export function getSelectedCard() {
  * @param {boolean} isVisible - Se o modal deve estar visível
  */
 export function setModalVisibility(modalName, isVisible) {
-    const validModals = ['cardModal', 'linkModal', 'deleteModal'];
+    const validModals = ['cardModal', 'linkModal', 'deleteModal', 'trashModal', 'archiveModal', 'shortcutsModal', 'commandPalette'];
 
     if (!validModals.includes(modalName)) {
         console.warn(`Modal inválido: ${modalName}`);
@@ -382,39 +641,148 @@ export function setSearchQuery(query) {
 }
 
 /**
- * Filtra cards por termo de busca
+ * Define se a busca considera todas as abas (salvo nas preferências)
+ * @param {boolean} allTabs - True para buscar em todas as abas
+ */
+export function setSearchAllTabs(allTabs) {
+    if (typeof allTabs !== 'boolean') {
+        console.warn('Escopo da busca deve ser booleano');
+        return;
+    }
+
+    setPreference('searchAllTabs', allTabs);
+    updateState({ searchAllTabs: allTabs });
+}
+
+/**
+ * Filtra cards por termo de busca e pelos filtros do painel.
+ * A busca aceita texto livre (sem diferenciar acentos e maiúsculas) combinado com
+ * filtros como `status:pendente`, `prio:alta`, `due:<7d` e `-palavra` (ver search-query.js)
  * @param {string} query - Termo de busca
+ * @param {boolean} allTabs - Busca em todas as abas (padrão: preferência do estado)
  * @returns {Array} Cards filtrados
  */
-export function filterCardsBySearch(query) {
-    if (typeof query !== 'string') {
-        return getCardsForActiveTab();
+export function filterCardsBySearch(query, allTabs = state.searchAllTabs) {
+    const parsed = parseSearchQuery(query);
+    const hasFilters = countActiveFilters(state.filters) > 0;
+
+    // Um filtro de aba (na busca ou no painel) já define as abas consultadas
+    const searchAll = allTabs ||
+        parsed.filters.some(filter => filter.key === 'tab') ||
+        state.filters.tab.length > 0;
+    const scopeCards = searchAll ? state.cards : getCardsForActiveTab();
+
+    if (!hasSearchCriteria(parsed) && !hasFilters) {
+        return scopeCards;
     }
 
-    const normalizedQuery = query.toLowerCase().trim();
+    return scopeCards.filter(card =>
+        matchesFilters(card, state.filters) && matchesSearchQuery(card, parsed)
+    );
+}
 
-    if (!normalizedQuery) {
-        return getCardsForActiveTab();
+/**
+ * Define os filtros do painel
+ * @param {Object} filters - Filtros (ver filters.js)
+ */
+export function setFilters(filters) {
+    updateState({ filters: normalizeFilters(filters) });
+}
+
+/**
+ * Remove todos os filtros do painel
+ */
+export function clearFilters() {
+    if (countActiveFilters(state.filters) === 0) return;
+
+    updateState({ filters: getEmptyFilters() });
+}
+
+/**
+ * Salva os filtros atuais com um nome (substitui um conjunto com o mesmo nome)
+ * @param {string} name - Nome do conjunto (ex: 'Contas da semana')
+ * @returns {Object|null} Conjunto salvo ou null se o nome for inválido
+ */
+export function saveFilterSet(name) {
+    const trimmedName = typeof name === 'string' ? name.trim().slice(0, 40) : '';
+
+    if (!trimmedName) {
+        console.warn('Nome do filtro é obrigatório');
+        return null;
     }
 
-    return state.cards.filter(card => {
-        // Filtra por tab ativa
-        if (card.tab !== state.activeTab) {
-            return false;
-        }
+    const existing = state.savedFilters.find(set => set.name.toLowerCase() === trimmedName.toLowerCase());
+    const filterSet = {
+        id: existing ? existing.id : generateId('filter'),
+        name: trimmedName,
+        filters: normalizeFilters(state.filters)
+    };
 
-        // Busca no título
-        if (card.title.toLowerCase().includes(normalizedQuery)) {
-            return true;
-        }
+    const savedFilters = existing
+        ? state.savedFilters.map(set => set.id === existing.id ? filterSet : set)
+        : [...state.savedFilters, filterSet];
 
-        // Busca na categoria
-        if (card.category && card.category.toLowerCase().includes(normalizedQuery)) {
-            return true;
-        }
+    setPreference('savedFilters', savedFilters);
+    updateState({ savedFilters });
+    return filterSet;
+}
 
-        return false;
-    });
+/**
+ * Remove um conjunto de filtros salvo
+ * @param {string} filterSetId - ID do conjunto
+ */
+export function deleteFilterSet(filterSetId) {
+    const savedFilters = state.savedFilters.filter(set => set.id !== filterSetId);
+    if (savedFilters.length === state.savedFilters.length) return;
+
+    setPreference('savedFilters', savedFilters);
+    updateState({ savedFilters });
+}
+
+/**
+ * Aplica um conjunto de filtros salvo. Se o conjunto for de outras abas,
+ * abre a primeira delas.
+ * @param {string} filterSetId - ID do conjunto
+ * @returns {boolean} True se o conjunto existe
+ */
+export function applyFilterSet(filterSetId) {
+    const filterSet = state.savedFilters.find(set => set.id === filterSetId);
+    if (!filterSet) return false;
+
+    const filters = normalizeFilters(filterSet.filters);
+
+    if (filters.tab.length > 0 && !filters.tab.includes(state.activeTab)) {
+        setActiveTab(filters.tab[0]);
+    }
+
+    updateState({ filters });
+    return true;
+}
+
+/**
+ * Valida os conjuntos de filtros salvos nas preferências
+ * @param {*} savedFilters - Valor salvo
+ * @returns {Array<{id: string, name: string, filters: Object}>} Conjuntos válidos
+ */
+function normalizeSavedFilters(savedFilters) {
+    if (!Array.isArray(savedFilters)) return [];
+
+    return savedFilters
+        .filter(set => set && typeof set.id === 'string' && typeof set.name === 'string' && set.name.trim())
+        .map(set => ({ id: set.id, name: set.name.trim(), filters: normalizeFilters(set.filters) }));
+}
+
+/**
+ * Valida as opções de exibição salvas de todas as abas
+ * @param {*} viewOptions - Valor salvo
+ * @returns {Object} Opções válidas por aba
+ */
+function normalizeAllViewOptions(viewOptions) {
+    const source = viewOptions && typeof viewOptions === 'object' ? viewOptions : {};
+
+    return Object.fromEntries(
+        Object.keys(initialState.viewOptions).map(tab => [tab, normalizeViewOptions(source[tab])])
+    );
 }
 
 /**
@@ -438,7 +806,12 @@ export function resetState() {
     state = {
         ...initialState,
         cards,
-        stats
+        stats,
+        // Modos e opções de visualização, escopo da busca e filtros salvos são preferências
+        viewModes: state.viewModes,
+        viewOptions: state.viewOptions,
+        searchAllTabs: state.searchAllTabs,
+        savedFilters: state.savedFilters
     };
 
     if (hasStateChanged(state, oldState)) {
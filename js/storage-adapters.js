@@ -0,0 +1,363 @@
+// storage-adapters.js - Adaptadores de persistência (IndexedDB e LocalStorage)
+
+// Constantes do IndexedDB
+const DB_NAME = 'organizador-rotina';
+const DB_VERSION = 2;
+const CARDS_STORE = 'cards';
+const ARCHIVE_STORE = 'archive';
+const META_STORE = 'meta';
+
+// Chaves do LocalStorage (mesmas usadas antes da introdução dos adaptadores)
+export const LOCAL_CARDS_KEY = 'organizador-rotina-cards';
+export const LOCAL_ARCHIVE_KEY = 'organizador-rotina-archive';
+const LOCAL_META_KEY = 'organizador-rotina-meta';
+
+/**
+ * Interface comum dos adaptadores de persistência.
+ * Todos os métodos são assíncronos, mesmo no adaptador de LocalStorage.
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Identificador do adaptador ('indexeddb' ou 'localstorage')
+ * @property {function(): Promise<void>} open - Abre/prepara o armazenamento
+ * @property {function(): Promise<Card[]>} getAllCards - Lê todos os cards
+ * @property {function(Card[]): Promise<void>} putCards - Insere ou substitui cards (por ID)
+ * @property {function(string[]): Promise<void>} deleteCards - Remove cards pelos IDs
+ * @property {function(): Promise<void>} clearCards - Remove todos os cards
+ * @property {function(Card[]): Promise<void>} replaceAllCards - Substitui todos os cards de uma vez
+ * @property {function(): Promise<Card[]>} getArchivedCards - Lê os cards arquivados
+ * @property {function(Card[]): Promise<void>} putArchivedCards - Insere ou substitui cards arquivados (por ID)
+ * @property {function(string[]): Promise<void>} deleteArchivedCards - Remove cards arquivados pelos IDs
+ * @property {function(Card[]): Promise<void>} moveToArchive - Move cards para o arquivo
+ * @property {function(Card[]): Promise<void>} moveFromArchive - Devolve cards do arquivo para os cards
+ * @property {function(string): Promise<*>} getMeta - Lê um valor de metadados
+ * @property {function(string, *): Promise<void>} setMeta - Grava um valor de metadados
+ */
+
+/**
+ * Verifica se o navegador oferece IndexedDB
+ * @returns {boolean} True se disponível
+ */
+export function isIndexedDBAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch {
+        // Alguns navegadores lançam erro ao acessar indexedDB em modo privado
+        return false;
+    }
+}
+
+/**
+ * Converte uma IDBRequest em Promise
+ * @param {IDBRequest} request - Requisição do IndexedDB
+ * @returns {Promise<*>} Resultado da requisição
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Aguarda a conclusão de uma transação do IndexedDB
+ * @param {IDBTransaction} transaction - Transação
+ * @returns {Promise<void>} Resolve quando a transação for concluída
+ */
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transação abortada'));
+    });
+}
+
+/**
+ * Cria o adaptador de IndexedDB (um registro por card, com índices)
+ * @returns {StorageAdapter} Adaptador
+ */
+export function createIndexedDBAdapter() {
+    let db = null;
+    let opening = null;
+
+    async function openDatabase() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+
+            if (!database.objectStoreNames.contains(CARDS_STORE)) {
+                const cardsStore = database.createObjectStore(CARDS_STORE, { keyPath: 'id' });
+                cardsStore.createIndex('tab', 'tab', { unique: false });
+                cardsStore.createIndex('status', 'status', { unique: false });
+                cardsStore.createIndex('date', 'date', { unique: false });
+            }
+
+            if (!database.objectStoreNames.contains(META_STORE)) {
+                database.createObjectStore(META_STORE, { keyPath: 'key' });
+            }
+
+            // Versão 2: cards arquivados ficam fora da store principal
+            if (!database.objectStoreNames.contains(ARCHIVE_STORE)) {
+                const archiveStore = database.createObjectStore(ARCHIVE_STORE, { keyPath: 'id' });
+                archiveStore.createIndex('archivedAt', 'archivedAt', { unique: false });
+            }
+        };
+
+        const database = await requestToPromise(request);
+
+        // Fecha a conexão se outra aba precisar atualizar o schema;
+        // a próxima operação abre de novo
+        database.onversionchange = () => {
+            database.close();
+            if (db === database) db = null;
+        };
+
+        return database;
+    }
+
+    function getDatabase() {
+        if (db) return Promise.resolve(db);
+
+        // Chamadas simultâneas esperam a mesma abertura
+        if (!opening) {
+            opening = openDatabase()
+                .then(database => {
+                    db = database;
+                    return database;
+                })
+                .finally(() => {
+                    opening = null;
+                });
+        }
+        return opening;
+    }
+
+    return {
+        name: 'indexeddb',
+
+        async open() {
+            await getDatabase();
+        },
+
+        async getAllCards() {
+            const transaction = (await getDatabase()).transaction(CARDS_STORE, 'readonly');
+            return requestToPromise(transaction.objectStore(CARDS_STORE).getAll());
+        },
+
+        async putCards(cards) {
+            if (!cards.length) return;
+
+            const transaction = (await getDatabase()).transaction(CARDS_STORE, 'readwrite');
+            const store = transaction.objectStore(CARDS_STORE);
+            cards.forEach(card => store.put(card));
+            await transactionToPromise(transaction);
+        },
+
+        async deleteCards(cardIds) {
+            if (!cardIds.length) return;
+
+            const transaction = (await getDatabase()).transaction(CARDS_STORE, 'readwrite');
+            const store = transaction.objectStore(CARDS_STORE);
+            cardIds.forEach(cardId => store.delete(cardId));
+            await transactionToPromise(transaction);
+        },
+
+        async clearCards() {
+            const transaction = (await getDatabase()).transaction(CARDS_STORE, 'readwrite');
+            transaction.objectStore(CARDS_STORE).clear();
+            await transactionToPromise(transaction);
+        },
+
+        async replaceAllCards(cards) {
+            // Mesma transação: ou tudo é substituído, ou nada muda
+            const transaction = (await getDatabase()).transaction(CARDS_STORE, 'readwrite');
+            const store = transaction.objectStore(CARDS_STORE);
+            store.clear();
+            cards.forEach(card => store.put(card));
+            await transactionToPromise(transaction);
+        },
+
+        async getArchivedCards() {
+            const transaction = (await getDatabase()).transaction(ARCHIVE_STORE, 'readonly');
+            return requestToPromise(transaction.objectStore(ARCHIVE_STORE).getAll());
+        },
+
+        async putArchivedCards(cards) {
+            if (!cards.length) return;
+
+            const transaction = (await getDatabase()).transaction(ARCHIVE_STORE, 'readwrite');
+            const store = transaction.objectStore(ARCHIVE_STORE);
+            cards.forEach(card => store.put(card));
+            await transactionToPromise(transaction);
+        },
+
+        async deleteArchivedCards(cardIds) {
+            if (!cardIds.length) return;
+
+            const transaction = (await getDatabase()).transaction(ARCHIVE_STORE, 'readwrite');
+            const store = transaction.objectStore(ARCHIVE_STORE);
+            cardIds.forEach(cardId => store.delete(cardId));
+            await transactionToPromise(transaction);
+        },
+
+        async moveToArchive(cards) {
+            if (!cards.length) return;
+
+            // Mesma transação: o card nunca fica nas duas stores (nem em nenhuma)
+            const transaction = (await getDatabase()).transaction([CARDS_STORE, ARCHIVE_STORE], 'readwrite');
+            const cardsStore = transaction.objectStore(CARDS_STORE);
+            const archiveStore = transaction.objectStore(ARCHIVE_STORE);
+            cards.forEach(card => {
+                cardsStore.delete(card.id);
+                archiveStore.put(card);
+            });
+            await transactionToPromise(transaction);
+        },
+
+        async moveFromArchive(cards) {
+            if (!cards.length) return;
+
+            const transaction = (await getDatabase()).transaction([CARDS_STORE, ARCHIVE_STORE], 'readwrite');
+            const cardsStore = transaction.objectStore(CARDS_STORE);
+            const archiveStore = transaction.objectStore(ARCHIVE_STORE);
+            cards.forEach(card => {
+                archiveStore.delete(card.id);
+                cardsStore.put(card);
+            });
+            await transactionToPromise(transaction);
+        },
+
+        async getMeta(key) {
+            const transaction = (await getDatabase()).transaction(META_STORE, 'readonly');
+            const record = await requestToPromise(transaction.objectStore(META_STORE).get(key));
+            return record ? record.value : undefined;
+        },
+
+        async setMeta(key, value) {
+            const transaction = (await getDatabase()).transaction(META_STORE, 'readwrite');
+            transaction.objectStore(META_STORE).put({ key, value });
+            await transactionToPromise(transaction);
+        }
+    };
+}
+
+/**
+ * Cria o adaptador de LocalStorage (array único serializado, usado como fallback)
+ * @returns {StorageAdapter} Adaptador
+ */
+export function createLocalStorageAdapter() {
+    function readCards(key = LOCAL_CARDS_KEY) {
+        const cardsJson = localStorage.getItem(key);
+        if (!cardsJson) return [];
+
+        const parsedCards = JSON.parse(cardsJson);
+        if (!Array.isArray(parsedCards)) {
+            console.error('Dados corrompidos: não é um array', parsedCards);
+            return [];
+        }
+
+        return parsedCards;
+    }
+
+    function writeCards(cards, key = LOCAL_CARDS_KEY) {
+        localStorage.setItem(key, JSON.stringify(cards));
+    }
+
+    function putInto(key, cards) {
+        const storedCards = readCards(key);
+        const indexById = new Map(storedCards.map((card, index) => [card && card.id, index]));
+
+        cards.forEach(card => {
+            if (indexById.has(card.id)) {
+                storedCards[indexById.get(card.id)] = card;
+            } else {
+                indexById.set(card.id, storedCards.length);
+                storedCards.push(card);
+            }
+        });
+
+        writeCards(storedCards, key);
+    }
+
+    function deleteFrom(key, cardIds) {
+        const idsToDelete = new Set(cardIds);
+        writeCards(readCards(key).filter(card => !card || !idsToDelete.has(card.id)), key);
+    }
+
+    function readMeta() {
+        try {
+            return JSON.parse(localStorage.getItem(LOCAL_META_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    return {
+        name: 'localstorage',
+
+        async open() {
+            // Acessa o localStorage para detectar bloqueios logo na abertura
+            localStorage.getItem(LOCAL_CARDS_KEY);
+        },
+
+        async getAllCards() {
+            return readCards();
+        },
+
+        async putCards(cards) {
+            if (!cards.length) return;
+            putInto(LOCAL_CARDS_KEY, cards);
+        },
+
+        async deleteCards(cardIds) {
+            if (!cardIds.length) return;
+            deleteFrom(LOCAL_CARDS_KEY, cardIds);
+        },
+
+        async clearCards() {
+            localStorage.removeItem(LOCAL_CARDS_KEY);
+        },
+
+        async replaceAllCards(cards) {
+            writeCards(cards);
+        },
+
+        async getArchivedCards() {
+            return readCards(LOCAL_ARCHIVE_KEY);
+        },
+
+        async putArchivedCards(cards) {
+            if (!cards.length) return;
+            putInto(LOCAL_ARCHIVE_KEY, cards);
+        },
+
+        async deleteArchivedCards(cardIds) {
+            if (!cardIds.length) return;
+            deleteFrom(LOCAL_ARCHIVE_KEY, cardIds);
+        },
+
+        async moveToArchive(cards) {
+            if (!cards.length) return;
+
+            // Grava no arquivo antes de remover: uma falha no meio não perde o card
+            putInto(LOCAL_ARCHIVE_KEY, cards);
+            deleteFrom(LOCAL_CARDS_KEY, cards.map(card => card.id));
+        },
+
+        async moveFromArchive(cards) {
+            if (!cards.length) return;
+
+            putInto(LOCAL_CARDS_KEY, cards);
+            deleteFrom(LOCAL_ARCHIVE_KEY, cards.map(card => card.id));
+        },
+
+        async getMeta(key) {
+            return readMeta()[key];
+        },
+
+        async setMeta(key, value) {
+            const meta = readMeta();
+            meta[key] = value;
+            localStorage.setItem(LOCAL_META_KEY, JSON.stringify(meta));
+        }
+    };
+}
@@ -1,10 +1,39 @@
-// storage.js - Camada de abstração do LocalStorage
-
-import { generateId, getAvailableCategories, getAvailableStatus, getAvailablePriorities } from './utils.js';
+// storage.js - Camada de abstração da persistência (IndexedDB com fallback para LocalStorage)
+
+import { generateId, addDays, getAvailableCategories, getAvailableStatus, getAvailablePriorities, getAvailableTabs, getToday, isToday, isPastDate, normalizeChecklist, getChecklistProgress, normalizeSchedule, normalizeReminders, normalizeNotes } from './utils.js';
+import {
+    LOCAL_CARDS_KEY,
+    LOCAL_ARCHIVE_KEY,
+    isIndexedDBAvailable,
+    createIndexedDBAdapter,
+    createLocalStorageAdapter
+} from './storage-adapters.js';
+import { CURRENT_SCHEMA_VERSION, parseSchemaVersion, migrateCards } from './migrations.js';
+import { normalizeRecurrence, alignToRecurrence, getNextOccurrenceForCard, occursOn } from './recurrence.js';
 
 // Constantes
-const STORAGE_KEY = 'organizador-rotina-cards';
-const BACKUP_KEY = 'organizador-rotina-backup';
+// Backups antigos ficavam no LocalStorage; os novos ficam nos metadados do adaptador
+const LEGACY_BACKUP_KEY = 'organizador-rotina-backup';
+const BACKUP_META_KEY = 'backup';
+const MIGRATED_META_KEY = 'migratedFromLocalStorage';
+const SCHEMA_META_KEY = 'schemaVersion';
+const PREFERENCES_KEY = 'organizador-rotina-prefs';
+
+// Adaptador ativo e cache em memória (mantido ordenado)
+let adapter = null;
+let cardsCache = [];
+
+// Cards arquivados (store separada: não aparecem nas abas)
+let archiveCache = [];
+
+// Fila de escrita: garante que as gravações no adaptador aconteçam em ordem
+let writeQueue = Promise.resolve();
+
+// Funções avisadas sempre que o cache de cards muda
+const changeListeners = new Set();
+
+// Funções avisadas quando uma gravação falha (o cache já foi recarregado do disco)
+const writeErrorListeners = new Set();
 
 /**
  * Estrutura padrão de um card
@@ -16,57 +45,397 @@ const BACKUP_KEY = 'organizador-rotina-backup';
  * @property {string} status - Status: 'pendente', 'concluido', 'vencido'
  * @property {string} priority - Prioridade: 'baixa', 'media', 'alta'
  * @property {string} link - URL ou deep link do app/serviço
+ * @property {string} notes - Anotações livres
  * @property {string} tab - Aba onde o card pertence
  * @property {number} createdAt - Timestamp de criação
  * @property {number} updatedAt - Timestamp de última atualização
  * @property {number} order - Ordem de exibição
+ * @property {RecurrenceRule|null} recurrence - Regra de repetição (apenas na ocorrência pendente da série)
+ * @property {string} [seriesId] - ID da série de ocorrências de um card recorrente
+ * @property {number} [occurrence] - Número da ocorrência na série (1 = primeira)
+ * @property {number} [overdueAt] - Timestamp em que o card foi marcado como vencido
+ * @property {Array<{id: string, text: string, done: boolean}>} checklist - Subtarefas, em ordem
+ * @property {boolean} completeOnChecklist - Conclui o card quando todos os itens forem marcados
+ * @property {string} time - Horário de início (HH:MM) ou string vazia
+ * @property {number|null} duration - Duração em minutos
+ * @property {boolean} allDay - Card de dia inteiro (sem horário)
+ * @property {number[]} reminders - Lembretes, em minutos antes do horário (0 = no horário)
+ * @property {number|null} snoozedUntil - Timestamp de um lembrete adiado
+ * @property {number|null} deletedAt - Timestamp da exclusão (card na lixeira) ou null
+ * @property {number|null} completedAt - Timestamp da conclusão (status 'concluido') ou null
+ * @property {number} [archivedAt] - Timestamp do arquivamento (apenas em cards arquivados)
  */
 
 /**
- * Retorna todos os cards do LocalStorage
- * @returns {Card[]} Array de cards
+ * Inicializa a persistência: escolhe o adaptador, migra dados legados e carrega o cache
+ * @returns {Promise<string>} Nome do adaptador em uso
+ */
+export async function initStorage() {
+    adapter = await openAdapter();
+
+    if (adapter.name === 'indexeddb') {
+        await migrateFromLocalStorage(adapter);
+    }
+
+    const storedCards = await adapter.getAllCards();
+    cardsCache = sortCards(storedCards.filter(isValidCard));
+    archiveCache = (await adapter.getArchivedCards()).filter(isValidCard);
+
+    return adapter.name;
+}
+
+/**
+ * Abre o IndexedDB ou, se indisponível, o adaptador de LocalStorage
+ * @returns {Promise<StorageAdapter>} Adaptador aberto
  */
-export function getAllCards() {
+async function openAdapter() {
+    if (isIndexedDBAvailable()) {
+        try {
+            const indexedDBAdapter = createIndexedDBAdapter();
+            await indexedDBAdapter.open();
+            return indexedDBAdapter;
+        } catch (error) {
+            console.warn('IndexedDB indisponível, usando LocalStorage:', error);
+        }
+    }
+
+    const localAdapter = createLocalStorageAdapter();
+    await localAdapter.open();
+    return localAdapter;
+}
+
+/**
+ * Copia os cards do LocalStorage para o IndexedDB na primeira execução
+ * @param {StorageAdapter} targetAdapter - Adaptador de destino (IndexedDB)
+ */
+async function migrateFromLocalStorage(targetAdapter) {
     try {
-        const cardsJson = localStorage.getItem(STORAGE_KEY);
+        if (await targetAdapter.getMeta(MIGRATED_META_KEY)) {
+            return;
+        }
+
+        // O IndexedDB exige ID em todos os registros: atualiza o schema antes de copiar
+        const localAdapter = createLocalStorageAdapter();
+        const legacyVersion = parseSchemaVersion(await localAdapter.getMeta(SCHEMA_META_KEY));
+        const legacyCards = await localAdapter.getAllCards();
+        const legacyArchive = await localAdapter.getArchivedCards();
+
+        if (legacyCards.length > 0) {
+            await saveBackup(targetAdapter, legacyCards, legacyVersion);
+        }
 
-        if (!cardsJson) {
-            // Retorna array vazio se não houver dados
-            return [];
+        const { cards: cardsToMigrate, version } = migrateCards(legacyCards, legacyVersion);
+        const { cards: archiveToMigrate } = migrateCards(legacyArchive, legacyVersion);
+
+        await targetAdapter.putCards(cardsToMigrate);
+        await targetAdapter.putArchivedCards(archiveToMigrate);
+        await targetAdapter.setMeta(SCHEMA_META_KEY, version);
+        await targetAdapter.setMeta(MIGRATED_META_KEY, Date.now());
+
+        // Só remove os dados antigos depois que a gravação foi confirmada
+        localStorage.removeItem(LOCAL_CARDS_KEY);
+        localStorage.removeItem(LOCAL_ARCHIVE_KEY);
+
+        if (cardsToMigrate.length > 0) {
+            console.log(`${cardsToMigrate.length} cards migrados do LocalStorage para o IndexedDB`);
         }
 
-        const parsedCards = JSON.parse(cardsJson);
+    } catch (error) {
+        console.error('Erro ao migrar cards do LocalStorage:', error);
+    }
+}
+
+/**
+ * Atualiza os dados armazenados para a versão atual do schema
+ * @returns {Promise<Object>} Versões de origem/destino e migrações aplicadas
+ */
+export async function migrateStorageSchema() {
+    const storedVersion = await adapter.getMeta(SCHEMA_META_KEY);
+
+    // Primeira execução: sem dados, não há o que migrar; os cards já nascem na versão atual
+    if (storedVersion === undefined && !(await hasStoredData())) {
+        await adapter.setMeta(SCHEMA_META_KEY, CURRENT_SCHEMA_VERSION);
+        return { from: CURRENT_SCHEMA_VERSION, to: CURRENT_SCHEMA_VERSION, applied: [] };
+    }
+
+    const fromVersion = parseSchemaVersion(storedVersion);
+
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { from: fromVersion, to: fromVersion, applied: [] };
+    }
+
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        // Dados gravados por uma versão mais nova do app: não altera nada
+        console.warn(`Dados na versão ${fromVersion} do schema; esta versão do app suporta até ${CURRENT_SCHEMA_VERSION}`);
+        return { from: fromVersion, to: fromVersion, applied: [] };
+    }
+
+    const storedCards = await adapter.getAllCards();
+
+    // Guarda uma cópia dos dados originais antes de migrar
+    if (storedCards.length > 0) {
+        await saveBackup(adapter, storedCards, fromVersion);
+    }
+
+    const { cards, version, applied } = migrateCards(storedCards, fromVersion);
+
+    // O arquivo passa pelas mesmas migrações (os IDs não mudam)
+    const { cards: archivedCards } = migrateCards(await adapter.getArchivedCards(), fromVersion);
+
+    await adapter.replaceAllCards(cards);
+    await adapter.putArchivedCards(archivedCards);
+    await adapter.setMeta(SCHEMA_META_KEY, version);
+
+    cardsCache = sortCards(cards.filter(isValidCard));
+    archiveCache = archivedCards.filter(isValidCard);
+
+    return { from: fromVersion, to: version, applied };
+}
+
+/**
+ * Verifica se o adaptador tem algum card gravado (ativo ou arquivado), mesmo inválido
+ * @returns {Promise<boolean>} True se houver dados
+ */
+async function hasStoredData() {
+    const storedCards = await adapter.getAllCards();
+    if (storedCards.length > 0) return true;
+
+    const archivedCards = await adapter.getArchivedCards();
+    return archivedCards.length > 0;
+}
 
-        // Valida se é um array
-        if (!Array.isArray(parsedCards)) {
-            console.error('Dados corrompidos: não é um array', parsedCards);
-            return [];
+/**
+ * Verifica se um registro tem os campos mínimos de um card
+ * @param {*} card - Registro lido do armazenamento
+ * @returns {boolean} True se válido
+ */
+function isValidCard(card) {
+    return card &&
+        typeof card === 'object' &&
+        card.id &&
+        typeof card.id === 'string' &&
+        card.title &&
+        typeof card.title === 'string';
+}
+
+/**
+ * Ordena por ordem, depois por data de criação
+ * @param {Card[]} cards - Cards a ordenar
+ * @returns {Card[]} Mesmo array, ordenado
+ */
+function sortCards(cards) {
+    return cards.sort((a, b) => {
+        if (a.order !== undefined && b.order !== undefined) {
+            return a.order - b.order;
         }
+        return (b.createdAt || 0) - (a.createdAt || 0);
+    });
+}
+
+/**
+ * Enfileira uma operação de escrita no adaptador. Se a gravação falhar, o cache
+ * volta ao que está no disco e os listeners de erro são avisados
+ * @param {Function} operation - Função que recebe o adaptador e retorna uma Promise
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.notify=true] - Avisa os listeners de mudança (desligado para metadados)
+ * @returns {Promise<boolean>} Resolve com true se gravado, false se a gravação falhou
+ */
+function enqueueWrite(operation, { notify = true } = {}) {
+    if (!adapter) {
+        console.warn('Armazenamento ainda não inicializado; alteração mantida apenas em memória');
+        return Promise.resolve(false);
+    }
 
-        // Filtra itens inválidos
-        const validCards = parsedCards.filter(card => {
-            return card &&
-                typeof card === 'object' &&
-                card.id &&
-                typeof card.id === 'string' &&
-                card.title &&
-                typeof card.title === 'string';
+    const activeAdapter = adapter;
+    writeQueue = writeQueue
+        .then(() => operation(activeAdapter))
+        .then(() => true, (error) => {
+            console.error('Erro ao gravar no armazenamento:', error);
+            handleWriteError(error);
+            return false;
         });
 
-        // Ordena por ordem, depois por data de criação
-        return validCards.sort((a, b) => {
-            if (a.order !== undefined && b.order !== undefined) {
-                return a.order - b.order;
-            }
-            return (b.createdAt || 0) - (a.createdAt || 0);
+    // Toda alteração do cache passa por aqui
+    if (notify) {
+        notifyChangeListeners();
+    }
+
+    return writeQueue;
+}
+
+/**
+ * Desfaz no cache as alterações que não foram gravadas (recarrega do disco
+ * depois das gravações pendentes) e avisa os listeners de erro
+ * @param {Error} error - Erro da gravação
+ */
+function handleWriteError(error) {
+    reloadCards()
+        .catch(reloadError => console.error('Erro ao recarregar cards após falha de gravação:', reloadError))
+        .finally(() => {
+            writeErrorListeners.forEach(listener => {
+                try {
+                    listener(error);
+                } catch (listenerError) {
+                    console.error('Erro em listener de falha de gravação:', listenerError);
+                }
+            });
         });
+}
+
+/**
+ * Registra uma função chamada quando uma gravação falha; o cache já foi
+ * recarregado do disco quando ela é chamada
+ * @param {Function} listener - Função que recebe o erro
+ * @returns {Function} Função para cancelar o registro
+ */
+export function subscribeToWriteErrors(listener) {
+    writeErrorListeners.add(listener);
+    return () => writeErrorListeners.delete(listener);
+}
+
+/**
+ * Registra uma função chamada sempre que os cards forem alterados
+ * (criação, edição, exclusão, reordenação, importação...)
+ * @param {Function} listener - Função sem argumentos
+ * @returns {Function} Função para cancelar o registro
+ */
+export function subscribeToChanges(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Avisa os listeners de que o cache mudou
+ */
+function notifyChangeListeners() {
+    changeListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Erro em listener de alterações do storage:', error);
+        }
+    });
+}
 
+/**
+ * Lê uma preferência de interface (modo de visualização, filtros salvos...).
+ * Fica no LocalStorage para ser lida de forma síncrona na renderização.
+ * @param {string} key - Nome da preferência
+ * @param {*} defaultValue - Valor usado se a preferência não existir
+ * @returns {*} Valor salvo ou o padrão
+ */
+export function getPreference(key, defaultValue = null) {
+    try {
+        const preferences = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        return key in preferences ? preferences[key] : defaultValue;
+    } catch {
+        return defaultValue;
+    }
+}
+
+/**
+ * Grava uma preferência de interface
+ * @param {string} key - Nome da preferência
+ * @param {*} value - Valor serializável
+ * @returns {boolean} True se gravado com sucesso
+ */
+export function setPreference(key, value) {
+    try {
+        let preferences = {};
+        try {
+            preferences = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        } catch {
+            // Preferências corrompidas são descartadas
+        }
+
+        preferences[key] = value;
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        return true;
     } catch (error) {
-        console.error('Erro ao recuperar cards do LocalStorage:', error);
-        return [];
+        console.error('Erro ao salvar preferência:', error);
+        return false;
     }
 }
 
+/**
+ * Recarrega o cache a partir do adaptador (após gravações feitas fora da página,
+ * como as ações das notificações no service worker)
+ * @returns {Promise<Card[]>} Cards recarregados
+ */
+export async function reloadCards() {
+    await writeQueue;
+
+    const storedCards = await adapter.getAllCards();
+    cardsCache = sortCards(storedCards.filter(isValidCard));
+    archiveCache = (await adapter.getArchivedCards()).filter(isValidCard);
+    notifyChangeListeners();
+
+    return getAllCards();
+}
+
+/**
+ * Lê um valor de metadados do armazenamento
+ * @param {string} key - Chave
+ * @returns {Promise<*>} Valor ou undefined
+ */
+export async function getMetaValue(key) {
+    if (!adapter) return undefined;
+    return adapter.getMeta(key);
+}
+
+/**
+ * Grava um valor de metadados no armazenamento. Não avisa os listeners de
+ * mudança: eles reagem aos cards, e quem grava metadados (os lembretes) também
+ * os escuta, o que criaria um ciclo de gravações
+ * @param {string} key - Chave
+ * @param {*} value - Valor serializável
+ * @returns {Promise<boolean>} True se gravado
+ */
+export function setMetaValue(key, value) {
+    return enqueueWrite(activeAdapter => activeAdapter.setMeta(key, value), { notify: false });
+}
+
+/**
+ * Grava cards alterados no adaptador
+ * @param {Card[]} cards - Cards a gravar
+ */
+function persistCards(cards) {
+    enqueueWrite(activeAdapter => activeAdapter.putCards(cards));
+}
+
+/**
+ * Remove cards do adaptador
+ * @param {string[]} cardIds - IDs a remover
+ */
+function persistDeletion(cardIds) {
+    enqueueWrite(activeAdapter => activeAdapter.deleteCards(cardIds));
+}
+
+/**
+ * Aguarda todas as gravações pendentes
+ * @returns {Promise<void>} Resolve quando a fila de escrita esvaziar
+ */
+export function flushStorage() {
+    return writeQueue;
+}
+
+/**
+ * Retorna todos os cards (a partir do cache em memória)
+ * @param {boolean} includeDeleted - Inclui os cards da lixeira
+ * @returns {Card[]} Array de cards
+ */
+export function getAllCards(includeDeleted = false) {
+    return includeDeleted ? [...cardsCache] : cardsCache.filter(card => !card.deletedAt);
+}
+
+/**
+ * Retorna a próxima posição livre no fim da lista
+ * @returns {number} Ordem para um novo card
+ */
+function getNextOrder() {
+    return cardsCache.reduce((max, card) => Math.max(max, (card.order ?? -1) + 1), 0);
+}
+
 /**
  * Retorna um card específico pelo ID
  * @param {string} cardId - ID do card
@@ -87,7 +456,7 @@ export function getCardById(cardId) {
  * @returns {Card[]} Cards da aba especificada
  */
 export function getCardsByTab(tabName) {
-    const validTabs = ['rotina', 'economia', 'lembretes', 'links'];
+    const validTabs = getAvailableTabs().map(t => t.value);
 
     if (!validTabs.includes(tabName)) {
         console.warn(`Aba inválida: ${tabName}`);
@@ -150,32 +519,54 @@ export function saveCard(cardData) {
         }
 
         // Valida aba
-        const validTabs = ['rotina', 'economia', 'lembretes', 'links'];
+        const validTabs = getAvailableTabs().map(t => t.value);
         if (!cardData.tab || !validTabs.includes(cardData.tab)) {
             cardData.tab = 'rotina';
         }
 
+        // Valida recorrência (a data é alinhada à primeira ocorrência da regra)
+        const recurrence = normalizeRecurrence(cardData.recurrence);
+        const date = recurrence
+            ? alignToRecurrence(recurrence, cardData.date || getToday()) || cardData.date || ''
+            : cardData.date || '';
+
         // Cria card completo
         const timestamp = Date.now();
-        const cards = getAllCards();
 
         const newCard = {
             id: generateId(),
             title: cardData.title.trim(),
-            date: cardData.date || '',
+            date,
+            ...normalizeSchedule(cardData),
             category: cardData.category,
             status: cardData.status,
             priority: cardData.priority,
             link: cardData.link || '',
+            notes: normalizeNotes(cardData.notes),
             tab: cardData.tab,
+            recurrence,
+            checklist: normalizeChecklist(cardData.checklist),
+            completeOnChecklist: cardData.completeOnChecklist === true,
+            reminders: normalizeReminders(cardData.reminders),
+            snoozedUntil: null,
+            deletedAt: null,
+            completedAt: null,
             createdAt: timestamp,
             updatedAt: timestamp,
-            order: cards.length // Adiciona no final
+            order: getNextOrder() // Adiciona no final
         };
 
-        // Adiciona ao array e salva
-        cards.push(newCard);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+        if (recurrence) {
+            newCard.seriesId = newCard.id;
+            newCard.occurrence = 1;
+        }
+
+        applyChecklistCompletion(newCard);
+        applyCompletionTime(newCard, null);
+
+        // Adiciona ao cache e salva
+        cardsCache.push(newCard);
+        persistCards([newCard]);
 
         return newCard;
 
@@ -201,70 +592,361 @@ export function updateCard(cardId, updates) {
             throw new Error('Dados de atualização inválidos');
         }
 
-        const cards = getAllCards();
-        const cardIndex = cards.findIndex(card => card.id === cardId);
+        const changedCards = applyCardUpdates(cardId, updates);
+        persistCards(changedCards);
 
-        if (cardIndex === -1) {
-            throw new Error(`Card não encontrado: ${cardId}`);
+        return changedCards[0];
+
+    } catch (error) {
+        console.error('Erro ao atualizar card:', error);
+        return null;
+    }
+}
+
+/**
+ * Atualiza vários cards com uma única gravação
+ * @param {string[]} cardIds - IDs dos cards (cards da lixeira são ignorados)
+ * @param {Object|Function} updates - Dados a atualizar, ou função que recebe o card
+ *        e retorna os dados (null deixa o card como está)
+ * @returns {Card[]} Cards atualizados
+ */
+export function updateCardsInBulk(cardIds, updates) {
+    try {
+        if (!Array.isArray(cardIds)) {
+            throw new Error('IDs devem ser um array');
         }
 
-        // Remove campos que não devem ser atualizados
-        const { id, createdAt, ...safeUpdates } = updates;
+        const updatedCards = [];
+        const changedCards = [];
 
-        // Valida campos específicos
-        if (safeUpdates.category) {
-            const validCategories = getAvailableCategories().map(c => c.value);
-            if (!validCategories.includes(safeUpdates.category)) {
-                safeUpdates.category = 'outro';
-            }
+        cardIds.forEach(cardId => {
+            const card = cardsCache.find(c => c.id === cardId && !c.deletedAt);
+            if (!card) return;
+
+            const cardUpdates = typeof updates === 'function' ? updates(card) : updates;
+            if (!cardUpdates || typeof cardUpdates !== 'object') return;
+
+            const changed = applyCardUpdates(cardId, cardUpdates);
+            updatedCards.push(changed[0]);
+            changedCards.push(...changed);
+        });
+
+        if (changedCards.length > 0) {
+            persistCards(changedCards);
         }
 
-        if (safeUpdates.status) {
-            const validStatus = getAvailableStatus().map(s => s.value);
-            if (!validStatus.includes(safeUpdates.status)) {
-                safeUpdates.status = 'pendente';
-            }
+        return updatedCards;
+
+    } catch (error) {
+        console.error('Erro ao atualizar cards:', error);
+        return [];
+    }
+}
+
+/**
+ * Move cards para outra aba, no fim da ordem da aba de destino
+ * @param {string[]} cardIds - IDs dos cards
+ * @param {string} tabName - Aba de destino
+ * @returns {Card[]} Cards movidos (os que já estavam na aba são ignorados)
+ */
+export function moveCardsToTab(cardIds, tabName) {
+    const validTabs = getAvailableTabs().map(t => t.value);
+
+    if (!validTabs.includes(tabName)) {
+        console.warn(`Aba inválida: ${tabName}`);
+        return [];
+    }
+
+    let nextOrder = getNextOrder();
+    return updateCardsInBulk(cardIds, card =>
+        card.tab === tabName ? null : { tab: tabName, order: nextOrder++ });
+}
+
+/**
+ * Adianta ou atrasa a data de vários cards (cards sem data são ignorados)
+ * @param {string[]} cardIds - IDs dos cards
+ * @param {number} days - Dias a somar (negativo para voltar)
+ * @returns {Card[]} Cards alterados
+ */
+export function shiftCardDates(cardIds, days) {
+    if (!Number.isInteger(days) || days === 0) return [];
+
+    return updateCardsInBulk(cardIds, card => card.date ? { date: addDays(card.date, days) } : null);
+}
+
+/**
+ * Aplica alterações a um card no cache, sem gravar
+ * @param {string} cardId - ID do card
+ * @param {Object} updates - Dados a serem atualizados
+ * @returns {Card[]} Cards alterados: o próprio card primeiro e, se a conclusão
+ *          de um card recorrente criou, a próxima ocorrência
+ */
+function applyCardUpdates(cardId, updates) {
+    const cardIndex = cardsCache.findIndex(card => card.id === cardId);
+
+    if (cardIndex === -1) {
+        throw new Error(`Card não encontrado: ${cardId}`);
+    }
+
+    // Remove campos que não devem ser atualizados
+    const { id, createdAt, ...safeUpdates } = updates;
+
+    // Valida campos específicos
+    if (safeUpdates.category) {
+        const validCategories = getAvailableCategories().map(c => c.value);
+        if (!validCategories.includes(safeUpdates.category)) {
+            safeUpdates.category = 'outro';
         }
+    }
 
-        if (safeUpdates.priority) {
-            const validPriorities = getAvailablePriorities().map(p => p.value);
-            if (!validPriorities.includes(safeUpdates.priority)) {
-                safeUpdates.priority = 'media';
-            }
+    if (safeUpdates.status) {
+        const validStatus = getAvailableStatus().map(s => s.value);
+        if (!validStatus.includes(safeUpdates.status)) {
+            safeUpdates.status = 'pendente';
         }
+    }
 
-        if (safeUpdates.tab) {
-            const validTabs = ['rotina', 'economia', 'lembretes', 'links'];
-            if (!validTabs.includes(safeUpdates.tab)) {
-                safeUpdates.tab = 'rotina';
-            }
+    if (safeUpdates.priority) {
+        const validPriorities = getAvailablePriorities().map(p => p.value);
+        if (!validPriorities.includes(safeUpdates.priority)) {
+            safeUpdates.priority = 'media';
         }
+    }
 
-        // Atualiza card
-        const updatedCard = {
-            ...cards[cardIndex],
-            ...safeUpdates,
-            updatedAt: Date.now()
-        };
+    if (safeUpdates.tab) {
+        const validTabs = getAvailableTabs().map(t => t.value);
+        if (!validTabs.includes(safeUpdates.tab)) {
+            safeUpdates.tab = 'rotina';
+        }
+    }
+
+    const previousCard = cardsCache[cardIndex];
+
+    if ('recurrence' in safeUpdates) {
+        safeUpdates.recurrence = normalizeRecurrence(safeUpdates.recurrence);
+    }
+
+    if ('checklist' in safeUpdates) {
+        safeUpdates.checklist = normalizeChecklist(safeUpdates.checklist);
+    }
+
+    if ('reminders' in safeUpdates) {
+        safeUpdates.reminders = normalizeReminders(safeUpdates.reminders);
+    }
+
+    if ('notes' in safeUpdates) {
+        safeUpdates.notes = normalizeNotes(safeUpdates.notes);
+    }
+
+    // Horário, duração e dia inteiro são validados juntos
+    if ('time' in safeUpdates || 'duration' in safeUpdates || 'allDay' in safeUpdates) {
+        Object.assign(safeUpdates, normalizeSchedule({
+            time: 'time' in safeUpdates ? safeUpdates.time : previousCard.time,
+            duration: 'duration' in safeUpdates ? safeUpdates.duration : previousCard.duration,
+            allDay: 'allDay' in safeUpdates ? safeUpdates.allDay : previousCard.allDay
+        }));
+    }
+
+    // Atualiza card
+    const updatedCard = {
+        ...previousCard,
+        ...safeUpdates,
+        updatedAt: Date.now()
+    };
+
+    // Trata título vazio
+    if (updatedCard.title && updatedCard.title.trim() !== '') {
+        updatedCard.title = updatedCard.title.trim();
+    }
+
+    // Nova regra de recorrência: alinha a data e inicia a série
+    if (updatedCard.recurrence && !previousCard.recurrence) {
+        updatedCard.date = alignToRecurrence(updatedCard.recurrence, updatedCard.date || getToday()) || updatedCard.date;
+        updatedCard.seriesId = updatedCard.seriesId || updatedCard.id;
+        updatedCard.occurrence = updatedCard.occurrence || 1;
+    }
 
-        // Trata título vazio
-        if (updatedCard.title && updatedCard.title.trim() !== '') {
-            updatedCard.title = updatedCard.title.trim();
+    if ('checklist' in safeUpdates || 'completeOnChecklist' in safeUpdates) {
+        applyChecklistCompletion(updatedCard);
+    }
+
+    applyCompletionTime(updatedCard, previousCard);
+
+    if (updatedCard.date !== previousCard.date) {
+        applyOverdueReset(updatedCard);
+    }
+
+    const changedCards = [updatedCard];
+
+    // Ocorrência concluída: a regra passa para a próxima ocorrência da série
+    if (previousCard.status !== 'concluido' && updatedCard.status === 'concluido' && updatedCard.recurrence) {
+        const nextCard = createNextOccurrence(updatedCard);
+        updatedCard.recurrence = null;
+        if (nextCard) {
+            changedCards.push(nextCard);
         }
+    }
 
-        cards[cardIndex] = updatedCard;
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+    cardsCache[cardIndex] = updatedCard;
+    if (safeUpdates.order !== undefined || changedCards.length > 1) {
+        sortCards(cardsCache);
+    }
 
-        return updatedCard;
+    return changedCards;
+}
 
-    } catch (error) {
-        console.error('Erro ao atualizar card:', error);
+/**
+ * Volta para 'pendente' um card vencido cuja nova data é hoje, futura ou vazia
+ * @param {Card} card - Card com a data já alterada (alterado no lugar)
+ */
+function applyOverdueReset(card) {
+    if (card.status !== 'vencido' || isPastDate(card.date)) return;
+
+    card.status = 'pendente';
+    delete card.overdueAt;
+}
+
+/**
+ * Marca o card como concluído quando todos os itens da checklist estão marcados
+ * (apenas se o card tiver `completeOnChecklist` ativo)
+ * @param {Card} card - Card a verificar (alterado no lugar)
+ */
+function applyChecklistCompletion(card) {
+    if (!card.completeOnChecklist || card.status === 'concluido') return;
+
+    const { done, total } = getChecklistProgress(card.checklist);
+    if (total > 0 && done === total) {
+        card.status = 'concluido';
+    }
+}
+
+/**
+ * Registra quando o card foi concluído (usado no arquivamento automático)
+ * @param {Card} card - Card a verificar (alterado no lugar)
+ * @param {Card|null} previousCard - Versão anterior do card (null ao criar)
+ */
+function applyCompletionTime(card, previousCard) {
+    if (card.status !== 'concluido') {
+        card.completedAt = null;
+    } else if (!previousCard || previousCard.status !== 'concluido' || !card.completedAt) {
+        card.completedAt = card.updatedAt;
+    }
+}
+
+/**
+ * Cria no cache a próxima ocorrência de um card recorrente
+ * @param {Card} card - Ocorrência atual (com `recurrence`)
+ * @param {string|null} notBefore - Pula ocorrências anteriores a esta data (YYYY-MM-DD)
+ * @returns {Card|null} Nova ocorrência ou null se a série terminou
+ */
+function createNextOccurrence(card, notBefore = null) {
+    const nextDate = getNextOccurrenceForCard(card, notBefore);
+
+    if (!nextDate) {
         return null;
     }
+
+    const timestamp = Date.now();
+    const nextCard = {
+        ...card,
+        id: generateId(),
+        date: nextDate,
+        status: 'pendente',
+        // A checklist recomeça desmarcada em cada ocorrência
+        checklist: normalizeChecklist(card.checklist).map(item => ({ ...item, done: false })),
+        seriesId: card.seriesId || card.id,
+        occurrence: (card.occurrence || 1) + 1,
+        snoozedUntil: null,
+        completedAt: null,
+        createdAt: timestamp,
+        updatedAt: timestamp
+        // Mantém a mesma `order`: a nova ocorrência aparece logo após a concluída
+    };
+
+    cardsCache.push(nextCard);
+    return nextCard;
+}
+
+/**
+ * Marca como 'vencido' os cards pendentes com data no passado.
+ * Cards recorrentes vencidos geram a próxima ocorrência a partir de hoje.
+ * @returns {Card[]} Cards que mudaram de status (já atualizados)
+ */
+export function markOverdueCards() {
+    const timestamp = Date.now();
+    const today = getToday();
+    const overdueCards = [];
+    const changedCards = [];
+
+    // Percorre uma cópia: novas ocorrências são adicionadas ao cache durante o laço
+    [...cardsCache].forEach((card, index) => {
+        if (card.deletedAt || card.status !== 'pendente' || !card.date || !isPastDate(card.date)) {
+            return;
+        }
+
+        const overdueCard = {
+            ...card,
+            status: 'vencido',
+            overdueAt: timestamp,
+            updatedAt: timestamp
+        };
+
+        if (overdueCard.recurrence) {
+            const nextCard = createNextOccurrence(overdueCard, today);
+            overdueCard.recurrence = null;
+            if (nextCard) {
+                changedCards.push(nextCard);
+            }
+        }
+
+        cardsCache[index] = overdueCard;
+        overdueCards.push(overdueCard);
+        changedCards.push(overdueCard);
+    });
+
+    if (changedCards.length > 0) {
+        sortCards(cardsCache);
+        persistCards(changedCards);
+    }
+
+    return overdueCards;
+}
+
+/**
+ * Gera a próxima ocorrência de cards recorrentes concluídos fora da página
+ * (pela ação "Concluir" de uma notificação, que não conhece as regras de recorrência)
+ * @returns {Card[]} Novas ocorrências criadas
+ */
+export function settleCompletedRecurrences() {
+    const timestamp = Date.now();
+    const nextCards = [];
+    const changedCards = [];
+
+    [...cardsCache].forEach((card, index) => {
+        if (card.deletedAt || card.status !== 'concluido' || !card.recurrence) return;
+
+        const settledCard = { ...card, recurrence: null, updatedAt: timestamp };
+        const nextCard = createNextOccurrence(card);
+
+        if (nextCard) {
+            nextCards.push(nextCard);
+            changedCards.push(nextCard);
+        }
+
+        cardsCache[index] = settledCard;
+        changedCards.push(settledCard);
+    });
+
+    if (changedCards.length > 0) {
+        sortCards(cardsCache);
+        persistCards(changedCards);
+    }
+
+    return nextCards;
 }
 
 /**
- * Remove um card pelo ID
+ * Move um card para a lixeira (mantém aba e ordem para poder restaurar)
  * @param {string} cardId - ID do card a ser removido
  * @returns {boolean} True se removido com sucesso
  */
@@ -274,22 +956,18 @@ export function deleteCard(cardId) {
             throw new Error('ID do card inválido');
         }
 
-        const cards = getAllCards();
-        const initialLength = cards.length;
-
-        const filteredCards = cards.filter(card => card.id !== cardId);
+        const cardIndex = cardsCache.findIndex(card => card.id === cardId && !card.deletedAt);
 
-        if (filteredCards.length === initialLength) {
+        if (cardIndex === -1) {
             // Card não encontrado
             return false;
         }
 
-        // Reordena os cards restantes
-        filteredCards.forEach((card, index) => {
-            card.order = index;
-        });
+        const timestamp = Date.now();
+        const deletedCard = { ...cardsCache[cardIndex], deletedAt: timestamp, updatedAt: timestamp };
 
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(filteredCards));
+        cardsCache[cardIndex] = deletedCard;
+        persistCards([deletedCard]);
         return true;
 
     } catch (error) {
@@ -299,7 +977,217 @@ export function deleteCard(cardId) {
 }
 
 /**
- * Atualiza a ordem dos cards
+ * Move vários cards para a lixeira com uma única gravação
+ * @param {string[]} cardIds - IDs dos cards
+ * @returns {number} Quantidade de cards excluídos
+ */
+export function deleteCards(cardIds) {
+    if (!Array.isArray(cardIds)) return 0;
+
+    const ids = new Set(cardIds);
+    const timestamp = Date.now();
+    const deletedCards = [];
+
+    cardsCache = cardsCache.map(card => {
+        if (!ids.has(card.id) || card.deletedAt) return card;
+
+        const deletedCard = { ...card, deletedAt: timestamp, updatedAt: timestamp };
+        deletedCards.push(deletedCard);
+        return deletedCard;
+    });
+
+    if (deletedCards.length > 0) {
+        persistCards(deletedCards);
+    }
+
+    return deletedCards.length;
+}
+
+/**
+ * Cria cópias de cards no fim da lista, com uma única gravação
+ * @param {string[]} cardIds - IDs dos cards a copiar
+ * @returns {Card[]} Cópias criadas, na ordem dos originais
+ */
+export function duplicateCards(cardIds) {
+    if (!Array.isArray(cardIds)) return [];
+
+    const ids = new Set(cardIds);
+    const timestamp = Date.now();
+    let nextOrder = getNextOrder();
+
+    const copies = cardsCache
+        .filter(card => ids.has(card.id) && !card.deletedAt)
+        .map(card => {
+            const { seriesId, occurrence, ...fields } = card;
+            const copy = {
+                ...fields,
+                id: generateId(),
+                title: `${card.title} (cópia)`,
+                checklist: normalizeChecklist(card.checklist),
+                snoozedUntil: null,
+                createdAt: timestamp,
+                updatedAt: timestamp,
+                order: nextOrder++
+            };
+
+            // A cópia de um card recorrente começa uma série nova
+            if (copy.recurrence) {
+                copy.seriesId = copy.id;
+                copy.occurrence = 1;
+            }
+
+            return copy;
+        });
+
+    if (copies.length > 0) {
+        cardsCache.push(...copies);
+        persistCards(copies);
+    }
+
+    return copies;
+}
+
+/**
+ * Retorna os cards da lixeira, os excluídos mais recentemente primeiro
+ * @returns {Card[]} Cards excluídos
+ */
+export function getDeletedCards() {
+    return cardsCache
+        .filter(card => card.deletedAt)
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Tira um card da lixeira (volta para a aba e posição originais)
+ * @param {string} cardId - ID do card
+ * @returns {Card|null} Card restaurado ou null se não estiver na lixeira
+ */
+export function restoreDeletedCard(cardId) {
+    const cardIndex = cardsCache.findIndex(card => card.id === cardId && card.deletedAt);
+
+    if (cardIndex === -1) {
+        console.warn(`Card não está na lixeira: ${cardId}`);
+        return null;
+    }
+
+    const restoredCard = { ...cardsCache[cardIndex], deletedAt: null, updatedAt: Date.now() };
+
+    cardsCache[cardIndex] = restoredCard;
+    persistCards([restoredCard]);
+    return restoredCard;
+}
+
+/**
+ * Apaga definitivamente cards da lixeira
+ * @param {string[]} cardIds - IDs dos cards (cards fora da lixeira são ignorados)
+ * @returns {number} Quantidade de cards apagados
+ */
+export function purgeDeletedCards(cardIds) {
+    if (!Array.isArray(cardIds)) return 0;
+
+    const ids = new Set(cardIds);
+    const purgedIds = cardsCache
+        .filter(card => card.deletedAt && ids.has(card.id))
+        .map(card => card.id);
+
+    if (purgedIds.length > 0) {
+        cardsCache = cardsCache.filter(card => !purgedIds.includes(card.id));
+        persistDeletion(purgedIds);
+    }
+
+    return purgedIds.length;
+}
+
+/**
+ * Apaga os cards que estão na lixeira há mais de `retentionDays` dias
+ * @param {number} retentionDays - Dias que um card fica na lixeira
+ * @returns {number} Quantidade de cards apagados
+ */
+export function purgeExpiredCards(retentionDays) {
+    if (!Number.isFinite(retentionDays) || retentionDays <= 0) return 0;
+
+    const limit = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = cardsCache
+        .filter(card => card.deletedAt && card.deletedAt < limit)
+        .map(card => card.id);
+
+    return purgeDeletedCards(expiredIds);
+}
+
+/**
+ * Move cards para o arquivo: saem das abas, mas continuam nas estatísticas
+ * @param {string[]} cardIds - IDs dos cards (cards da lixeira são ignorados)
+ * @returns {Card[]} Cards arquivados
+ */
+export function archiveCards(cardIds) {
+    if (!Array.isArray(cardIds)) return [];
+
+    const ids = new Set(cardIds);
+    const timestamp = Date.now();
+    const archivedCards = cardsCache
+        .filter(card => ids.has(card.id) && !card.deletedAt)
+        .map(card => ({ ...card, archivedAt: timestamp }));
+
+    if (archivedCards.length === 0) return [];
+
+    const archivedIds = new Set(archivedCards.map(card => card.id));
+    cardsCache = cardsCache.filter(card => !archivedIds.has(card.id));
+    archiveCache = [...archiveCache, ...archivedCards];
+    enqueueWrite(activeAdapter => activeAdapter.moveToArchive(archivedCards));
+
+    return archivedCards;
+}
+
+/**
+ * Arquiva os cards concluídos há mais de `days` dias
+ * @param {number} days - Dias desde a conclusão
+ * @returns {number} Quantidade de cards arquivados
+ */
+export function archiveCompletedCards(days) {
+    if (!Number.isFinite(days) || days <= 0) return 0;
+
+    const limit = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expiredIds = cardsCache
+        .filter(card => !card.deletedAt && card.status === 'concluido' && (card.completedAt || card.updatedAt) < limit)
+        .map(card => card.id);
+
+    return archiveCards(expiredIds).length;
+}
+
+/**
+ * Retorna os cards arquivados, os arquivados mais recentemente primeiro
+ * @returns {Card[]} Cards arquivados
+ */
+export function getArchivedCards() {
+    return [...archiveCache].sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * Tira um card do arquivo (volta para a aba e posição originais)
+ * @param {string} cardId - ID do card
+ * @returns {Card|null} Card restaurado ou null se não estiver arquivado
+ */
+export function unarchiveCard(cardId) {
+    const archivedCard = archiveCache.find(card => card.id === cardId);
+
+    if (!archivedCard) {
+        console.warn(`Card não está arquivado: ${cardId}`);
+        return null;
+    }
+
+    const { archivedAt, ...restoredCard } = archivedCard;
+
+    archiveCache = archiveCache.filter(card => card.id !== cardId);
+    cardsCache = sortCards([...cardsCache, restoredCard]);
+    enqueueWrite(activeAdapter => activeAdapter.moveFromArchive([restoredCard]));
+
+    return restoredCard;
+}
+
+/**
+ * Atualiza a ordem dos cards. Os cards recebem, na nova sequência, as mesmas
+ * posições que já ocupavam: os demais (outras abas, cards ocultos por filtros)
+ * não mudam e só os cards reordenados são gravados
  * @param {string[]} cardIds - Array de IDs na nova ordem
  * @returns {boolean} True se ordenado com sucesso
  */
@@ -309,28 +1197,35 @@ export function reorderCards(cardIds) {
             throw new Error('IDs devem ser um array');
         }
 
-        const cards = getAllCards();
-        const cardMap = new Map(cards.map(card => [card.id, card]));
+        const cardsById = new Map(cardsCache.map(card => [card.id, card]));
+        const reorderedIds = [...new Set(cardIds)].filter(cardId => cardsById.has(cardId));
 
-        // Atualiza ordem
-        cardIds.forEach((cardId, index) => {
-            const card = cardMap.get(cardId);
-            if (card) {
-                card.order = index;
-                card.updatedAt = Date.now();
-            }
-        });
+        // Posições ocupadas pelos cards reordenados, em ordem crescente
+        let slots = reorderedIds.map(cardId => cardsById.get(cardId).order).sort((a, b) => a - b);
+        const hasValidSlots = slots.every(Number.isFinite) && new Set(slots).size === slots.length;
+        if (!hasValidSlots) {
+            // Ordem ausente ou repetida: os cards passam para o fim, em sequência
+            const start = getNextOrder();
+            slots = reorderedIds.map((cardId, index) => start + index);
+        }
 
-        // Mantém cards que não estão no array de ordenação
-        cards.forEach(card => {
-            if (!cardIds.includes(card.id)) {
-                card.order = cards.length + card.order;
-            }
+        const timestamp = Date.now();
+        const newOrder = new Map(reorderedIds.map((cardId, index) => [cardId, slots[index]]));
+        const changedCards = [];
+
+        cardsCache = cardsCache.map(card => {
+            if (!newOrder.has(card.id) || newOrder.get(card.id) === card.order) return card;
+
+            const reorderedCard = { ...card, order: newOrder.get(card.id), updatedAt: timestamp };
+            changedCards.push(reorderedCard);
+            return reorderedCard;
         });
 
-        // Ordena e salva
-        cards.sort((a, b) => a.order - b.order);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(cards));
+        // Ordena e salva apenas os cards alterados
+        sortCards(cardsCache);
+        if (changedCards.length > 0) {
+            persistCards(changedCards);
+        }
 
         return true;
 
@@ -341,12 +1236,67 @@ export function reorderCards(cardIds) {
 }
 
 /**
- * Remove todos os cards (limpa LocalStorage)
+ * Grava versões guardadas de cards (desfazer/refazer): cada entrada substitui
+ * o card com o mesmo ID, ou o remove quando `card` é null.
+ * Cards com `archivedAt` voltam para o arquivo; os demais, para as abas.
+ * @param {Array<{id: string, card: Card|null}>} entries - Cards a restaurar
+ * @returns {boolean} True se restaurado com sucesso
+ */
+export function restoreCards(entries) {
+    try {
+        if (!Array.isArray(entries)) {
+            throw new Error('Entradas devem ser um array');
+        }
+
+        const entryIds = new Set(entries.map(entry => entry.id));
+        const restoredCards = entries.map(entry => entry.card).filter(isValidCard);
+        const activeCards = restoredCards.filter(card => !card.archivedAt);
+        const archivedCards = restoredCards.filter(card => card.archivedAt);
+
+        // Cards que saem de cada store (removidos ou movidos para a outra)
+        const idsOf = (cards) => new Set(cards.map(card => card.id));
+        const activeIds = idsOf(activeCards);
+        const archivedIds = idsOf(archivedCards);
+        const removedIds = cardsCache
+            .filter(card => entryIds.has(card.id) && !activeIds.has(card.id))
+            .map(card => card.id);
+        const removedArchivedIds = archiveCache
+            .filter(card => entryIds.has(card.id) && !archivedIds.has(card.id))
+            .map(card => card.id);
+
+        cardsCache = sortCards([
+            ...cardsCache.filter(card => !entryIds.has(card.id)),
+            ...activeCards
+        ]);
+        archiveCache = [
+            ...archiveCache.filter(card => !entryIds.has(card.id)),
+            ...archivedCards
+        ];
+
+        if (removedIds.length > 0) persistDeletion(removedIds);
+        if (activeCards.length > 0) persistCards(activeCards);
+        if (removedArchivedIds.length > 0) {
+            enqueueWrite(activeAdapter => activeAdapter.deleteArchivedCards(removedArchivedIds));
+        }
+        if (archivedCards.length > 0) {
+            enqueueWrite(activeAdapter => activeAdapter.putArchivedCards(archivedCards));
+        }
+        return true;
+
+    } catch (error) {
+        console.error('Erro ao restaurar cards:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove todos os cards
  * @returns {boolean} True se limpo com sucesso
  */
 export function clearAllCards() {
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        cardsCache = [];
+        enqueueWrite(activeAdapter => activeAdapter.clearCards());
         return true;
     } catch (error) {
         console.error('Erro ao limpar cards:', error);
@@ -356,18 +1306,29 @@ export function clearAllCards() {
 
 /**
  * Cria um backup dos dados atuais
- * @returns {Object|null} Dados do backup ou null em caso de erro
+ * @returns {Promise<Object|null>} Dados do backup ou null em caso de erro
  */
 export function createBackup() {
+    return saveBackup(adapter, getAllCards(true), CURRENT_SCHEMA_VERSION);
+}
+
+/**
+ * Grava um backup de cards nos metadados do adaptador (IndexedDB)
+ * @param {StorageAdapter} targetAdapter - Adaptador onde o backup fica
+ * @param {Array} cards - Cards a guardar
+ * @param {number} schemaVersion - Versão do schema desses cards
+ * @returns {Promise<Object|null>} Dados do backup ou null em caso de erro
+ */
+async function saveBackup(targetAdapter, cards, schemaVersion) {
     try {
-        const cards = getAllCards();
         const backupData = {
             timestamp: Date.now(),
+            schemaVersion,
             count: cards.length,
             cards: cards
         };
 
-        localStorage.setItem(BACKUP_KEY, JSON.stringify(backupData));
+        await targetAdapter.setMeta(BACKUP_META_KEY, backupData);
         return backupData;
 
     } catch (error) {
@@ -377,25 +1338,32 @@ export function createBackup() {
 }
 
 /**
- * Restaura dados do backup
- * @returns {boolean} True se restaurado com sucesso
+ * Restaura dados do backup (ou do backup antigo no LocalStorage, se for o único)
+ * @returns {Promise<boolean>} True se restaurado com sucesso
  */
-export function restoreFromBackup() {
+export async function restoreFromBackup() {
     try {
-        const backupJson = localStorage.getItem(BACKUP_KEY);
+        let backupData = await adapter.getMeta(BACKUP_META_KEY);
 
-        if (!backupJson) {
-            throw new Error('Nenhum backup encontrado');
+        if (!backupData) {
+            const legacyBackupJson = localStorage.getItem(LEGACY_BACKUP_KEY);
+            backupData = legacyBackupJson ? JSON.parse(legacyBackupJson) : null;
         }
 
-        const backupData = JSON.parse(backupJson);
+        if (!backupData) {
+            throw new Error('Nenhum backup encontrado');
+        }
 
-        if (!backupData || !Array.isArray(backupData.cards)) {
+        if (!Array.isArray(backupData.cards)) {
             throw new Error('Dados de backup inválidos');
         }
 
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(backupData.cards));
-        return true;
+        // Backups antigos são atualizados para o schema atual antes de restaurar
+        const { cards } = migrateCards(backupData.cards, parseSchemaVersion(backupData.schemaVersion));
+
+        cardsCache = sortCards(cards.filter(isValidCard));
+        const restoredCards = [...cardsCache];
+        return enqueueWrite(activeAdapter => activeAdapter.replaceAllCards(restoredCards));
 
     } catch (error) {
         console.error('Erro ao restaurar backup:', error);
@@ -418,14 +1386,22 @@ export function getStats() {
         pending: 0,
         completed: 0,
         overdue: 0,
+        archived: archiveCache.length,
         byTab: {
             rotina: 0,
             economia: 0,
             lembretes: 0,
             links: 0
-        }
+        },
+        // Contagem por status dentro de cada aba (colunas do quadro Kanban)
+        byTabStatus: {}
     };
 
+    const statusValues = getAvailableStatus().map(s => s.value);
+    Object.keys(stats.byTab).forEach(tab => {
+        stats.byTabStatus[tab] = Object.fromEntries(statusValues.map(status => [status, 0]));
+    });
+
     cards.forEach(card => {
         // Contagem por status
         if (card.status === 'pendente') stats.pending++;
@@ -435,19 +1411,26 @@ export function getStats() {
         // Contagem por aba
         if (stats.byTab.hasOwnProperty(card.tab)) {
             stats.byTab[card.tab]++;
+
+            if (stats.byTabStatus[card.tab].hasOwnProperty(card.status)) {
+                stats.byTabStatus[card.tab][card.status]++;
+            }
         }
 
-        // Contagem para hoje
+        // Contagem para hoje (inclui séries recorrentes com ocorrência hoje)
         if (card.date) {
-            const cardDate = new Date(card.date);
-            const cardDateOnly = new Date(cardDate.getFullYear(), cardDate.getMonth(), cardDate.getDate());
-
-            if (cardDateOnly.getTime() === today.getTime()) {
+            if (isToday(card.date)) {
+                stats.today++;
+            } else if (card.recurrence && card.status !== 'concluido' && occursOn(card.recurrence, card.date, today)) {
                 stats.today++;
             }
         }
     });
 
+    // Arquivados contam no histórico (total e concluídos), mas não nas abas
+    stats.total += archiveCache.length;
+    stats.completed += archiveCache.filter(card => card.status === 'concluido').length;
+
     return stats;
 }
 
@@ -457,9 +1440,10 @@ export function getStats() {
  */
 export function exportCards() {
     try {
-        const cards = getAllCards();
+        // Os arquivados vão junto (com `archivedAt`) e voltam para o arquivo ao importar
+        const cards = [...getAllCards(), ...getArchivedCards()];
         const exportData = {
-            version: '1.0',
+            version: CURRENT_SCHEMA_VERSION,
             exportedAt: new Date().toISOString(),
             count: cards.length,
             cards: cards
@@ -490,12 +1474,23 @@ export function importCards(jsonString) {
             throw new Error('Formato de importação inválido');
         }
 
-        const existingCards = getAllCards();
+        // Atualiza os cards do arquivo para o schema atual
+        const fileVersion = parseSchemaVersion(importData.version);
+        if (fileVersion > CURRENT_SCHEMA_VERSION) {
+            throw new Error('Arquivo exportado por uma versão mais nova do aplicativo');
+        }
+
+        const { cards: cardsToImport } = migrateCards(importData.cards, fileVersion);
+
+        const existingCards = cardsCache;
+        const existingIds = new Set([...existingCards, ...archiveCache].map(card => card.id));
+        const nextOrder = getNextOrder();
         const importedCards = [];
+        const importedArchive = [];
         const skippedCards = [];
 
         // Processa cada card importado
-        importData.cards.forEach(card => {
+        cardsToImport.forEach(card => {
             // Valida card básico
             if (!card.id || !card.title) {
                 skippedCards.push(card);
@@ -503,9 +1498,7 @@ export function importCards(jsonString) {
             }
 
             // Verifica se já existe
-            const exists = existingCards.some(existing => existing.id === card.id);
-
-            if (exists) {
+            if (existingIds.has(card.id)) {
                 skippedCards.push(card);
                 return;
             }
@@ -519,19 +1512,31 @@ export function importCards(jsonString) {
                 card.updatedAt = Date.now();
             }
 
+            existingIds.add(card.id);
+
+            if (card.archivedAt) {
+                importedArchive.push(card);
+                return;
+            }
+
             // Define ordem
-            card.order = existingCards.length + importedCards.length;
+            card.order = nextOrder + importedCards.length;
 
             importedCards.push(card);
         });
 
-        // Salva todos os cards
-        const allCards = [...existingCards, ...importedCards];
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(allCards));
+        // Salva apenas os cards novos
+        cardsCache = [...existingCards, ...importedCards];
+        archiveCache = [...archiveCache, ...importedArchive];
+        persistCards(importedCards);
+        if (importedArchive.length > 0) {
+            enqueueWrite(activeAdapter => activeAdapter.putArchivedCards(importedArchive));
+        }
+        const allCards = cardsCache;
 
         return {
             success: true,
-            imported: importedCards.length,
+            imported: importedCards.length + importedArchive.length,
             skipped: skippedCards.length,
             total: allCards.length
         };
@@ -0,0 +1,214 @@
+// trash.js - Lixeira: cards excluídos, restauração, exclusão definitiva e limpeza automática
+
+import { getState, setModalVisibility, updateCards, runCommand } from './state.js';
+import {
+    getAllCards,
+    getDeletedCards,
+    restoreDeletedCard,
+    purgeDeletedCards,
+    purgeExpiredCards,
+    getPreference,
+    setPreference
+} from './storage.js';
+import { renderCards } from './cards.js';
+import { showToast, undoChange } from './modals.js';
+import { escapeHtml, formatDate, getTabLabel, escapeAttribute } from './utils.js';
+
+// Opções de permanência na lixeira (em dias)
+const RETENTION_OPTIONS = [7, 15, 30, 60, 90];
+const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tempo que o botão "Esvaziar lixeira" espera pelo clique de confirmação
+const EMPTY_CONFIRM_TIMEOUT = 4000;
+let emptyConfirmTimer = null;
+
+/**
+ * Inicializa a lixeira (botão da sidebar e modal)
+ */
+export function initTrash() {
+    const trashButton = document.getElementById('trashButton');
+    const trashList = document.getElementById('trashList');
+    const retentionSelect = document.getElementById('trashRetention');
+
+    trashButton?.addEventListener('click', () => setModalVisibility('trashModal', true));
+
+    trashList?.addEventListener('click', (e) => {
+        const restoreButton = e.target.closest('[data-restore]');
+        if (restoreButton) {
+            restoreCard(restoreButton.dataset.restore);
+            return;
+        }
+
+        const purgeButton = e.target.closest('[data-purge]');
+        if (purgeButton) {
+            purgeCards([purgeButton.dataset.purge], 'Excluir definitivamente');
+        }
+    });
+
+    document.getElementById('trashEmptyButton')?.addEventListener('click', handleEmptyTrashClick);
+
+    if (retentionSelect) {
+        retentionSelect.innerHTML = RETENTION_OPTIONS
+            .map(days => `<option value="${days}">${days} dias</option>`)
+            .join('');
+        retentionSelect.value = String(getRetentionDays());
+
+        retentionSelect.addEventListener('change', () => {
+            setPreference('trashRetentionDays', Number(retentionSelect.value));
+            purgeExpiredTrash();
+            renderTrash();
+        });
+    }
+
+    renderTrash();
+}
+
+/**
+ * Atualiza a lixeira quando os cards mudam ou o modal é aberto
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a atualização)
+ */
+export function updateTrashFromState(state, oldState = null) {
+    if (oldState &&
+        state.cards === oldState.cards &&
+        state.modals.trashModal === oldState.modals.trashModal) {
+        return;
+    }
+
+    renderTrash();
+}
+
+/**
+ * Apaga os cards que passaram do prazo da lixeira
+ * @returns {number} Quantidade de cards apagados
+ */
+export function purgeExpiredTrash() {
+    return purgeExpiredCards(getRetentionDays());
+}
+
+/**
+ * Esvaziar a lixeira pede um segundo clique: o primeiro só pede a confirmação
+ * @param {MouseEvent} e - Evento de clique
+ */
+function handleEmptyTrashClick(e) {
+    const button = e.currentTarget;
+
+    if (button.dataset.confirming !== 'true') {
+        setEmptyConfirmation(button, true);
+        return;
+    }
+
+    setEmptyConfirmation(button, false);
+    purgeCards(getDeletedCards().map(card => card.id), 'Esvaziar lixeira');
+}
+
+/**
+ * Liga ou desliga o estado de confirmação do botão "Esvaziar lixeira"
+ * @param {HTMLButtonElement} button - Botão
+ * @param {boolean} confirming - Aguardando o clique de confirmação
+ */
+function setEmptyConfirmation(button, confirming) {
+    clearTimeout(emptyConfirmTimer);
+    emptyConfirmTimer = null;
+
+    const count = getDeletedCards().length;
+    button.dataset.confirming = String(confirming);
+    button.textContent = confirming
+        ? `Confirmar: apagar ${count === 1 ? '1 card' : `${count} cards`}`
+        : 'Esvaziar lixeira';
+
+    if (confirming) {
+        emptyConfirmTimer = setTimeout(() => setEmptyConfirmation(button, false), EMPTY_CONFIRM_TIMEOUT);
+    }
+}
+
+/**
+ * Retorna por quantos dias um card fica na lixeira
+ * @returns {number} Dias de permanência
+ */
+function getRetentionDays() {
+    const days = getPreference('trashRetentionDays', DEFAULT_RETENTION_DAYS);
+    return RETENTION_OPTIONS.includes(days) ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Desenha a lista da lixeira e o contador da sidebar
+ */
+function renderTrash() {
+    const deletedCards = getDeletedCards();
+    const trashCount = document.getElementById('trashCount');
+    const trashList = document.getElementById('trashList');
+    const trashEmpty = document.getElementById('trashEmpty');
+    const emptyButton = document.getElementById('trashEmptyButton');
+
+    if (trashCount) {
+        trashCount.textContent = deletedCards.length;
+        trashCount.hidden = deletedCards.length === 0;
+    }
+
+    if (trashEmpty) trashEmpty.hidden = deletedCards.length > 0;
+    if (emptyButton) {
+        emptyButton.disabled = deletedCards.length === 0;
+        if (emptyButton.dataset.confirming === 'true') setEmptyConfirmation(emptyButton, false);
+    }
+    if (!trashList) return;
+
+    const retentionDays = getRetentionDays();
+
+    trashList.innerHTML = deletedCards.map(card => {
+        const daysLeft = Math.max(0, Math.ceil((card.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+        return `
+            <li class="trash-item">
+                <div class="trash-item-info">
+                    <span class="trash-item-title">${escapeHtml(card.title)}</span>
+                    <span class="trash-item-meta">
+                        ${getTabLabel(card.tab)} · Excluído em ${formatDate(new Date(card.deletedAt))}
+                        · ${daysLeft === 1 ? 'apagado em 1 dia' : `apagado em ${daysLeft} dias`}
+                    </span>
+                </div>
+                <div class="trash-item-actions">
+                    <button type="button" class="btn-secondary btn-sm" data-restore="${escapeAttribute(card.id)}">
+                        Restaurar
+                    </button>
+                    <button type="button" class="btn-danger btn-sm" data-purge="${escapeAttribute(card.id)}" aria-label="Excluir definitivamente: ${escapeAttribute(card.title)}">
+                        Excluir
+                    </button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Devolve um card da lixeira para a sua aba
+ * @param {string} cardId - ID do card
+ */
+function restoreCard(cardId) {
+    const restoredCard = runCommand('Restaurar card', () => restoreDeletedCard(cardId));
+    if (!restoredCard) return;
+
+    updateCards(getAllCards());
+    renderCards();
+    showToast(`"${restoredCard.title}" restaurado em ${getTabLabel(restoredCard.tab)}`, 'success');
+}
+
+/**
+ * Apaga cards da lixeira (ainda pode ser desfeito enquanto a página estiver aberta)
+ * @param {string[]} cardIds - IDs dos cards
+ * @param {string} label - Descrição do comando
+ */
+function purgeCards(cardIds, label) {
+    const purged = runCommand(label, () => purgeDeletedCards(cardIds));
+    if (purged === 0) return;
+
+    // Os cards ativos não mudam: uma nova lista avisa a interface
+    updateCards(getAllCards());
+    showToast(
+        purged === 1 ? 'Card excluído definitivamente' : `${purged} cards excluídos definitivamente`,
+        'success',
+        { label: 'Desfazer', onClick: undoChange }
+    );
+}
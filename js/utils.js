@@ -2,14 +2,35 @@
 
 /**
  * Gera um ID único para novos cards
+ * @param {string} prefix - Prefixo do ID ('card' por padrão, 'item' para itens de checklist)
  * @returns {string} ID único no formato 'card-xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx'
  */
-export function generateId() {
-    return 'card-' + crypto.randomUUID?.() || 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+export function generateId(prefix = 'card') {
+    const uuid = crypto.randomUUID?.() || 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
         const r = Math.random() * 16 | 0;
         const v = c === 'x' ? r : (r & 0x3 | 0x8);
         return v.toString(16);
     });
+
+    return `${prefix}-${uuid}`;
+}
+
+/**
+ * Converte uma data (Date ou string) em Date.
+ * Strings no formato YYYY-MM-DD são lidas no fuso local: new Date('YYYY-MM-DD')
+ * usa UTC e, no Brasil, cairia no dia anterior.
+ * @param {Date|string|number} date - Data a converter
+ * @returns {Date} Data convertida (pode ser inválida)
+ */
+export function parseDate(date) {
+    if (date instanceof Date) return date;
+
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    return new Date(date);
 }
 
 /**
@@ -20,7 +41,7 @@ export function generateId() {
 export function formatDate(date) {
     if (!date) return '';
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
 
     if (isNaN(d.getTime())) {
         return 'Data inválida';
@@ -41,7 +62,7 @@ export function formatDate(date) {
 export function formatDateForInput(date) {
     if (!date) return '';
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
 
     if (isNaN(d.getTime())) {
         return '';
@@ -71,7 +92,7 @@ export function getToday() {
 export function isToday(date) {
     if (!date) return false;
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     const today = new Date();
 
     if (isNaN(d.getTime())) {
@@ -91,7 +112,7 @@ export function isToday(date) {
 export function isPastDate(date) {
     if (!date) return false;
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     const today = new Date();
 
     if (isNaN(d.getTime())) {
@@ -113,7 +134,7 @@ export function isPastDate(date) {
 export function isFutureDate(date) {
     if (!date) return false;
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     const today = new Date();
 
     if (isNaN(d.getTime())) {
@@ -135,7 +156,7 @@ export function isFutureDate(date) {
 export function daysUntil(date) {
     if (!date) return Infinity;
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     const today = new Date();
 
     if (isNaN(d.getTime())) {
@@ -226,6 +247,15 @@ export function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escapa strings para uso em valores de atributos HTML (escapeHtml não escapa aspas)
+ * @param {string} text - Texto a ser escapado
+ * @returns {string} Texto seguro entre aspas simples ou duplas
+ */
+export function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
  * Valida se uma string é uma URL válida
  * @param {string} url - URL a ser validada
@@ -261,6 +291,104 @@ export function normalizeString(str) {
         .trim();
 }
 
+/**
+ * Pontua o quanto um texto corresponde ao que foi digitado, sem acentos. Trechos
+ * contínuos (no início do texto ou de uma palavra) valem mais; letras na ordem,
+ * com intervalos entre elas, também correspondem ('crd' → 'Criar card')
+ * @param {string} text - Texto do item
+ * @param {string} query - Termo digitado
+ * @returns {number} Pontuação (maior é melhor) ou -1 se não corresponder
+ */
+export function fuzzyScore(text, query) {
+    const normalizedText = normalizeString(text);
+    const normalizedQuery = normalizeString(query).replace(/\s+/g, ' ');
+
+    if (!normalizedQuery) return 0;
+
+    const index = normalizedText.indexOf(normalizedQuery);
+    if (index !== -1) {
+        const wordStart = index === 0 || /\s/.test(normalizedText[index - 1]);
+        return 1000 - index + (index === 0 ? 200 : 0) + (wordStart ? 100 : 0);
+    }
+
+    // Letras na ordem: cada letra pulada no texto custa um ponto
+    let score = 500;
+    let position = -1;
+
+    for (const char of normalizedQuery.replace(/ /g, '')) {
+        const next = normalizedText.indexOf(char, position + 1);
+        if (next === -1) return -1;
+
+        score -= next - position - 1;
+        position = next;
+    }
+
+    return Math.max(score, 1);
+}
+
+/**
+ * Separa um termo de busca em palavras normalizadas (sem acentos, minúsculas)
+ * @param {string} query - Termo de busca
+ * @returns {string[]} Palavras do termo
+ */
+export function getSearchTerms(query) {
+    return normalizeString(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Escapa o texto e destaca com <mark> os trechos que correspondem à busca,
+ * ignorando acentos e maiúsculas ("saude" destaca "Saúde")
+ * @param {string} text - Texto original
+ * @param {string|string[]} query - Termo de busca ou palavras já separadas
+ * @returns {string} HTML seguro com os trechos destacados
+ */
+export function highlightMatches(text, query) {
+    if (!text) return '';
+
+    const terms = Array.isArray(query) ? query : getSearchTerms(query);
+    if (terms.length === 0) return escapeHtml(text);
+
+    // Texto normalizado caractere a caractere, guardando a posição original
+    const chars = Array.from(text);
+    let normalized = '';
+    const origins = [];
+
+    chars.forEach((char, index) => {
+        const normalizedChar = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (let i = 0; i < normalizedChar.length; i++) {
+            normalized += normalizedChar[i];
+            origins.push(index);
+        }
+    });
+
+    // Marca os caracteres originais cobertos por alguma palavra
+    const marked = new Array(chars.length).fill(false);
+    terms.forEach(term => {
+        let position = normalized.indexOf(term);
+        while (position !== -1) {
+            for (let i = position; i < position + term.length; i++) {
+                marked[origins[i]] = true;
+            }
+            position = normalized.indexOf(term, position + term.length);
+        }
+    });
+
+    // Agrupa trechos consecutivos com a mesma marcação
+    const segments = [];
+    chars.forEach((char, index) => {
+        const last = segments[segments.length - 1];
+        if (last && last.marked === marked[index]) {
+            last.text += char;
+        } else {
+            segments.push({ text: char, marked: marked[index] });
+        }
+    });
+
+    return segments
+        .map(segment => segment.marked ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text))
+        .join('');
+}
+
 /**
  * Ordena um array de objetos por data
  * @param {Array} array - Array a ser ordenado
@@ -272,10 +400,18 @@ export function sortByDate(array, dateField = 'date', ascending = true) {
     if (!Array.isArray(array)) return [];
     
     return [...array].sort((a, b) => {
-        const dateA = new Date(a[dateField] || 0);
-        const dateB = new Date(b[dateField] || 0);
+        const dateA = parseDate(a[dateField] || 0);
+        const dateB = parseDate(b[dateField] || 0);
 
-        return ascending ? dateA - dateB : dateB - dateA;
+        if (dateA - dateB !== 0) {
+            return ascending ? dateA - dateB : dateB - dateA;
+        }
+
+        // Mesmo dia: dia inteiro/sem horário primeiro, depois por horário
+        const timeA = a.allDay ? -1 : (parseTime(a.time) ?? -1);
+        const timeB = b.allDay ? -1 : (parseTime(b.time) ?? -1);
+
+        return ascending ? timeA - timeB : timeB - timeA;
     });
 }
 
@@ -349,6 +485,28 @@ export function getAvailablePriorities() {
     ];
 }
 
+/**
+ * Retorna um array de abas disponíveis
+ * @returns {Array} Lista de abas
+ */
+export function getAvailableTabs() {
+    return [
+        { value: 'rotina', label: 'Rotina' },
+        { value: 'economia', label: 'Economia' },
+        { value: 'lembretes', label: 'Lembretes' },
+        { value: 'links', label: 'Links' }
+    ];
+}
+
+/**
+ * Retorna o nome de exibição de uma aba
+ * @param {string} tab - Valor da aba
+ * @returns {string} Nome da aba ou string vazia se inválida
+ */
+export function getTabLabel(tab) {
+    return getAvailableTabs().find(option => option.value === tab)?.label || '';
+}
+
 /**
  * Retorna a cor correspondente a um status
  * @param {string} status - Status do card
@@ -377,6 +535,58 @@ export function getPriorityColor(priority) {
     return colors[priority] || 'gray';
 }
 
+/**
+ * Valida e limpa os itens de checklist de um card
+ * @param {*} items - Itens vindos do formulário, do storage ou de importação
+ * @returns {Array<{id: string, text: string, done: boolean}>} Itens válidos, na ordem original
+ */
+export function normalizeChecklist(items) {
+    if (!Array.isArray(items)) return [];
+
+    const seenIds = new Set();
+
+    return items
+        .filter(item => item && typeof item === 'object' && typeof item.text === 'string' && item.text.trim())
+        .map(item => {
+            let id = typeof item.id === 'string' && item.id ? item.id : generateId('item');
+            if (seenIds.has(id)) {
+                id = generateId('item');
+            }
+            seenIds.add(id);
+
+            return {
+                id,
+                text: item.text.trim().slice(0, 200),
+                done: item.done === true
+            };
+        });
+}
+
+/**
+ * Valida e limpa as anotações de um card
+ * @param {*} notes - Texto vindo do formulário, do storage ou de importação
+ * @returns {string} Anotações (até 2000 caracteres) ou string vazia
+ */
+export function normalizeNotes(notes) {
+    if (typeof notes !== 'string') return '';
+
+    return notes.trim().slice(0, 2000);
+}
+
+/**
+ * Calcula o progresso de uma checklist
+ * @param {Array} checklist - Itens da checklist
+ * @returns {{done: number, total: number}} Itens marcados e total
+ */
+export function getChecklistProgress(checklist) {
+    if (!Array.isArray(checklist)) return { done: 0, total: 0 };
+
+    return {
+        done: checklist.filter(item => item.done).length,
+        total: checklist.length
+    };
+}
+
 /**
  * Capitaliza a primeira letra de uma string
  * @param {string} str - String a ser capitalizada
@@ -407,6 +617,20 @@ export function getNextWeek() {
     return nextWeek;
 }
 
+/**
+ * Soma dias a uma data
+ * @param {Date|string} date - Data base
+ * @param {number} days - Dias a somar (negativo para voltar)
+ * @returns {string} Nova data no formato YYYY-MM-DD ou string vazia se inválida
+ */
+export function addDays(date, days) {
+    const d = new Date(parseDate(date));
+    if (isNaN(d.getTime())) return '';
+
+    d.setDate(d.getDate() + days);
+    return formatDateForInput(d);
+}
+
 /**
  * Extrai o domínio de uma URL para exibição
  * @param {string} url - URL completa
@@ -436,7 +660,7 @@ export function getDomainFromUrl(url) {
 export function getWeekday(date, short = false) {
     if (!date) return '';
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     
     if (isNaN(d.getTime())) return '';
     
@@ -449,13 +673,19 @@ export function getWeekday(date, short = false) {
 
 /**
  * Formata hora para exibição
- * @param {Date|string} date - Data/hora
+ * @param {Date|string} date - Data/hora ou horário no formato HH:MM
  * @returns {string} Hora formatada
  */
 export function formatTime(date) {
     if (!date) return '';
+
+    // Horário do card ('9:05' → '09:05')
+    const minutes = parseTime(date);
+    if (minutes !== null) {
+        return minutesToTime(minutes);
+    }
     
-    const d = typeof date === 'string' ? new Date(date) : date;
+    const d = parseDate(date);
     
     if (isNaN(d.getTime())) return '';
     
@@ -465,6 +695,148 @@ export function formatTime(date) {
     });
 }
 
+/**
+ * Converte um horário HH:MM em minutos desde a meia-noite
+ * @param {string} time - Horário (ex: '14:30')
+ * @returns {number|null} Minutos ou null se inválido
+ */
+export function parseTime(time) {
+    if (typeof time !== 'string') return null;
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time.trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Converte minutos desde a meia-noite em horário HH:MM (passa de 23:59 para 00:00)
+ * @param {number} minutes - Minutos
+ * @returns {string} Horário formatado
+ */
+export function minutesToTime(minutes) {
+    const dayMinutes = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    const hours = Math.floor(dayMinutes / 60);
+
+    return `${String(hours).padStart(2, '0')}:${String(dayMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Valida o horário de início de um card
+ * @param {*} time - Horário vindo do formulário, do storage ou de importação
+ * @returns {string} Horário HH:MM ou string vazia
+ */
+export function normalizeTime(time) {
+    const minutes = parseTime(time);
+    return minutes === null ? '' : minutesToTime(minutes);
+}
+
+// O formulário guarda a duração como horário de término: 24h cairia no mesmo horário do início
+const MAX_DURATION_MINUTES = 1439;
+
+/**
+ * Valida a duração de um card
+ * @param {*} duration - Duração em minutos
+ * @returns {number|null} Minutos (1 a 1439) ou null
+ */
+export function normalizeDuration(duration) {
+    const minutes = parseInt(duration, 10);
+
+    if (isNaN(minutes) || minutes <= 0) return null;
+
+    return Math.min(minutes, MAX_DURATION_MINUTES);
+}
+
+/**
+ * Valida os campos de agenda de um card. Cards de dia inteiro não têm
+ * horário, e a duração só faz sentido com horário de início.
+ * @param {{time?: *, duration?: *, allDay?: *}} fields - Campos de agenda
+ * @returns {{time: string, duration: number|null, allDay: boolean}} Campos válidos
+ */
+export function normalizeSchedule({ time, duration, allDay } = {}) {
+    if (allDay === true) {
+        return { time: '', duration: null, allDay: true };
+    }
+
+    const normalizedTime = normalizeTime(time);
+
+    return {
+        time: normalizedTime,
+        duration: normalizedTime ? normalizeDuration(duration) : null,
+        allDay: false
+    };
+}
+
+/**
+ * Valida os lembretes de um card
+ * @param {*} reminders - Minutos de antecedência (0 = no horário)
+ * @returns {number[]} Antecedências únicas, da maior para a menor (máx. 30 dias)
+ */
+export function normalizeReminders(reminders) {
+    if (!Array.isArray(reminders)) return [];
+
+    const offsets = reminders
+        .map(offset => parseInt(offset, 10))
+        .filter(offset => !isNaN(offset) && offset >= 0 && offset <= 43200);
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Formata uma duração para exibição
+ * @param {number} minutes - Duração em minutos
+ * @returns {string} Duração (ex: '45min', '1h', '1h30')
+ */
+export function formatDuration(minutes) {
+    if (!minutes || minutes <= 0) return '';
+    if (minutes < 60) return `${minutes}min`;
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+
+    return rest ? `${hours}h${String(rest).padStart(2, '0')}` : `${hours}h`;
+}
+
+/**
+ * Ordena os cards com horário dentro de cada dia, sem mexer na posição
+ * dos cards sem horário (que seguem a ordem manual)
+ * @param {Array} cards - Cards na ordem manual
+ * @returns {Array} Nova lista com os horários de cada dia em ordem crescente
+ */
+export function sortByTimeWithinDay(cards) {
+    if (!Array.isArray(cards)) return [];
+
+    const result = [...cards];
+    const slotsByDate = new Map();
+
+    result.forEach((card, index) => {
+        if (!card.date || card.allDay || parseTime(card.time) === null) return;
+
+        if (!slotsByDate.has(card.date)) {
+            slotsByDate.set(card.date, []);
+        }
+        slotsByDate.get(card.date).push(index);
+    });
+
+    // Os cards com horário de um dia ocupam as mesmas posições, agora em ordem de horário
+    slotsByDate.forEach(slots => {
+        const timedCards = slots
+            .map(index => result[index])
+            .sort((a, b) => parseTime(a.time) - parseTime(b.time));
+
+        slots.forEach((index, position) => {
+            result[index] = timedCards[position];
+        });
+    });
+
+    return result;
+}
+
 /**
  * Verifica se um valor é vazio (null, undefined, string vazia, array vazio)
  * @param {*} value - Valor a verificar
@@ -0,0 +1,167 @@
+// views.js - Modos de visualização das abas (grade de cards, calendário, agenda, quadro...)
+
+import { getState, setViewMode, setViewOptions } from './state.js';
+import { getAvailableTabs } from './utils.js';
+import { renderCards } from './cards.js';
+import { getSortOptions, getGroupOptions } from './sorting.js';
+import { renderCalendar } from './calendar.js';
+import { renderAgenda } from './agenda.js';
+import { renderKanban } from './kanban.js';
+
+const TABS = getAvailableTabs().map(tab => tab.value);
+
+/**
+ * Modos de visualização disponíveis.
+ * A grade é renderizada por cards.js; os demais modos têm uma função `render`
+ * que desenha a visualização no container da aba (`${tab}View`).
+ * `tabs` limita o modo a algumas abas (ausente = todas).
+ */
+const VIEW_MODES = [
+    {
+        value: 'grid',
+        label: 'Grade',
+        icon: '<path d="M2 2h5v5H2zM9 2h5v5H9zM2 9h5v5H2zM9 9h5v5H9z"/>'
+    },
+    {
+        value: 'calendar',
+        label: 'Calendário',
+        icon: '<path d="M2 4h12v10H2zM2 7h12M5 2v3M11 2v3"/>',
+        render: renderCalendar
+    },
+    {
+        value: 'agenda',
+        label: 'Agenda',
+        icon: '<path d="M2 3h12v11H2zM2 6h12M6 6v8M10 6v8M2 10h12"/>',
+        render: renderAgenda
+    },
+    {
+        value: 'kanban',
+        label: 'Quadro',
+        icon: '<path d="M2 2h3v12H2zM6.5 2h3v8h-3zM11 2h3v10h-3z"/>',
+        render: renderKanban,
+        tabs: ['rotina', 'lembretes']
+    }
+];
+
+/**
+ * Inicializa os seletores de visualização de cada aba
+ */
+export function initViews() {
+    TABS.forEach(tab => {
+        const switcher = document.getElementById(`${tab}ViewSwitcher`);
+        if (!switcher) return;
+
+        switcher.innerHTML = getViewModesForTab(tab).map(mode => `
+            <button type="button" class="view-switcher-button" data-view="${mode.value}" aria-pressed="false" title="${mode.label}">
+                <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.5">${mode.icon}</svg>
+                <span>${mode.label}</span>
+            </button>
+        `).join('');
+
+        switcher.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) {
+                setViewMode(tab, button.dataset.view);
+            }
+        });
+
+        initViewOptions(tab);
+    });
+
+    updateViewsFromState(getState());
+}
+
+/**
+ * Monta os seletores de ordenação e agrupamento da grade de uma aba
+ * @param {string} tab - Nome da aba
+ */
+function initViewOptions(tab) {
+    const container = document.getElementById(`${tab}ViewOptions`);
+    if (!container) return;
+
+    const renderSelect = (name, label, options) => `
+        <label class="view-option">
+            <span>${label}</span>
+            <select name="${name}">
+                ${options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+            </select>
+        </label>
+    `;
+
+    container.innerHTML =
+        renderSelect('sortBy', 'Ordenar', getSortOptions()) +
+        renderSelect('groupBy', 'Agrupar', getGroupOptions());
+
+    container.addEventListener('change', (e) => {
+        if (e.target.name === 'sortBy' || e.target.name === 'groupBy') {
+            setViewOptions(tab, { [e.target.name]: e.target.value });
+        }
+    });
+}
+
+/**
+ * Retorna os modos de visualização disponíveis em uma aba
+ * @param {string} tab - Nome da aba
+ * @returns {Array} Modos disponíveis
+ */
+export function getViewModesForTab(tab) {
+    return VIEW_MODES.filter(mode => !mode.tabs || mode.tabs.includes(tab));
+}
+
+/**
+ * Retorna o modo de visualização ativo de uma aba (grade se o salvo não existir mais)
+ * @param {Object} state - Estado da aplicação
+ * @param {string} tab - Nome da aba
+ * @returns {Object} Modo de visualização
+ */
+function getActiveViewMode(state, tab) {
+    const modes = getViewModesForTab(tab);
+    return modes.find(mode => mode.value === state.viewModes?.[tab]) || modes[0];
+}
+
+/**
+ * Sincroniza seletores e visualizações com o estado.
+ * Chamado pela assinatura de estado em app.js: a visualização da aba ativa
+ * é redesenhada quando os cards, a aba ou o modo mudam.
+ * @param {Object} state - Estado atual
+ * @param {Object|null} oldState - Estado anterior (null força a renderização)
+ */
+export function updateViewsFromState(state, oldState = null) {
+    TABS.forEach(tab => {
+        const mode = getActiveViewMode(state, tab);
+
+        const section = document.getElementById(`${tab}Tab`);
+        if (section) {
+            section.dataset.view = mode.value;
+        }
+
+        document.querySelectorAll(`#${tab}ViewSwitcher [data-view]`).forEach(button => {
+            const isActive = button.dataset.view === mode.value;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        const options = state.viewOptions?.[tab];
+        document.querySelectorAll(`#${tab}ViewOptions select`).forEach(select => {
+            select.value = options?.[select.name] ?? select.value;
+        });
+    });
+
+    // Ordenação, agrupamento e grupos recolhidos valem para a grade
+    if (oldState && state.viewOptions !== oldState.viewOptions) {
+        renderCards();
+    }
+
+    const activeMode = getActiveViewMode(state, state.activeTab);
+    if (!activeMode.render) return;
+
+    const needsRender = !oldState ||
+        state.cards !== oldState.cards ||
+        state.activeTab !== oldState.activeTab ||
+        state.viewModes !== oldState.viewModes;
+
+    const container = document.getElementById(`${state.activeTab}View`);
+    if (needsRender && container) {
+        activeMode.render(container, state);
+    }
+}
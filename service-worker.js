@@ -3,13 +3,16 @@
    Compatível com GitHub Pages
 */
 
-const CACHE_NAME = 'organizador-rotina-v1';
+// Troque a versão a cada publicação: a ativação apaga os caches de outras versões
+const CACHE_NAME = 'organizador-rotina-v18';
 
 // Arquivos essenciais para funcionar offline
 const FILES_TO_CACHE = [
     './',
     './index.html',
-    './css/styles.css',
+    './css/reset.css',
+    './css/variables.css',
+    './css/layout.css',
     './css/components.css',
     './css/mobile.css',
     './js/app.js',
@@ -19,7 +22,25 @@ const FILES_TO_CACHE = [
     './js/modals.js',
     './js/navigation.js',
     './js/storage.js',
-    './assets/icons/favicon.svg'
+    './js/storage-adapters.js',
+    './js/migrations.js',
+    './js/recurrence.js',
+    './js/reminders.js',
+    './js/views.js',
+    './js/calendar.js',
+    './js/agenda.js',
+    './js/kanban.js',
+    './js/search.js',
+    './js/search-query.js',
+    './js/filters.js',
+    './js/filter-panel.js',
+    './js/sorting.js',
+    './js/trash.js',
+    './js/archive.js',
+    './js/bulk-actions.js',
+    './js/card-reorder.js',
+    './js/router.js',
+    './assets/icons/favicon.png'
 ];
 
 /* ================================
@@ -59,31 +80,243 @@ self.addEventListener('activate', event => {
 });
 
 /* ================================
-   FETCH (CACHE FIRST)
+   FETCH (NETWORK FIRST)
 ================================ */
+// Rede primeiro: módulos novos chegam assim que publicados; o cache só responde offline
 self.addEventListener('fetch', event => {
-    // Ignora requisições não-HTTP
-    if (!event.request.url.startsWith('http')) return;
+    // Ignora requisições não-HTTP e as que não podem ir para o cache
+    if (!event.request.url.startsWith('http') || event.request.method !== 'GET') return;
 
     event.respondWith(
-        caches.match(event.request).then(response => {
-            if (response) {
-                return response;
-            }
+        fetch(event.request)
+            .then(fetchResponse => {
+                if (fetchResponse.ok) {
+                    const responseToCache = fetchResponse.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, responseToCache));
+                }
+                return fetchResponse;
+            })
+            .catch(() => {
+                return caches.match(event.request).then(response => {
+                    if (response) {
+                        return response;
+                    }
 
-            return fetch(event.request)
-                .then(fetchResponse => {
-                    return caches.open(CACHE_NAME).then(cache => {
-                        cache.put(event.request, fetchResponse.clone());
-                        return fetchResponse;
-                    });
-                })
-                .catch(() => {
                     // Fallback simples se ficar offline
                     if (event.request.mode === 'navigate') {
                         return caches.match('./index.html');
                     }
                 });
-        })
+            })
     );
+});
+
+/* ================================
+   LEMBRETES (NOTIFICAÇÕES)
+================================ */
+
+// Mesmo banco e chaves usados por js/storage-adapters.js e js/reminders.js
+const DB_NAME = 'organizador-rotina';
+const CARDS_STORE = 'cards';
+const META_STORE = 'meta';
+const SCHEDULE_META_KEY = 'reminderSchedule';
+const FIRED_META_KEY = 'remindersFired';
+const PERIODIC_SYNC_TAG = 'organizador-lembretes';
+const SNOOZE_MINUTES = 10;
+
+/**
+ * Abre o banco da aplicação sem criá-lo (a página é quem define o schema)
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+
+        // Banco inexistente (página usando LocalStorage): cancela em vez de criar um vazio
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CARDS_STORE)) {
+                db.close();
+                reject(new Error('Banco sem a store de cards'));
+                return;
+            }
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Lê um valor de metadados
+ */
+function readMeta(db, key) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(key);
+        request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Grava um valor de metadados
+ */
+function writeMeta(db, key, value) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(META_STORE, 'readwrite');
+        transaction.objectStore(META_STORE).put({ key, value });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Aplica alterações a um card direto no IndexedDB
+ * @returns {Promise<boolean>} True se o card existia e foi atualizado
+ */
+function updateCardInDatabase(db, cardId, changes) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(CARDS_STORE, 'readwrite');
+        const store = transaction.objectStore(CARDS_STORE);
+        let updated = false;
+
+        const request = store.get(cardId);
+        request.onsuccess = () => {
+            if (!request.result) return;
+
+            store.put({ ...request.result, ...changes, updatedAt: Date.now() });
+            updated = true;
+        };
+
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Opções das notificações de lembrete (mesmas de js/reminders.js)
+ */
+function getReminderOptions(reminder) {
+    return {
+        body: reminder.body,
+        tag: reminder.key,
+        icon: './assets/icons/favicon.png',
+        data: { cardId: reminder.cardId, key: reminder.key },
+        actions: [
+            { action: 'concluir', title: 'Concluir' },
+            { action: 'adiar', title: `Adiar ${SNOOZE_MINUTES} min` }
+        ]
+    };
+}
+
+/**
+ * "Concluir" e "Adiar" funcionam mesmo com a página fechada:
+ * o card é alterado no IndexedDB e as abas abertas recarregam os dados
+ */
+async function handleReminderAction(action, notification) {
+    const { cardId } = notification.data || {};
+    if (!cardId) return;
+
+    const snoozedUntil = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+    const changes = action === 'concluir'
+        ? { status: 'concluido', completedAt: Date.now(), snoozedUntil: null }
+        : { snoozedUntil };
+
+    let updated = false;
+
+    try {
+        const db = await openDatabase();
+        try {
+            updated = await updateCardInDatabase(db, cardId, changes);
+
+            // Agenda o lembrete adiado para a sincronização periódica
+            if (updated && action === 'adiar') {
+                const schedule = await readMeta(db, SCHEDULE_META_KEY) || [];
+                schedule.push({
+                    key: `${cardId}@${snoozedUntil}`,
+                    cardId,
+                    title: notification.title,
+                    body: notification.body,
+                    fireAt: snoozedUntil
+                });
+                await writeMeta(db, SCHEDULE_META_KEY, schedule);
+            }
+        } finally {
+            db.close();
+        }
+    } catch (error) {
+        console.warn('[SW] Não foi possível atualizar o card no IndexedDB:', error);
+    }
+
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (updated) {
+        windows.forEach(client => client.postMessage({ type: 'cards-changed' }));
+        return;
+    }
+
+    // Sem IndexedDB (LocalStorage): a página aplica a ação
+    if (windows.length > 0) {
+        windows[0].postMessage({ type: 'reminder-action', action, cardId });
+        return;
+    }
+
+    await self.clients.openWindow(`./?reminderAction=${action}&cardId=${encodeURIComponent(cardId)}`);
+}
+
+/**
+ * Foca uma aba aberta do app ou abre uma nova
+ */
+async function focusApp() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (windows.length > 0) {
+        return windows[0].focus();
+    }
+
+    return self.clients.openWindow('./');
+}
+
+/**
+ * Exibe os lembretes agendados pela página que já venceram
+ */
+async function showDueReminders() {
+    const db = await openDatabase();
+
+    try {
+        const now = Date.now();
+        const schedule = await readMeta(db, SCHEDULE_META_KEY) || [];
+        const fired = await readMeta(db, FIRED_META_KEY) || [];
+
+        const due = schedule.filter(reminder => reminder.fireAt <= now && !fired.includes(reminder.key));
+
+        for (const reminder of due) {
+            await self.registration.showNotification(reminder.title, getReminderOptions(reminder));
+        }
+
+        if (due.length > 0) {
+            await writeMeta(db, FIRED_META_KEY, [...fired, ...due.map(reminder => reminder.key)]);
+            await writeMeta(db, SCHEDULE_META_KEY, schedule.filter(reminder => reminder.fireAt > now));
+        }
+    } finally {
+        db.close();
+    }
+}
+
+self.addEventListener('notificationclick', event => {
+    const notification = event.notification;
+    notification.close();
+
+    if (event.action === 'concluir' || event.action === 'adiar') {
+        event.waitUntil(handleReminderAction(event.action, notification));
+    } else {
+        event.waitUntil(focusApp());
+    }
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(showDueReminders().catch(error => {
+            console.warn('[SW] Erro ao verificar lembretes:', error);
+        }));
+    }
 });
\ No newline at end of file